@@ -0,0 +1,242 @@
+// Hosts, ports, directories, HLS and service settings shared by the API, node-media-server and ffmpeg.
+// Everything is read from the environment once and validated; an invalid value stops the
+// process at startup instead of surfacing as broken stream URLs later.
+
+const fs = require('fs');
+const path = require('path');
+const transcoding = require('./transcoding');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// RTMP application encoders publish to; playback URLs mirror it
+const RTMP_APP = 'live';
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const loadConfig = (env = process.env) => {
+  const errors = [];
+
+  const integer = (name, fallback, { min, max }) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} must be an integer between ${min} and ${max} (got "${env[name]}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const decimal = (name, fallback, { min, max }) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${name} must be a number between ${min} and ${max} (got "${env[name]}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const url = (name, fallback, protocols) => {
+    const value = (env[name] || fallback).replace(/\/+$/, '');
+    const parsed = parseUrl(value);
+
+    if (!parsed || !protocols.includes(parsed.protocol) || !parsed.hostname) {
+      errors.push(`${name} must be a ${protocols.map(p => `${p}//`).join(' or ')} URL (got "${value}")`);
+    } else if (parsed.search || parsed.hash) {
+      errors.push(`${name} must not contain a query string or fragment`);
+    }
+    return value;
+  };
+
+  const boolean = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+
+    if (!['true', 'false'].includes(env[name])) {
+      errors.push(`${name} must be true or false (got "${env[name]}")`);
+      return fallback;
+    }
+    return env[name] === 'true';
+  };
+
+  const directory = (name, fallback) => path.resolve(PROJECT_ROOT, env[name] || fallback);
+
+  const host = env.PUBLIC_HOST || 'localhost';
+  if (/[/:\s]/.test(host)) {
+    errors.push(`PUBLIC_HOST must be a bare host name (got "${host}")`);
+  }
+
+  const port = integer('PORT', 5000, { min: 1, max: 65535 });
+  const rtmpPort = integer('RTMP_PORT', 1935, { min: 1, max: 65535 });
+  const mediaHttpPort = integer('MEDIA_HTTP_PORT', 8000, { min: 1, max: 65535 });
+
+  if (new Set([port, rtmpPort, mediaHttpPort]).size < 3) {
+    errors.push(`PORT, RTMP_PORT and MEDIA_HTTP_PORT must all differ (got ${port}, ${rtmpPort}, ${mediaHttpPort})`);
+  }
+
+  const segmentDuration = integer('HLS_SEGMENT_SECONDS', 6, { min: 1, max: 30 });
+  const gopSeconds = integer('HLS_GOP_SECONDS', 2, { min: 1, max: 10 });
+  const playlistSize = integer('HLS_PLAYLIST_SIZE', 8, { min: 3, max: 60 });
+
+  // Segments can only be cut on keyframes
+  if (segmentDuration % gopSeconds !== 0) {
+    errors.push(`HLS_SEGMENT_SECONDS (${segmentDuration}) must be a multiple of HLS_GOP_SECONDS (${gopSeconds})`);
+  }
+
+  let ladder = [];
+  try {
+    ladder = transcoding.getLadder(env);
+  } catch (error) {
+    errors.push(`HLS_LADDER: ${error.message}`);
+  }
+
+  const corsOrigins = (env.CORS_ORIGINS || env.CLIENT_URL || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  for (const origin of corsOrigins) {
+    const parsed = parseUrl(origin);
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || parsed.origin !== origin) {
+      errors.push(`CORS_ORIGINS entries must be origins like https://example.com (got "${origin}")`);
+    }
+  }
+
+  const mediaRoot = directory('MEDIA_ROOT', 'media');
+  const clientUrl = url('CLIENT_URL', 'http://localhost:5173', ['http:', 'https:']);
+
+  const config = {
+    server: {
+      port,
+      // Where clients reach the API, e.g. https://api.example.com behind a proxy; used for absolute URLs
+      publicUrl: url('PUBLIC_API_URL', `http://${host}:${port}`, ['http:', 'https:'])
+    },
+    client: {
+      // The web app; links in emails, push notifications and calendar feeds point here
+      url: clientUrl
+    },
+    cors: {
+      origins: corsOrigins,
+      // HLS is fetched by players embedded anywhere unless restricted
+      mediaOrigin: env.MEDIA_CORS_ORIGIN || '*'
+    },
+    ingest: {
+      port: rtmpPort,
+      app: RTMP_APP,
+      // What encoders are told to connect to, e.g. rtmps://ingest.example.com/live behind a TLS proxy
+      publicUrl: url('INGEST_URL', `rtmp://${host}:${rtmpPort}/${RTMP_APP}`, ['rtmp:', 'rtmps:']),
+      // What ffmpeg reads from; always the node-media-server in this process
+      localUrl: `rtmp://127.0.0.1:${rtmpPort}/${RTMP_APP}`,
+      // How long a dropped publisher has to reconnect before the broadcast ends; 0 ends it at once
+      reconnectGraceSeconds: integer('RECONNECT_GRACE_SECONDS', 30, { min: 0, max: 3600 })
+    },
+    playback: {
+      httpPort: mediaHttpPort,
+      // Base URL that maps onto hls.dir, e.g. a CDN in front of the playback server
+      baseUrl: url('PLAYBACK_BASE_URL', `http://${host}:${mediaHttpPort}/${RTMP_APP}`, ['http:', 'https:'])
+    },
+    hls: {
+      mediaRoot, // served on MEDIA_HTTP_PORT by StreamingService
+      dir: path.join(mediaRoot, RTMP_APP),
+      segmentDuration,
+      playlistSize,
+      gopSeconds,
+      ladder
+    },
+    storage: {
+      recordingsDir: directory('RECORDINGS_DIR', 'storage/recordings'),
+      thumbnailsDir: directory('THUMBNAILS_DIR', 'storage/thumbnails')
+    },
+    health: {
+      ffprobePath: env.FFPROBE_PATH || 'ffprobe'
+    },
+    thumbnails: {
+      intervalSeconds: integer('THUMBNAIL_INTERVAL_SECONDS', 60, { min: 10, max: 3600 })
+    },
+    chat: {
+      // Token bucket per user: a burst of messages, refilled at a steady rate
+      rateLimitBurst: integer('CHAT_RATE_LIMIT_BURST', 5, { min: 1, max: 100 }),
+      rateLimitPerSecond: decimal('CHAT_RATE_LIMIT_PER_SECOND', 1, { min: 0.01, max: 100 }),
+      historySize: integer('CHAT_HISTORY_SIZE', 50, { min: 1, max: 500 })
+    },
+    restream: {
+      // Consecutive failures after which a restream target is given up on
+      maxAttempts: integer('RESTREAM_MAX_ATTEMPTS', 10, { min: 1, max: 100 })
+    },
+    auth: {
+      refreshTokenTtlDays: integer('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1, max: 365 })
+    },
+    notifications: {
+      retentionDays: integer('NOTIFICATION_RETENTION_DAYS', 90, { min: 1, max: 3650 })
+    },
+    schedule: {
+      reminderLeadMinutes: integer('STREAM_REMINDER_MINUTES', 15, { min: 1, max: 1440 }),
+      // How far from its scheduled time an encoder connection still counts as that broadcast
+      matchEarlyMinutes: integer('SCHEDULE_MATCH_EARLY_MINUTES', 60, { min: 0, max: 1440 }),
+      matchLateMinutes: integer('SCHEDULE_MATCH_LATE_MINUTES', 120, { min: 0, max: 1440 })
+    },
+    webhooks: {
+      pollIntervalMs: integer('WEBHOOK_POLL_INTERVAL_MS', 5000, { min: 100, max: 600000 }),
+      maxAttempts: integer('WEBHOOK_MAX_ATTEMPTS', 6, { min: 1, max: 20 }),
+      logRetentionDays: integer('WEBHOOK_LOG_RETENTION_DAYS', 30, { min: 1, max: 3650 })
+    },
+    // Defaults target a local SMTP catch-all (MailHog / Mailpit on port 1025)
+    mail: {
+      enabled: boolean('EMAIL_ENABLED', true),
+      from: env.MAIL_FROM || 'Live Streaming <no-reply@localhost>',
+      appUrl: clientUrl,
+      transport: {
+        host: env.SMTP_HOST || 'localhost',
+        port: integer('SMTP_PORT', 1025, { min: 1, max: 65535 }),
+        secure: boolean('SMTP_SECURE', false),
+        auth: env.SMTP_USER
+          ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+          : undefined
+      },
+      queue: {
+        pollIntervalMs: integer('EMAIL_POLL_INTERVAL_MS', 5000, { min: 100, max: 600000 }),
+        maxAttempts: integer('EMAIL_MAX_ATTEMPTS', 5, { min: 1, max: 20 }),
+        retryBaseMs: 60 * 1000
+      },
+      digest: {
+        checkIntervalMs: 15 * 60 * 1000,
+        maxItems: 50
+      }
+    }
+  };
+
+  if (errors.length) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+};
+
+/**
+ * Create the output directories and make sure they are writable
+ */
+const ensureDirectories = (config) => {
+  const dirs = [config.hls.dir, config.storage.recordingsDir, config.storage.thumbnailsDir];
+
+  for (const dir of dirs) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.accessSync(dir, fs.constants.W_OK);
+    } catch (error) {
+      throw new Error(`Invalid configuration:\n  - ${dir} is not a writable directory (${error.code || error.message})`);
+    }
+  }
+};
+
+const appConfig = loadConfig();
+appConfig.ensureDirectories = (config = appConfig) => ensureDirectories(config);
+appConfig.loadConfig = loadConfig;
+
+module.exports = appConfig;
@@ -0,0 +1,4 @@
+// Outbound email settings used by EmailService; loaded and validated with the rest
+// of the configuration in config/app.js
+
+module.exports = require('./app').mail;
@@ -0,0 +1,82 @@
+// Adaptive-bitrate HLS ladder used by StreamingService.
+// Override the default with HLS_LADDER, e.g. HLS_LADDER=source,720p,360p,audio
+
+const RENDITION_PRESETS = {
+  source: {
+    name: 'source',
+    resolution: 'source',
+    copy: true,
+    audioBitrate: 160
+  },
+  '1080p': {
+    name: '1080p',
+    resolution: '1080p',
+    height: 1080,
+    videoBitrate: 5000,
+    audioBitrate: 160,
+    profile: 'high'
+  },
+  '720p': {
+    name: '720p',
+    resolution: '720p',
+    height: 720,
+    videoBitrate: 2800,
+    audioBitrate: 128,
+    profile: 'main'
+  },
+  '480p': {
+    name: '480p',
+    resolution: '480p',
+    height: 480,
+    videoBitrate: 1400,
+    audioBitrate: 128,
+    profile: 'main'
+  },
+  '360p': {
+    name: '360p',
+    resolution: '360p',
+    height: 360,
+    videoBitrate: 800,
+    audioBitrate: 96,
+    profile: 'baseline'
+  },
+  '240p': {
+    name: '240p',
+    resolution: '240p',
+    height: 240,
+    videoBitrate: 400,
+    audioBitrate: 64,
+    profile: 'baseline'
+  },
+  audio: {
+    name: 'audio',
+    resolution: 'audio',
+    audioOnly: true,
+    audioBitrate: 96
+  }
+};
+
+const DEFAULT_LADDER = ['source', '720p', '480p', '360p', 'audio'];
+
+const getLadder = (env = process.env) => {
+  const names = env.HLS_LADDER
+    ? env.HLS_LADDER.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_LADDER;
+
+  const unknown = names.filter(name => !RENDITION_PRESETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown HLS renditions: ${unknown.join(', ')}`);
+  }
+
+  if (!names.some(name => !RENDITION_PRESETS[name].audioOnly)) {
+    throw new Error('HLS ladder needs at least one video rendition');
+  }
+
+  return names.map(name => RENDITION_PRESETS[name]);
+};
+
+module.exports = {
+  RENDITION_PRESETS,
+  DEFAULT_LADDER,
+  getLadder
+};
@@ -2,6 +2,22 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Check whether an access token was revoked by logout or "log out all devices"
+ */
+const isTokenRevoked = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return true;
+  }
+
+  if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+    return true;
+  }
+
+  return false;
+};
 
 /**
  * Authentication middleware to verify JWT tokens
@@ -59,9 +75,18 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Check if token was revoked by a logout
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
     // Add user to request object
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
     
     next();
 
@@ -126,9 +151,10 @@ const optionalAuth = async (req, res, next) => {
     // Find user by ID from token
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && !user.isBlocked && !user.isDeleted) {
+    if (user && !user.isBlocked && !user.isDeleted && !(await isTokenRevoked(decoded, user))) {
       req.user = user;
       req.token = token;
+      req.sessionId = decoded.sid || null;
     } else {
       req.user = null;
     }
@@ -392,6 +418,84 @@ const extractUserInfo = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve a Socket.IO identity from an access token
+ * Uses the same checks as the auth middleware and throws on failure
+ */
+const verifySocketToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || user.isBlocked || user.isDeleted || await isTokenRevoked(decoded, user)) {
+    const error = new Error('Authentication failed');
+    error.name = 'SocketAuthError';
+    throw error;
+  }
+
+  return {
+    userId: user._id.toString(),
+    username: user.username,
+    avatar: user.avatar,
+    isStreamer: user.isStreamer,
+    isAdmin: !!user.isAdmin,
+    isGuest: false
+  };
+};
+
+/**
+ * Restricted identity for anonymous viewers
+ * Guests can watch streams but cannot chat or receive notifications
+ */
+const createGuestIdentity = (socket) => ({
+  userId: null,
+  username: `guest_${socket.id.slice(0, 6)}`,
+  avatar: '',
+  isStreamer: false,
+  isAdmin: false,
+  isGuest: true
+});
+
+/**
+ * Socket.IO handshake middleware
+ * Reads the token from handshake auth ({ token }) or the Authorization header
+ * and stores the verified identity in socket.data.user
+ */
+const socketAuth = async (socket, next) => {
+  try {
+    let token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (!token) {
+      const authHeader = socket.handshake.headers.authorization;
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        token = authHeader.substring(7);
+      }
+    }
+
+    if (!token) {
+      socket.data.user = createGuestIdentity(socket);
+      return next();
+    }
+
+    if (token.startsWith('Bearer ')) {
+      token = token.substring(7);
+    }
+
+    socket.data.user = await verifySocketToken(token);
+    next();
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token has expired'));
+    }
+
+    if (error.name !== 'JsonWebTokenError' && error.name !== 'SocketAuthError') {
+      console.error('Socket auth error:', error);
+    }
+
+    next(new Error('Authentication failed'));
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
@@ -402,5 +506,9 @@ module.exports = {
   requireStreamOwner,
   loginRateLimit,
   verifyApiKey,
-  extractUserInfo
+  extractUserInfo,
+  isTokenRevoked,
+  socketAuth,
+  verifySocketToken,
+  createGuestIdentity
 };
\ No newline at end of file
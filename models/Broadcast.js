@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One document per broadcast; older Stream documents were reused across
+// broadcasts, so this is the history channel analytics are built from
+const BroadcastSchema = new mongoose.Schema({
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  streamer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    default: 'Other'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    type: Number, // seconds, set when the broadcast ends
+    default: 0
+  },
+  peakViewers: {
+    type: Number,
+    default: 0
+  },
+  uniqueViewers: {
+    type: Number,
+    default: 0
+  },
+  totalWatchTime: {
+    type: Number, // seconds, summed over all viewers
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+BroadcastSchema.index({ stream: 1, startedAt: 1 }, { unique: true });
+// Index for channel analytics over date ranges
+BroadcastSchema.index({ streamer: 1, startedAt: 1 });
+
+module.exports = mongoose.model('Broadcast', BroadcastSchema);
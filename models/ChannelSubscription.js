@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A viewer subscribed to a channel; subscriber-only chat admits these viewers
+const ChannelSubscriptionSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId, // the streamer subscribed to
+    ref: 'User',
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date, // null for subscriptions that don't lapse
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A user subscribes to a channel only once
+ChannelSubscriptionSchema.index({ channel: 1, subscriber: 1 }, { unique: true });
+// Index for subscriber listings, newest first
+ChannelSubscriptionSchema.index({ channel: 1, _id: -1 });
+
+module.exports = mongoose.model('ChannelSubscription', ChannelSubscriptionSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const ChatMessageSchema = new mongoose.Schema({
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for history and cursor pagination (ObjectIds grow with time)
+ChatMessageSchema.index({ stream: 1, _id: -1 });
+ChatMessageSchema.index({ stream: 1, createdAt: -1 });
+
+// Shape sent to clients over sockets and the REST API
+ChatMessageSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    streamId: this.stream,
+    userId: this.user,
+    username: this.username,
+    message: this.message,
+    timestamp: this.createdAt || this._id.getTimestamp(),
+    avatar: this.avatar
+  };
+};
+
+// Most recent messages of a stream, oldest first
+ChatMessageSchema.statics.getHistory = async function(streamId, { before, limit = 50 } = {}) {
+  const filter = { stream: streamId, isDeleted: false };
+  if (before) {
+    filter._id = { $lt: before };
+  }
+
+  const messages = await this.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit).reverse();
+
+  return {
+    messages: page.map(message => message.toPayload()),
+    hasMore,
+    nextCursor: hasMore && page.length > 0 ? page[0]._id : null
+  };
+};
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
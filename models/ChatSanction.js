@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const ChatSanctionSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId, // the streamer whose chat this applies to
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['timeout', 'ban'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date // only set for timeouts
+  }
+}, {
+  timestamps: true
+});
+
+// One sanction of each type per user per channel
+ChatSanctionSchema.index({ channel: 1, user: 1, type: 1 }, { unique: true });
+// Remove timeouts once they have expired
+ChatSanctionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ChatSanction', ChatSanctionSchema);
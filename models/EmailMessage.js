@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Outbound mail queue; 'deferred' items wait to be bundled into a digest
+const EmailMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  notification: {
+    type: mongoose.Schema.Types.Mixed // source notification for deferred digest items
+  },
+  status: {
+    type: String,
+    enum: ['deferred', 'queued', 'sending', 'sent', 'failed', 'bounced', 'digested'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the queue worker and digest job
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ status: 1, user: 1 });
+EmailMessageSchema.index({ messageId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One document per follow relationship, so popular channels aren't
+// limited by the size of a single User document
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can follow a channel only once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Index for follower/following listings, newest first
+FollowSchema.index({ following: 1, _id: -1 });
+FollowSchema.index({ follower: 1, _id: -1 });
+
+// Iterate over the ids of everyone following a user without loading them all at once
+FollowSchema.statics.eachFollowerId = async function(userId, callback) {
+  const cursor = this.find({ following: userId }).select('follower').lean().cursor();
+
+  let count = 0;
+  for await (const follow of cursor) {
+    await callback(follow.follower.toString());
+    count++;
+  }
+  return count;
+};
+
+// Recompute the follower and following counts of users from their Follow documents.
+// Counts are never incremented blindly, so a failed write can't leave them drifting.
+FollowSchema.statics.syncCounts = async function(...userIds) {
+  const User = mongoose.model('User');
+
+  await Promise.all(userIds.map(async (userId) => {
+    const [followersCount, followingCount] = await Promise.all([
+      this.countDocuments({ following: userId }),
+      this.countDocuments({ follower: userId })
+    ]);
+    await User.updateOne({ _id: userId }, { followersCount, followingCount });
+  }));
+};
+
+// Follows used to live in followers/following arrays on User documents; move any
+// that are left into Follow documents. The arrays are read from the raw collection
+// since they are no longer part of the schema.
+FollowSchema.statics.migrateUserArrays = async function() {
+  const users = mongoose.model('User').collection;
+  const cursor = users.find(
+    { $or: [{ 'followers.0': { $exists: true } }, { 'following.0': { $exists: true } }] },
+    { projection: { followers: 1, following: 1 } }
+  );
+
+  const affected = new Set();
+  for await (const user of cursor) {
+    const follows = [
+      ...(user.followers || []).map(follower => ({ follower, following: user._id })),
+      ...(user.following || []).map(following => ({ follower: user._id, following }))
+    ].filter(({ follower, following }) => follower.toString() !== following.toString());
+
+    if (follows.length) {
+      await this.bulkWrite(follows.map(follow => ({
+        updateOne: { filter: follow, update: { $setOnInsert: follow }, upsert: true }
+      })), { ordered: false });
+    }
+    await users.updateOne({ _id: user._id }, { $unset: { followers: 1, following: 1 } });
+
+    for (const { follower, following } of follows) {
+      affected.add(follower.toString());
+      affected.add(following.toString());
+    }
+  }
+
+  for (const userId of affected) {
+    await this.syncCounts(userId);
+  }
+  return affected.size;
+};
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Follow and unfollow history; Follow documents are deleted on unfollow,
+// so losses can only be counted from here
+const FollowEventSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['follow', 'unfollow'],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for channel analytics over date ranges
+FollowEventSchema.index({ channel: 1, createdAt: 1 });
+
+module.exports = mongoose.model('FollowEvent', FollowEventSchema);
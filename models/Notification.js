@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const config = require('../config/app');
+
+const RETENTION_DAYS = config.notifications.retentionDays;
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for inbox pagination and unread counts
+NotificationSchema.index({ user: 1, _id: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+// Keep history long enough to scroll back through, then expire it
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Shape sent to clients over sockets and the REST API
+NotificationSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    data: this.data,
+    read: !!this.readAt,
+    readAt: this.readAt,
+    timestamp: this.createdAt
+  };
+};
+
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_CHANNELS = ['inApp', 'email', 'webPush', 'webhook'];
+
+// Defaults for users who never changed their preferences
+const TYPE_DEFAULTS = {
+  stream_started: { inApp: true, email: false, webPush: true, webhook: false },
+  stream_reminder: { inApp: true, email: false, webPush: true, webhook: false },
+  new_follower: { inApp: true, email: false, webPush: false, webhook: false },
+  chat_mention: { inApp: true, email: false, webPush: true, webhook: false },
+  user_online: { inApp: false, email: false, webPush: false, webhook: false },
+  user_offline: { inApp: false, email: false, webPush: false, webhook: false }
+};
+
+const FALLBACK_DEFAULTS = { inApp: true, email: false, webPush: false, webhook: false };
+
+// Channels that interrupt the user and are held back during quiet hours
+const INTERRUPTING_CHANNELS = ['email', 'webPush'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ChannelToggleSchema = new mongoose.Schema({
+  inApp: Boolean,
+  email: Boolean,
+  webPush: Boolean,
+  webhook: Boolean
+}, { _id: false });
+
+const NotificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  types: {
+    type: Map, // notification type -> delivery channel toggles
+    of: ChannelToggleSchema,
+    default: {}
+  },
+  mutedChannels: [{
+    _id: false,
+    channel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    until: {
+      type: Date, // null mutes until unmuted
+      default: null
+    }
+  }],
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String, // HH:MM
+      default: '22:00',
+      match: TIME_OF_DAY
+    },
+    end: {
+      type: String, // HH:MM
+      default: '08:00',
+      match: TIME_OF_DAY
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  digest: {
+    enabled: {
+      type: Boolean, // replace immediate emails with a periodic summary
+      default: false
+    },
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Channel toggles for a type, falling back to the defaults
+NotificationPreferenceSchema.methods.getTypeChannels = function(type) {
+  const defaults = TYPE_DEFAULTS[type] || FALLBACK_DEFAULTS;
+  const overrides = this.types.get(type) || {};
+
+  const channels = {};
+  for (const channel of DELIVERY_CHANNELS) {
+    channels[channel] = typeof overrides[channel] === 'boolean' ? overrides[channel] : defaults[channel];
+  }
+  return channels;
+};
+
+NotificationPreferenceSchema.methods.isChannelMuted = function(channelId, now = new Date()) {
+  if (!channelId) return false;
+
+  return this.mutedChannels.some(mute =>
+    mute.channel.toString() === channelId.toString() && (!mute.until || mute.until > now)
+  );
+};
+
+NotificationPreferenceSchema.methods.isQuietTime = function(now = new Date()) {
+  const { enabled, start, end, timezone } = this.quietHours || {};
+  if (!enabled) return false;
+
+  const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now).split(':').map(Number);
+
+  const toMinutes = (value) => {
+    const [h, m] = value.split(':').map(Number);
+    return h * 60 + m;
+  };
+
+  const current = hour * 60 + minute;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Windows may wrap past midnight, e.g. 22:00 - 08:00
+  return from <= to
+    ? current >= from && current < to
+    : current >= from || current < to;
+};
+
+/**
+ * Decide how a notification reaches a user
+ * Returns the enabled delivery channels, or null when it should be dropped.
+ * `email` is 'immediate' or 'digest'.
+ */
+NotificationPreferenceSchema.methods.resolveDelivery = function(type, { channelId } = {}) {
+  if (this.isChannelMuted(channelId)) {
+    return null;
+  }
+
+  const channels = this.getTypeChannels(type);
+  const delivery = {
+    inApp: channels.inApp,
+    email: channels.email ? (this.digest.enabled ? 'digest' : 'immediate') : false,
+    webPush: channels.webPush,
+    webhook: channels.webhook
+  };
+
+  if (this.isQuietTime()) {
+    for (const channel of INTERRUPTING_CHANNELS) {
+      if (delivery[channel]) {
+        delivery[channel] = channel === 'email' ? 'digest' : false;
+      }
+    }
+  }
+
+  const hasChannel = Object.values(delivery).some(Boolean);
+  return hasChannel ? delivery : null;
+};
+
+// Load a user's preferences, or unsaved defaults if they never set any
+NotificationPreferenceSchema.statics.forUser = async function(userId) {
+  const preferences = await this.findOne({ user: userId });
+  return preferences || new this({ user: userId });
+};
+
+NotificationPreferenceSchema.statics.DELIVERY_CHANNELS = DELIVERY_CHANNELS;
+NotificationPreferenceSchema.statics.TYPE_DEFAULTS = TYPE_DEFAULTS;
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
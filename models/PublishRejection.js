@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const PublishRejectionSchema = new mongoose.Schema({
+  streamKey: {
+    type: String, // masked; the full key is never stored
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['missing_stream_key', 'invalid_stream_key', 'user_blocked', 'not_streamer', 'already_live'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  sessionId: {
+    type: String
+  },
+  streamPath: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for looking up probing attempts by source and by key
+PublishRejectionSchema.index({ ip: 1, createdAt: -1 });
+PublishRejectionSchema.index({ streamKey: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PublishRejection', PublishRejectionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  expirationTime: {
+    type: Date,
+    default: null
+  },
+  device: {
+    type: String,
+    default: ''
+  },
+  lastSuccessAt: {
+    type: Date
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for delivering to every device of a user
+PushSubscriptionSchema.index({ user: 1 });
+PushSubscriptionSchema.index({ expirationTime: 1 }, { sparse: true });
+
+// Shape expected by the web-push library
+PushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { encryptSecret, decryptSecret, maskSecret } = require('../utils/secrets');
+
+const RESTREAM_STATUSES = ['idle', 'connecting', 'live', 'retrying', 'failed'];
+
+const RestreamTargetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String, // e.g. 'Twitch', 'YouTube'
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  url: {
+    type: String, // rtmp:// or rtmps:// ingest URL, without the key
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  encryptedStreamKey: {
+    type: String, // the other platform's key; decrypted only to start the relay
+    required: true,
+    select: false
+  },
+  keyHint: {
+    type: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: RESTREAM_STATUSES,
+    default: 'idle'
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastErrorAt: {
+    type: Date,
+    default: null
+  },
+  lastConnectedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Target names are unique per streamer
+RestreamTargetSchema.index({ user: 1, name: 1 }, { unique: true });
+
+RestreamTargetSchema.statics.STATUSES = RESTREAM_STATUSES;
+
+RestreamTargetSchema.methods.setStreamKey = function(key) {
+  this.encryptedStreamKey = encryptSecret(key);
+  this.keyHint = maskSecret(key, 4);
+};
+
+// Full publish URL; requires encryptedStreamKey to be selected
+RestreamTargetSchema.methods.getPublishUrl = function() {
+  return `${this.url.replace(/\/+$/, '')}/${decryptSecret(this.encryptedStreamKey)}`;
+};
+
+RestreamTargetSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    url: this.url,
+    keyHint: this.keyHint,
+    enabled: this.enabled,
+    status: this.status,
+    lastError: this.lastError,
+    lastErrorAt: this.lastErrorAt,
+    lastConnectedAt: this.lastConnectedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('RestreamTarget', RestreamTargetSchema);
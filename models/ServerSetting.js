@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Key/value settings generated and owned by the server (e.g. VAPID keys)
+const ServerSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Get a setting, creating it from `factory` the first time it is needed
+ServerSettingSchema.statics.getOrCreate = async function(key, factory) {
+  const existing = await this.findOne({ key });
+  if (existing) return existing.value;
+
+  try {
+    const created = await this.create({ key, value: await factory() });
+    return created.value;
+  } catch (error) {
+    // Another instance created it first
+    if (error.code === 11000) {
+      return (await this.findOne({ key })).value;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ServerSetting', ServerSettingSchema);
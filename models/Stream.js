@@ -16,24 +16,50 @@ const StreamSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  streamKey: {
-    type: String,
-    required: true,
-    unique: true
-  },
   isLive: {
     type: Boolean,
     default: false
   },
+  status: {
+    type: String,
+    enum: ['created', 'scheduled', 'live', 'ended', 'expired'], // expired: scheduled but never went live
+    default: 'created'
+  },
+  scheduledFor: {
+    type: Date
+  },
+  scheduledDuration: {
+    type: Number, // expected length in minutes, used by the schedule feed
+    default: 60,
+    min: 5,
+    max: 1440
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
   category: {
     type: String,
     enum: ['Gaming', 'Music', 'Talk Shows', 'Sports', 'Education', 'Other'],
     default: 'Other'
   },
   thumbnail: {
-    type: String,
+    type: String, // medium-size URL, kept for existing clients
     default: ''
   },
+  thumbnails: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  thumbnailSource: {
+    type: String,
+    enum: ['none', 'live', 'vod', 'custom'],
+    default: 'none'
+  },
+  thumbnailUpdatedAt: {
+    type: Date
+  },
   viewerCount: {
     type: Number,
     default: 0
@@ -52,27 +78,64 @@ const StreamSchema = new mongoose.Schema({
   endedAt: {
     type: Date
   },
+  lastHeartbeatAt: {
+    type: Date // refreshed while live; dates the end of a broadcast cut short by a crash
+  },
   rtmpUrl: {
-    type: String
+    type: String // ingest server; the stream key is entered separately in the encoder
   },
   hlsUrl: {
-    type: String
+    type: String // playback is addressed by stream id so the key never reaches viewers
   },
   quality: [{
-    resolution: String, // '720p', '480p', '360p'
-    bitrate: Number,
+    resolution: String, // 'source', '720p', '480p', '360p', 'audio'
+    bitrate: Number, // kbps, video + audio
     url: String
   }],
   chatEnabled: {
     type: Boolean,
     default: true
   },
+  chatSettings: {
+    slowMode: {
+      type: Number, // seconds between messages per user, 0 = off
+      default: 0,
+      min: 0,
+      max: 3600
+    },
+    followersOnly: {
+      type: Boolean,
+      default: false
+    },
+    followersOnlyMinAge: {
+      type: Number, // minutes a viewer must have followed for
+      default: 0,
+      min: 0,
+      max: 129600
+    },
+    subscribersOnly: {
+      type: Boolean,
+      default: false
+    },
+    emoteOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
   recordingEnabled: {
     type: Boolean,
     default: false
   },
   recordingUrl: {
     type: String
+  },
+  recordingStatus: {
+    type: String,
+    enum: ['none', 'recording', 'processing', 'ready', 'failed'],
+    default: 'none'
+  },
+  recordingFile: {
+    type: String // file name inside the recordings directory
   }
 }, {
   timestamps: true
@@ -81,5 +144,6 @@ const StreamSchema = new mongoose.Schema({
 // Index for better query performance
 StreamSchema.index({ isLive: -1, createdAt: -1 });
 StreamSchema.index({ streamer: 1, createdAt: -1 });
+StreamSchema.index({ status: 1, scheduledFor: 1 });
 
 module.exports = mongoose.model('Stream', StreamSchema);
\ No newline at end of file
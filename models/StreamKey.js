@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashSecret, encryptSecret, decryptSecret, maskSecret } = require('../utils/secrets');
+
+const KEY_PREFIX = 'live_';
+
+const StreamKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String, // e.g. 'Primary', 'Backup encoder'
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  keyHash: {
+    type: String, // sha256 of the key, used to authorize publishing
+    required: true,
+    unique: true
+  },
+  encryptedKey: {
+    type: String, // only decrypted for the re-authenticated reveal endpoint
+    required: true,
+    select: false
+  },
+  keyHint: {
+    type: String // first characters, so keys can be told apart in listings
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Key names are unique per streamer
+StreamKeySchema.index({ user: 1, name: 1 }, { unique: true });
+
+StreamKeySchema.statics.generateKey = function() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+StreamKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashSecret(key) });
+};
+
+// Replace the secret; returns the new plaintext key
+StreamKeySchema.methods.setKey = function(key = this.constructor.generateKey()) {
+  this.keyHash = hashSecret(key);
+  this.encryptedKey = encryptSecret(key);
+  this.keyHint = maskSecret(key, KEY_PREFIX.length + 4);
+  return key;
+};
+
+StreamKeySchema.methods.reveal = function() {
+  return decryptSecret(this.encryptedKey);
+};
+
+StreamKeySchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    keyHint: this.keyHint,
+    lastUsedAt: this.lastUsedAt,
+    rotatedAt: this.rotatedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('StreamKey', StreamKeySchema);
@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('./RefreshToken');
+const StreamKey = require('./StreamKey');
+const config = require('../config/app');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -30,19 +37,42 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isBlocked: {
+    type: Boolean,
+    default: false
+  },
   streamKey: {
-    type: String,
+    type: String, // legacy plaintext key, moved into StreamKey (hashed) on first use
     unique: true,
-    sparse: true
+    sparse: true,
+    select: false
   },
-  followers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  following: [{
+  followersCount: {
+    type: Number, // follows themselves live in the Follow collection
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  chatModerators: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  isChatBanned: {
+    type: Boolean,
+    default: false
+  },
+  chatBanReason: {
+    type: String
+  },
+  chatBanDate: {
+    type: Date
+  },
+  emailBouncedAt: {
+    type: Date, // set when mail to this address bounces; email delivery stops
+    default: null
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -50,6 +80,10 @@ const UserSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  tokenVersion: {
+    type: Number, // bumped to invalidate every access token ("log out all devices")
+    default: 0
   }
 }, {
   timestamps: true
@@ -69,23 +103,44 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-UserSchema.methods.generateToken = function() {
-  return jwt.sign(
-    { 
-      id: this._id, 
-      username: this.username,
-      isStreamer: this.isStreamer 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+// Generate short-lived JWT access token, bound to a refresh token session
+UserSchema.methods.generateToken = function(sessionId) {
+  const payload = {
+    id: this._id,
+    username: this.username,
+    isStreamer: this.isStreamer,
+    tv: this.tokenVersion || 0
+  };
+
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+// Generate long-lived refresh token, stored hashed per device
+UserSchema.methods.generateRefreshToken = async function({ family, device, ip } = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const refreshToken = await RefreshToken.create({
+    user: this._id,
+    tokenHash: RefreshToken.hashToken(token),
+    family: family || crypto.randomUUID(),
+    device: device || '',
+    ip: ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, refreshToken };
 };
 
-// Generate stream key
-UserSchema.methods.generateStreamKey = function() {
-  const streamKey = require('crypto').randomBytes(32).toString('hex');
-  this.streamKey = streamKey;
+// Create a named stream key and grant streamer privileges; the user still needs saving
+UserSchema.methods.generateStreamKey = async function(name = 'Primary') {
+  const streamKey = new StreamKey({ user: this._id, name });
+  streamKey.setKey();
+  await streamKey.save();
+
   this.isStreamer = true;
   return streamKey;
 };
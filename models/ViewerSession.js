@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const CLIENT_TYPES = ['web', 'mobile', 'tv', 'desktop', 'other'];
+
+const ViewerSessionSchema = new mongoose.Schema({
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  broadcastStartedAt: {
+    type: Date, // stream.startedAt of the broadcast being watched; older streams span several
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  viewerKey: {
+    type: String, // user id, or a hash of IP + user agent for anonymous viewers
+    required: true
+  },
+  isAuthenticated: {
+    type: Boolean,
+    default: false
+  },
+  clientType: {
+    type: String,
+    enum: CLIENT_TYPES,
+    default: 'other'
+  },
+  socketId: {
+    type: String
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date, // heartbeat, used to close sessions orphaned by a restart
+    default: Date.now
+  },
+  watchTime: {
+    type: Number, // seconds, set when the session closes
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+ViewerSessionSchema.index({ stream: 1, broadcastStartedAt: 1, joinedAt: 1 });
+ViewerSessionSchema.index({ leftAt: 1 });
+
+ViewerSessionSchema.statics.CLIENT_TYPES = CLIENT_TYPES;
+
+module.exports = mongoose.model('ViewerSession', ViewerSessionSchema);
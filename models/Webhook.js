@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'stream.started',
+  'stream.ended',
+  'stream.title_changed',
+  'stream.offline',
+  'follower.new',
+  'chat.message',
+  'recording.ready'
+];
+
+const WebhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId, // streamer whose events are sent; null = every channel (admins only)
+    ref: 'User',
+    default: null
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  secret: {
+    type: String, // used to sign payloads, so it cannot be stored hashed
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+WebhookSchema.index({ owner: 1, createdAt: -1 });
+WebhookSchema.index({ isActive: 1, events: 1 });
+
+WebhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -1,10 +1,29 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const { auth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Issue an access token and a refresh token for one device session
+const issueTokens = async (user, req, family) => {
+  const { token: refreshToken, refreshToken: refreshTokenDoc } = await user.generateRefreshToken({
+    family,
+    device: req.body.deviceName || req.get('User-Agent') || '',
+    ip: req.ip
+  });
+
+  return {
+    refreshTokenId: refreshTokenDoc._id,
+    tokens: {
+      token: user.generateToken(refreshTokenDoc.family),
+      refreshToken,
+      refreshTokenExpiresAt: refreshTokenDoc.expiresAt
+    }
+  };
+};
+
 // @route POST /api/auth/register
 // @desc Register new user
 // @access Public
@@ -22,7 +41,7 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password, rememberMe } = req.body;
+    const { username, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -46,15 +65,9 @@ router.post('/register', [
     await user.save();
 
     // Generate tokens
-    const token = user.generateToken();
-    let refreshToken = null;
+    const { tokens } = await issueTokens(user, req);
 
-    // Generate refresh token if rememberMe is true or if you want to always include it
-    if (rememberMe || true) { // Set to true if you always want refresh tokens
-      refreshToken = user.generateRefreshToken(); // You'll need to implement this method
-    }
-
-    const responseData = {
+    res.status(201).json({
       success: true,
       user: {
         id: user._id,
@@ -63,16 +76,9 @@ router.post('/register', [
         avatar: user.avatar,
         isStreamer: user.isStreamer
       },
-      token,
+      ...tokens,
       message: 'Registration successful'
-    };
-
-    // Add refresh token to response if it exists
-    if (refreshToken) {
-      responseData.refreshToken = refreshToken;
-    }
-
-    res.status(201).json(responseData);
+    });
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -124,19 +130,18 @@ router.post('/login', [
     user.lastSeen = new Date();
     await user.save();
 
-    // Generate token
-    const token = user.generateToken();
+    // Generate tokens
+    const { tokens } = await issueTokens(user, req);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         avatar: user.avatar,
-        isStreamer: user.isStreamer,
-        streamKey: user.streamKey
+        isStreamer: user.isStreamer
       }
     });
 
@@ -149,6 +154,144 @@ router.post('/login', [
   }
 });
 
+// @route POST /api/auth/refresh
+// @desc Exchange a refresh token for a new token pair (rotation)
+// @access Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+
+    // Atomically consume the token so it can only be rotated once
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { new: true }
+    );
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token being presented again means it was stolen: kill the whole session
+      if (existing && existing.revokedReason === 'rotated') {
+        await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${existing.user} (session ${existing.family})`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Same account checks as the auth middleware; the session ends with the account
+    const user = await User.findById(current.user);
+    if (!user || user.isBlocked || user.isDeleted) {
+      await RefreshToken.revokeFamily(current.family, 'logout');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is not active'
+      });
+    }
+
+    const { tokens, refreshTokenId } = await issueTokens(user, req, current.family);
+
+    current.replacedBy = refreshTokenId;
+    await current.save();
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route POST /api/auth/logout
+// @desc Revoke the current device session
+// @access Public (refresh token) or Private (access token)
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    let family = req.sessionId || null;
+
+    if (req.body.refreshToken) {
+      const refreshToken = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(req.body.refreshToken)
+      });
+      if (refreshToken) {
+        family = refreshToken.family;
+      }
+    }
+
+    if (!family) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token or authenticated session required'
+      });
+    }
+
+    await RefreshToken.revokeFamily(family, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route POST /api/auth/logout-all
+// @desc Revoke every session of the current user on all devices
+// @access Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await RefreshToken.updateMany(
+      { user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout_all' }
+    );
+
+    // Invalidate access tokens that are still within their lifetime
+    await User.findByIdAndUpdate(req.user._id, {
+      $inc: { tokenVersion: 1 },
+      isOnline: false,
+      lastSeen: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route GET /api/auth/me
 // @desc Get current user
 // @access Private
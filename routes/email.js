@@ -0,0 +1,40 @@
+// backend/routes/email.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { verifyApiKey } = require('../middleware/auth');
+const EmailService = require('../services/EmailService');
+
+const router = express.Router();
+
+// @route POST /api/email/bounces
+// @desc Report bounced addresses from the mail provider
+// @access API key
+router.post('/bounces', verifyApiKey, [
+  body('email').isEmail().normalizeEmail(),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const updated = await EmailService.recordBounce(req.body.email, req.body.reason || 'Reported by mail provider');
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Record bounce error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,474 @@
+// backend/routes/notifications.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+const PushService = require('../services/PushService');
+const NotificationService = require('../services/NotificationService');
+
+const router = express.Router();
+
+// All notification routes are for the authenticated user's own inbox
+router.use(auth);
+
+// Effective preferences, with defaults filled in for every known type
+const serializePreferences = (preferences) => {
+  const types = {};
+  for (const type of Object.keys(NotificationPreference.TYPE_DEFAULTS)) {
+    types[type] = preferences.getTypeChannels(type);
+  }
+
+  return {
+    types,
+    mutedChannels: preferences.mutedChannels
+      .filter(mute => !mute.until || mute.until > new Date())
+      .map(mute => ({ channel: mute.channel, until: mute.until })),
+    quietHours: preferences.quietHours,
+    digest: preferences.digest
+  };
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get notification preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.forUser(req.user._id);
+
+    res.json({
+      success: true,
+      preferences: serializePreferences(preferences)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update notification preferences (partial updates)
+router.put('/preferences', async (req, res) => {
+  try {
+    const { types, quietHours, digest } = req.body;
+    const preferences = await NotificationPreference.forUser(req.user._id);
+
+    if (types !== undefined) {
+      if (!types || typeof types !== 'object') {
+        return res.status(400).json({
+          success: false,
+          message: 'types must be an object'
+        });
+      }
+
+      for (const [type, channels] of Object.entries(types)) {
+        if (!NotificationPreference.TYPE_DEFAULTS[type]) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown notification type: ${type}`
+          });
+        }
+
+        const current = preferences.getTypeChannels(type);
+        for (const [channel, enabled] of Object.entries(channels || {})) {
+          if (!NotificationPreference.DELIVERY_CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+            return res.status(400).json({
+              success: false,
+              message: `Invalid setting ${type}.${channel}`
+            });
+          }
+          current[channel] = enabled;
+        }
+        preferences.types.set(type, current);
+      }
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end, timezone } = quietHours || {};
+
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid timezone'
+        });
+      }
+
+      if (enabled !== undefined) preferences.quietHours.enabled = !!enabled;
+      if (start !== undefined) preferences.quietHours.start = start;
+      if (end !== undefined) preferences.quietHours.end = end;
+      if (timezone !== undefined) preferences.quietHours.timezone = timezone;
+    }
+
+    if (digest !== undefined) {
+      const { enabled, frequency } = digest || {};
+      if (enabled !== undefined) preferences.digest.enabled = !!enabled;
+      if (frequency !== undefined) preferences.digest.frequency = frequency;
+    }
+
+    try {
+      await preferences.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      preferences: serializePreferences(preferences),
+      message: 'Notification preferences updated'
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the VAPID public key browsers need to subscribe
+router.get('/push/public-key', async (req, res) => {
+  try {
+    const publicKey = await PushService.getPublicKey();
+
+    if (!publicKey) {
+      return res.status(503).json({
+        success: false,
+        message: 'Web push is not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      publicKey
+    });
+  } catch (error) {
+    console.error('Get push public key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List the current user's push subscriptions
+router.get('/push/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user._id })
+      .select('endpoint device expirationTime lastSuccessAt createdAt');
+
+    res.json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('List push subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Register a push subscription for this device
+router.post('/push/subscriptions', async (req, res) => {
+  try {
+    const { subscription, deviceName } = req.body;
+
+    const isValid = subscription &&
+      typeof subscription.endpoint === 'string' &&
+      subscription.keys &&
+      typeof subscription.keys.p256dh === 'string' &&
+      typeof subscription.keys.auth === 'string';
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'A PushSubscription with an https endpoint and keys is required'
+      });
+    }
+
+    const endpointError = await PushService.checkEndpoint(subscription.endpoint);
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        message: endpointError
+      });
+    }
+
+    const saved = await PushService.subscribe(
+      req.user._id,
+      subscription,
+      deviceName || req.get('User-Agent') || ''
+    );
+
+    res.status(201).json({
+      success: true,
+      subscription: {
+        _id: saved._id,
+        endpoint: saved.endpoint,
+        device: saved.device,
+        expirationTime: saved.expirationTime
+      },
+      message: 'Push subscription registered'
+    });
+  } catch (error) {
+    console.error('Register push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Unregister a push subscription (identified by its endpoint)
+router.delete('/push/subscriptions', async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint || typeof endpoint !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'endpoint is required'
+      });
+    }
+
+    const removed = await PushService.unsubscribe(req.user._id, endpoint);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mute notifications from a channel, optionally for a number of hours
+router.post('/mutes', async (req, res) => {
+  try {
+    const { channelId, hours } = req.body;
+
+    const channel = mongoose.isValidObjectId(channelId)
+      ? await User.findById(channelId).select('_id')
+      : null;
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    if (hours !== undefined && !(Number(hours) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'hours must be a positive number'
+      });
+    }
+
+    const until = hours !== undefined ? new Date(Date.now() + Number(hours) * 60 * 60 * 1000) : null;
+    const preferences = await NotificationPreference.forUser(req.user._id);
+
+    preferences.mutedChannels = preferences.mutedChannels
+      .filter(mute => mute.channel.toString() !== channel._id.toString())
+      .concat({ channel: channel._id, until });
+    await preferences.save();
+
+    res.status(201).json({
+      success: true,
+      mute: { channel: channel._id, until },
+      message: 'Channel muted'
+    });
+  } catch (error) {
+    console.error('Mute channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Unmute a channel
+router.delete('/mutes/:channelId', async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.forUser(req.user._id);
+    const remaining = preferences.mutedChannels
+      .filter(mute => mute.channel.toString() !== req.params.channelId);
+
+    if (remaining.length === preferences.mutedChannels.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel is not muted'
+      });
+    }
+
+    preferences.mutedChannels = remaining;
+    await preferences.save();
+
+    res.json({
+      success: true,
+      message: 'Channel unmuted'
+    });
+  } catch (error) {
+    console.error('Unmute channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get notifications with cursor pagination
+router.get('/', async (req, res) => {
+  try {
+    const { cursor, limit = 20, unreadOnly } = req.query;
+
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = { user: req.user._id };
+    if (cursor) {
+      filter._id = { $lt: cursor };
+    }
+    if (unreadOnly === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    const hasMore = notifications.length > pageSize;
+    const page = notifications.slice(0, pageSize);
+
+    res.json({
+      success: true,
+      notifications: page.map(notification => notification.toPayload()),
+      unreadCount,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get unread notification count
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    await NotificationService.emitUnreadCount(req.user._id.toString());
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+      unreadCount: 0,
+      message: 'All notifications marked as read'
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mark a single notification as read
+router.post('/:notificationId/read', async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.notificationId)
+      ? await Notification.findOne({ _id: req.params.notificationId, user: req.user._id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await NotificationService.emitUnreadCount(req.user._id.toString());
+
+    res.json({
+      success: true,
+      notification: notification.toPayload(),
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+// backend/routes/streaming.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth, requireStreamer, loginRateLimit } = require('../middleware/auth');
+const config = require('../config/app');
+const User = require('../models/User');
+const StreamKey = require('../models/StreamKey');
+const RestreamTarget = require('../models/RestreamTarget');
+const StreamingService = require('../services/StreamingService');
+const RestreamService = require('../services/RestreamService');
+
+const router = express.Router();
+
+const MAX_STREAM_KEYS = 5;
+const MAX_RESTREAM_TARGETS = 5;
+
+// Keys are only shown by the reveal endpoint; everything else returns metadata
+const loadStreamKey = async (req, res, select = '') => {
+  const streamKey = mongoose.isValidObjectId(req.params.keyId)
+    ? await StreamKey.findOne({ _id: req.params.keyId, user: req.user._id }).select(select)
+    : null;
+
+  if (!streamKey) {
+    res.status(404).json({
+      success: false,
+      message: 'Stream key not found'
+    });
+    return null;
+  }
+
+  return streamKey;
+};
+
+const validateKeyName = (name, label = 'Key name') => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return `${label} is required`;
+  }
+  if (name.trim().length > 50) {
+    return `${label} must be 50 characters or less`;
+  }
+  return null;
+};
+
+const isIngestUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['rtmp:', 'rtmps:'].includes(parsed.protocol) && !!parsed.hostname && url.length <= 500;
+  } catch (error) {
+    return false;
+  }
+};
+
+const loadRestreamTarget = async (req, res) => {
+  const target = mongoose.isValidObjectId(req.params.targetId)
+    ? await RestreamTarget.findOne({ _id: req.params.targetId, user: req.user._id })
+    : null;
+
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      message: 'Restream target not found'
+    });
+    return null;
+  }
+
+  return target;
+};
+
+// Validates the fields present in the body; everything is required on create
+const validateRestreamTarget = ({ name, url, streamKey, enabled }, { partial = false } = {}) => {
+  if (name !== undefined || !partial) {
+    const nameError = validateKeyName(name, 'Target name');
+    if (nameError) return nameError;
+  }
+
+  if ((url !== undefined || !partial) && !isIngestUrl(url)) {
+    return 'URL must be an rtmp:// or rtmps:// ingest URL';
+  }
+
+  if (streamKey !== undefined || !partial) {
+    if (typeof streamKey !== 'string' || !streamKey.trim() || /\s/.test(streamKey.trim()) || streamKey.length > 500) {
+      return 'A valid stream key for the destination is required';
+    }
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+
+  return null;
+};
+
+// Become a streamer: grants streamer privileges and creates the primary key
+router.post('/enable', auth, async (req, res) => {
+  try {
+    if (req.user.isBlocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is blocked'
+      });
+    }
+
+    const keyCount = await StreamKey.countDocuments({ user: req.user._id });
+    if (req.user.isStreamer && keyCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Streaming is already enabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const streamKey = keyCount > 0
+      ? await StreamKey.findOne({ user: user._id }).sort({ createdAt: 1 })
+      : await user.generateStreamKey('Primary');
+
+    user.isStreamer = true;
+    // Legacy plaintext keys stop working once the account has hashed keys
+    user.streamKey = undefined;
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      ingestUrl: config.ingest.publicUrl,
+      streamKey: streamKey.toPayload(),
+      message: 'Streaming enabled. Reveal your stream key to configure your encoder.'
+    });
+  } catch (error) {
+    console.error('Enable streaming error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List stream keys
+router.get('/keys', auth, requireStreamer, async (req, res) => {
+  try {
+    const streamKeys = await StreamKey.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      ingestUrl: config.ingest.publicUrl,
+      streamKeys: streamKeys.map(streamKey => streamKey.toPayload())
+    });
+  } catch (error) {
+    console.error('Get stream keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create an additional labeled key, e.g. for a backup encoder
+router.post('/keys', auth, requireStreamer, async (req, res) => {
+  try {
+    const nameError = validateKeyName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    const keyCount = await StreamKey.countDocuments({ user: req.user._id });
+    if (keyCount >= MAX_STREAM_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_STREAM_KEYS} stream keys`
+      });
+    }
+
+    const streamKey = new StreamKey({ user: req.user._id, name: req.body.name.trim() });
+    streamKey.setKey();
+
+    try {
+      await streamKey.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A stream key with this name already exists'
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      streamKey: streamKey.toPayload()
+    });
+  } catch (error) {
+    console.error('Create stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Replace a key's secret; an encoder publishing with the old one is disconnected
+router.post('/keys/:keyId/rotate', auth, requireStreamer, async (req, res) => {
+  try {
+    const streamKey = await loadStreamKey(req, res);
+    if (!streamKey) return;
+
+    streamKey.setKey();
+    streamKey.rotatedAt = new Date();
+    await streamKey.save();
+
+    StreamingService.disconnectStreamKey(streamKey._id);
+
+    res.json({
+      success: true,
+      streamKey: streamKey.toPayload(),
+      message: 'Stream key rotated'
+    });
+  } catch (error) {
+    console.error('Rotate stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Rename a key
+router.put('/keys/:keyId', auth, requireStreamer, async (req, res) => {
+  try {
+    const nameError = validateKeyName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    const streamKey = await loadStreamKey(req, res);
+    if (!streamKey) return;
+
+    streamKey.name = req.body.name.trim();
+
+    try {
+      await streamKey.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A stream key with this name already exists'
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      streamKey: streamKey.toPayload()
+    });
+  } catch (error) {
+    console.error('Rename stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke a key
+router.delete('/keys/:keyId', auth, requireStreamer, async (req, res) => {
+  try {
+    const streamKey = await loadStreamKey(req, res);
+    if (!streamKey) return;
+
+    await streamKey.deleteOne();
+    StreamingService.disconnectStreamKey(streamKey._id);
+
+    res.json({
+      success: true,
+      message: 'Stream key revoked'
+    });
+  } catch (error) {
+    console.error('Delete stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Show a key; requires the account password again
+router.post('/keys/:keyId/reveal', auth, requireStreamer, loginRateLimit, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!password || !user || !(await user.comparePassword(password))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    const streamKey = await loadStreamKey(req, res, '+encryptedKey');
+    if (!streamKey) return;
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      ingestUrl: config.ingest.publicUrl,
+      streamKey: {
+        ...streamKey.toPayload(),
+        key: streamKey.reveal()
+      }
+    });
+  } catch (error) {
+    console.error('Reveal stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List restream targets
+router.get('/restreams', auth, requireStreamer, async (req, res) => {
+  try {
+    const targets = await RestreamTarget.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      targets: targets.map(target => target.toPayload())
+    });
+  } catch (error) {
+    console.error('Get restream targets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add a destination to relay the broadcast to; starts right away if the channel is live
+router.post('/restreams', auth, requireStreamer, async (req, res) => {
+  try {
+    const validationError = validateRestreamTarget(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const urlError = await RestreamService.checkUrl(req.body.url.trim());
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const targetCount = await RestreamTarget.countDocuments({ user: req.user._id });
+    if (targetCount >= MAX_RESTREAM_TARGETS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_RESTREAM_TARGETS} restream targets`
+      });
+    }
+
+    const target = new RestreamTarget({
+      user: req.user._id,
+      name: req.body.name.trim(),
+      url: req.body.url.trim(),
+      enabled: req.body.enabled !== undefined ? req.body.enabled : true
+    });
+    target.setStreamKey(req.body.streamKey.trim());
+
+    try {
+      await target.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A restream target with this name already exists'
+        });
+      }
+      throw error;
+    }
+
+    await RestreamService.syncTarget(target);
+
+    res.status(201).json({
+      success: true,
+      target: target.toPayload()
+    });
+  } catch (error) {
+    console.error('Create restream target error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update a target: rename, change URL or key, enable or disable
+router.put('/restreams/:targetId', auth, requireStreamer, async (req, res) => {
+  try {
+    const validationError = validateRestreamTarget(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (req.body.url !== undefined) {
+      const urlError = await RestreamService.checkUrl(req.body.url.trim());
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          message: urlError
+        });
+      }
+    }
+
+    const target = await loadRestreamTarget(req, res);
+    if (!target) return;
+
+    const { name, url, streamKey, enabled } = req.body;
+    const relayChanged = url !== undefined || streamKey !== undefined || enabled !== undefined;
+
+    if (name !== undefined) target.name = name.trim();
+    if (url !== undefined) target.url = url.trim();
+    if (streamKey !== undefined) target.setStreamKey(streamKey.trim());
+    if (enabled !== undefined) {
+      target.enabled = enabled;
+      // Toggling gives a target that was given up on a fresh start
+      if (target.status === 'failed') target.status = 'idle';
+    }
+
+    try {
+      await target.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A restream target with this name already exists'
+        });
+      }
+      throw error;
+    }
+
+    if (relayChanged) {
+      await RestreamService.syncTarget(target);
+    }
+
+    res.json({
+      success: true,
+      target: (await RestreamTarget.findById(target._id)).toPayload()
+    });
+  } catch (error) {
+    console.error('Update restream target error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remove a target; a running relay to it is stopped
+router.delete('/restreams/:targetId', auth, requireStreamer, async (req, res) => {
+  try {
+    const target = await loadRestreamTarget(req, res);
+    if (!target) return;
+
+    await target.deleteOne();
+    RestreamService.removeTarget(target);
+
+    res.json({
+      success: true,
+      message: 'Restream target removed'
+    });
+  } catch (error) {
+    console.error('Delete restream target error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
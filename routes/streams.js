@@ -1,15 +1,87 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { 
   auth, 
   optionalAuth, 
   requireStreamer, 
   requireStreamOwner 
 } = require('../middleware/auth');
+const config = require('../config/app');
 const Stream = require('../models/Stream');
 const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const Follow = require('../models/Follow');
+const StreamingService = require('../services/StreamingService');
+const ChatModerationService = require('../services/ChatModerationService');
+const AnalyticsService = require('../services/AnalyticsService');
+const ScheduleService = require('../services/ScheduleService');
+const StreamHealthService = require('../services/StreamHealthService');
+const ThumbnailService = require('../services/ThumbnailService');
+const EventBus = require('../services/EventBus');
 
 const router = express.Router();
 
+// Thumbnails are uploaded as the raw request body
+const readThumbnailUpload = (req, res, next) => {
+  express.raw({
+    type: ['image/jpeg', 'image/png', 'image/webp'],
+    limit: ThumbnailService.MAX_UPLOAD_BYTES
+  })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        message: error.status === 413 ? 'Thumbnail is too large' : 'Invalid thumbnail upload'
+      });
+    }
+    next();
+  });
+};
+
+// Identity used by ChatModerationService for permission checks
+const toModerationActor = (user) => ({
+  userId: user._id.toString(),
+  username: user.username,
+  isAdmin: !!user.isAdmin
+});
+
+// Respond with the status attached to moderation errors
+const sendModerationError = (res, error, context) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Null when the stream was deleted in the meantime
+const getThumbnailPayload = async (streamId) => {
+  const stream = await Stream.findById(streamId).select('thumbnail thumbnails thumbnailSource thumbnailUpdatedAt');
+  if (!stream) return null;
+
+  return {
+    thumbnail: stream.thumbnail,
+    thumbnails: stream.thumbnails,
+    thumbnailSource: stream.thumbnailSource,
+    thumbnailUpdatedAt: stream.thumbnailUpdatedAt
+  };
+};
+
+// Access check shared by the stream page, its VOD and its chat history: every stream is
+// public, and an id that is not an ObjectId is a missing stream rather than a CastError
+const findViewableStream = (streamId) => {
+  if (!mongoose.isValidObjectId(streamId)) {
+    return Promise.resolve(null);
+  }
+  return Stream.findById(streamId).populate('streamer', 'username avatar isOnline followersCount');
+};
+
 // Public route - Get all public streams
 router.get('/', async (req, res) => {
   try {
@@ -67,7 +139,8 @@ router.get('/live', optionalAuth, async (req, res) => {
     
     if (req.user) {
       // Add personalization logic for authenticated users
-      const followedStreamers = req.user.following || [];
+      const followedStreamers = (await Follow.find({ follower: req.user._id }).distinct('following'))
+        .map(id => id.toString());
       
       // Sort followed streamers first, then by viewer count
       personalizedStreams = streams.sort((a, b) => {
@@ -95,11 +168,63 @@ router.get('/live', optionalAuth, async (req, res) => {
   }
 });
 
+// Public route - Scheduled streams that haven't started yet, soonest first
+router.get('/upcoming', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, category, streamer } = req.query;
+
+    const extra = {};
+    if (category && category !== 'all') {
+      extra.category = category;
+    }
+    if (streamer) {
+      if (!mongoose.isValidObjectId(streamer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid streamer ID'
+        });
+      }
+      extra.streamer = streamer;
+    }
+
+    const filter = ScheduleService.upcomingFilter(extra);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [streams, total] = await Promise.all([
+      Stream.find(filter)
+        .select('-rtmpUrl')
+        .populate('streamer', 'username avatar followersCount')
+        .sort({ scheduledFor: 1 })
+        .limit(pageSize)
+        .skip((pageNumber - 1) * pageSize)
+        .lean(),
+      Stream.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      streams,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get upcoming streams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get specific stream by ID
 router.get('/:streamId', optionalAuth, async (req, res) => {
   try {
-    const stream = await Stream.findById(req.params.streamId)
-      .populate('streamer', 'username avatar isOnline followers');
+    const stream = await findViewableStream(req.params.streamId);
 
     if (!stream) {
       return res.status(404).json({
@@ -108,12 +233,6 @@ router.get('/:streamId', optionalAuth, async (req, res) => {
       });
     }
 
-    // Increment total views if not the owner
-    if (!req.user || req.user._id.toString() !== stream.streamer._id.toString()) {
-      stream.totalViews += 1;
-      await stream.save();
-    }
-
     res.json({
       success: true,
       stream,
@@ -128,10 +247,210 @@ router.get('/:streamId', optionalAuth, async (req, res) => {
   }
 });
 
+// Public route - Serve a recorded broadcast (supports HTTP range requests)
+router.get('/:streamId/vod', optionalAuth, async (req, res) => {
+  try {
+    const stream = await findViewableStream(req.params.streamId);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    if (stream.recordingStatus !== 'ready' || !stream.recordingFile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not available'
+      });
+    }
+
+    res.sendFile(StreamingService.getRecordingPath(stream.recordingFile), {
+      acceptRanges: true,
+      headers: { 'Content-Type': 'video/mp4' }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Serve recording error:', error);
+        res.status(error.status === 404 ? 404 : 500).json({
+          success: false,
+          message: error.status === 404 ? 'Recording file not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Public route - Get chat history with cursor pagination
+router.get('/:streamId/chat', optionalAuth, async (req, res) => {
+  try {
+    const { before, limit = 50 } = req.query;
+
+    const stream = await findViewableStream(req.params.streamId);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    if (before && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+    const history = await ChatMessage.getHistory(stream._id, { before, limit: pageSize });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get chat history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Moderators only - Change chat modes (slow, follower-only, subscriber-only, emote-only)
+router.put('/:streamId/chat/settings', auth, async (req, res) => {
+  try {
+    const chatSettings = await ChatModerationService.updateChatSettings(
+      req.params.streamId, toModerationActor(req.user), req.body
+    );
+
+    res.json({
+      success: true,
+      chatSettings,
+      message: 'Chat settings updated'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Update chat settings');
+  }
+});
+
+// Moderators only - Time a user out of chat
+router.post('/:streamId/chat/timeouts', auth, async (req, res) => {
+  try {
+    const { userId, duration, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId is required'
+      });
+    }
+
+    const sanction = await ChatModerationService.timeoutUser(
+      req.params.streamId, userId, toModerationActor(req.user), { duration, reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      sanction,
+      message: 'User timed out'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Timeout user');
+  }
+});
+
+// Moderators only - Ban a user from the channel's chat
+router.post('/:streamId/chat/bans', auth, async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId is required'
+      });
+    }
+
+    const sanction = await ChatModerationService.banUser(
+      req.params.streamId, userId, toModerationActor(req.user), { reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      sanction,
+      message: 'User banned from chat'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Ban user');
+  }
+});
+
+// Moderators only - Lift a ban or timeout
+router.delete('/:streamId/chat/bans/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    await ChatModerationService.unbanUser(
+      req.params.streamId, req.params.userId, toModerationActor(req.user)
+    );
+
+    res.json({
+      success: true,
+      message: 'User unbanned from chat'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Unban user');
+  }
+});
+
+// Moderators only - Delete a chat message
+router.delete('/:streamId/chat/messages/:messageId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    await ChatModerationService.deleteMessage(
+      req.params.streamId, req.params.messageId, toModerationActor(req.user)
+    );
+
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Delete message');
+  }
+});
+
 // Requires authentication and streamer privileges
 router.post('/', auth, requireStreamer, async (req, res) => {
   try {
-    const { title, description, category, chatEnabled = true, recordingEnabled = false } = req.body;
+    const {
+      title,
+      description,
+      category,
+      chatEnabled = true,
+      recordingEnabled = false,
+      scheduledFor,
+      scheduledDuration
+    } = req.body;
     
     // Validation
     if (!title || title.trim().length === 0) {
@@ -148,8 +467,21 @@ router.post('/', auth, requireStreamer, async (req, res) => {
       });
     }
 
+    // Scheduled streams are announced ahead of time and picked up when the encoder connects
+    let scheduledStart = null;
+    if (scheduledFor !== undefined && scheduledFor !== null) {
+      try {
+        scheduledStart = ScheduleService.parseScheduledFor(scheduledFor);
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
     // Check if user already has an active stream
-    const existingStream = await Stream.findOne({
+    const existingStream = !scheduledStart && await Stream.findOne({
       streamer: req.user._id,
       isLive: true
     });
@@ -166,14 +498,26 @@ router.post('/', auth, requireStreamer, async (req, res) => {
       description: description ? description.trim() : '',
       category: category || 'Other',
       streamer: req.user._id,
-      streamKey: req.user.streamKey,
       chatEnabled,
       recordingEnabled,
-      rtmpUrl: `rtmp://localhost:1935/live/${req.user.streamKey}`,
-      hlsUrl: `http://localhost:8000/live/${req.user.streamKey}/index.m3u8`
+      status: scheduledStart ? 'scheduled' : 'created',
+      scheduledFor: scheduledStart || undefined,
+      scheduledDuration,
+      rtmpUrl: config.ingest.publicUrl
     });
+    stream.hlsUrl = StreamingService.getPlaybackUrl(stream._id);
 
-    await stream.save();
+    try {
+      await stream.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
     // Populate streamer info
     await stream.populate('streamer', 'username avatar');
@@ -213,10 +557,118 @@ router.get('/user/active', auth, async (req, res) => {
   }
 });
 
+// Public route - Serve a stream's current thumbnail (small, medium or large)
+router.get('/:streamId/thumbnail/:size', async (req, res) => {
+  try {
+    const stream = mongoose.isValidObjectId(req.params.streamId)
+      ? await Stream.findById(req.params.streamId).select('isLive thumbnailSource')
+      : null;
+    const file = stream && ThumbnailService.resolveFile(stream, req.params.size);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+
+    // The URL stays the same while live thumbnails refresh; keep caches short
+    res.sendFile(file, {
+      headers: {
+        'Content-Type': 'image/jpeg',
+        'Cache-Control': `public, max-age=${stream.isLive ? 30 : 300}`,
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Serve thumbnail error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Requires stream ownership - Upload a custom thumbnail that overrides generated ones
+router.put('/:streamId/thumbnail', auth, requireStreamOwner, readThumbnailUpload, async (req, res) => {
+  try {
+    await ThumbnailService.saveCustom(req.stream._id, req.body);
+
+    const payload = await getThumbnailPayload(req.stream._id);
+    if (!payload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...payload,
+      message: 'Thumbnail updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Upload thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Requires stream ownership - Remove the custom thumbnail
+router.delete('/:streamId/thumbnail', auth, requireStreamOwner, async (req, res) => {
+  try {
+    if (req.stream.thumbnailSource !== 'custom') {
+      return res.status(400).json({
+        success: false,
+        message: 'This stream has no custom thumbnail'
+      });
+    }
+
+    await ThumbnailService.removeCustom(req.stream);
+
+    const payload = await getThumbnailPayload(req.stream._id);
+    if (!payload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...payload,
+      message: 'Custom thumbnail removed'
+    });
+  } catch (error) {
+    console.error('Remove thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Requires stream ownership - Update stream
 router.put('/:streamId', auth, requireStreamOwner, async (req, res) => {
   try {
-    const { title, description, category, chatEnabled, recordingEnabled } = req.body;
+    const { title, description, category, chatEnabled, recordingEnabled, scheduledFor, scheduledDuration } = req.body;
+    const previousTitle = req.stream.title;
     
     // Validation
     if (title !== undefined) {
@@ -258,7 +710,52 @@ router.put('/:streamId', auth, requireStreamOwner, async (req, res) => {
       req.stream.recordingEnabled = recordingEnabled;
     }
 
-    await req.stream.save();
+    if (scheduledFor !== undefined || scheduledDuration !== undefined) {
+      if (req.stream.status !== 'scheduled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only scheduled streams can be rescheduled'
+        });
+      }
+
+      if (scheduledFor !== undefined) {
+        try {
+          req.stream.scheduledFor = ScheduleService.parseScheduledFor(scheduledFor);
+        } catch (error) {
+          return res.status(error.status || 400).json({
+            success: false,
+            message: error.message
+          });
+        }
+        // Followers get reminded again for the new time
+        req.stream.reminderSentAt = null;
+      }
+
+      if (scheduledDuration !== undefined) {
+        req.stream.scheduledDuration = scheduledDuration;
+      }
+    }
+
+    try {
+      await req.stream.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (req.stream.title !== previousTitle) {
+      EventBus.publish(EventBus.EVENTS.STREAM_TITLE_CHANGED, {
+        streamId: req.stream._id.toString(),
+        streamerId: req.stream.streamer.toString(),
+        title: req.stream.title,
+        previousTitle
+      });
+    }
 
     // Populate streamer info
     await req.stream.populate('streamer', 'username avatar');
@@ -287,15 +784,8 @@ router.post('/:streamId/end', auth, requireStreamOwner, async (req, res) => {
       });
     }
 
-    req.stream.isLive = false;
-    req.stream.endedAt = new Date();
-    
-    // Calculate duration
-    if (req.stream.startedAt) {
-      req.stream.duration = Math.floor((new Date() - req.stream.startedAt) / 1000);
-    }
-
-    await req.stream.save();
+    // Marks the stream ended, disconnects the encoder and notifies viewers
+    await StreamingService.endStream(req.stream, 'ended_by_streamer');
 
     res.json({
       success: true,
@@ -323,6 +813,8 @@ router.delete('/:streamId', auth, requireStreamOwner, async (req, res) => {
     }
 
     await req.stream.deleteOne();
+    ThumbnailService.removeAll(req.stream._id);
+    StreamingService.removeRecordings(req.stream._id);
 
     res.json({
       success: true,
@@ -349,7 +841,8 @@ router.get('/:streamId/analytics', auth, requireStreamOwner, async (req, res) =>
       startedAt: req.stream.startedAt,
       endedAt: req.stream.endedAt,
       isLive: req.stream.isLive,
-      category: req.stream.category
+      category: req.stream.category,
+      ...await AnalyticsService.getStreamAnalytics(req.stream)
     };
 
     res.json({
@@ -365,6 +858,26 @@ router.get('/:streamId/analytics', auth, requireStreamOwner, async (req, res) =>
   }
 });
 
+// Get ingest and transcoder health of a live stream (stream owner only)
+router.get('/:streamId/health', auth, requireStreamOwner, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      health: {
+        streamId: req.stream._id,
+        isLive: req.stream.isLive,
+        ...StreamHealthService.getHealth(req.stream._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get stream health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get trending streams
 router.get('/trending/all', async (req, res) => {
   try {
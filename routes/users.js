@@ -1,14 +1,107 @@
 // backend/routes/users.js
 const express = require('express');
+const mongoose = require('mongoose');
 const { 
   auth, 
   requireAdmin, 
   requireOwnerOrAdmin 
 } = require('../middleware/auth');
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const FollowEvent = require('../models/FollowEvent');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const NotificationService = require('../services/NotificationService');
+const EventBus = require('../services/EventBus');
+const ChatModerationService = require('../services/ChatModerationService');
+const AnalyticsService = require('../services/AnalyticsService');
+const ScheduleService = require('../services/ScheduleService');
 
 const router = express.Router();
 
+const CSV_COLUMNS = [
+  ['period', 'period'],
+  ['broadcasts', 'broadcasts'],
+  ['hours_streamed', 'hoursStreamed'],
+  ['average_viewers', 'averageViewers'],
+  ['peak_viewers', 'peakViewers'],
+  ['followers_gained', 'followersGained'],
+  ['followers_lost', 'followersLost'],
+  ['chat_messages', 'chatMessages']
+];
+
+const toCsvValue = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => [
+  CSV_COLUMNS.map(([header]) => header).join(','),
+  ...rows.map(row => CSV_COLUMNS.map(([, field]) => toCsvValue(row[field])).join(','))
+].join('\r\n') + '\r\n';
+
+// Cursor-paginated follow listing; `side` is the field pointing at the listed users
+const listFollows = async (req, res, filterField, side) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('followersCount followingCount');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = { [filterField]: user._id };
+    if (cursor) {
+      filter._id = { $lt: cursor };
+    }
+
+    const follows = await Follow.find(filter)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .populate(side, 'username avatar isOnline isStreamer')
+      .lean();
+
+    const hasMore = follows.length > pageSize;
+    const page = follows.slice(0, pageSize);
+
+    res.json({
+      success: true,
+      users: page
+        .filter(follow => follow[side])
+        .map(follow => ({
+          user: follow[side],
+          followedAt: follow.createdAt
+        })),
+      total: side === 'follower' ? user.followersCount : user.followingCount,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('List follows error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // User can only access their own profile or admin can access any
 router.get('/:userId', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
   try {
@@ -33,6 +126,77 @@ router.get('/:userId', auth, requireOwnerOrAdmin('userId'), async (req, res) =>
   }
 });
 
+// Channel owner or admin - Channel analytics over a date range, as JSON or CSV
+router.get('/:userId/analytics', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const { from, to, granularity } = req.query;
+    const analytics = await AnalyticsService.getChannelAnalytics(req.params.userId, { from, to, granularity });
+
+    const wantsCsv = req.query.format === 'csv' ||
+      (req.query.format === undefined && req.accepts(['json', 'csv']) === 'csv');
+
+    if (wantsCsv) {
+      const day = (date) => date.toISOString().slice(0, 10);
+      res.attachment(`channel-${req.params.userId}-${day(analytics.from)}-${day(analytics.to)}.csv`);
+      return res.type('text/csv').send(toCsv(analytics.series));
+    }
+
+    res.json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get channel analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Public - A channel's stream schedule as an iCalendar feed
+router.get('/:userId/schedule.ics', async (req, res) => {
+  try {
+    const streamer = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findById(req.params.userId).select('username isStreamer')
+      : null;
+
+    if (!streamer || !streamer.isStreamer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    const streams = await ScheduleService.getFeedStreams(streamer._id);
+
+    // Usernames can contain anything; keep the file name to safe characters
+    res.attachment(`${streamer.username.replace(/[^\w.-]+/g, '_')}-schedule.ics`);
+    res.type('text/calendar; charset=utf-8');
+    res.send(ScheduleService.buildCalendar(streamer, streams, req.hostname));
+  } catch (error) {
+    console.error('Get channel schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Only admins can get all users
 router.get('/', auth, requireAdmin, async (req, res) => {
   try {
@@ -87,4 +251,290 @@ router.put('/:userId', auth, requireOwnerOrAdmin('userId'), async (req, res) =>
   }
 });
 
+// Follow a user
+router.post('/:userId/follow', auth, async (req, res) => {
+  try {
+    const targetId = req.params.userId;
+
+    if (targetId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const target = mongoose.isValidObjectId(targetId)
+      ? await User.findById(targetId).select('username')
+      : null;
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // A single Follow document covers both sides of the relationship; the
+    // counts on both users are derived from it
+    let follow;
+    try {
+      follow = await Follow.create({ follower: req.user._id, following: target._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Already following this user'
+        });
+      }
+      throw error;
+    }
+
+    await Promise.all([
+      Follow.syncCounts(target._id, req.user._id),
+      FollowEvent.create({ channel: target._id, follower: req.user._id, type: 'follow' })
+    ]);
+
+    await NotificationService.notifyNewFollower(target._id.toString(), req.user._id.toString(), req.user.username);
+
+    EventBus.publish(EventBus.EVENTS.FOLLOWER_NEW, {
+      streamerId: target._id.toString(),
+      followerId: req.user._id.toString(),
+      followerUsername: req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      followedAt: follow.createdAt,
+      message: `You are now following ${target.username}`
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Unfollow a user
+router.delete('/:userId/follow', auth, async (req, res) => {
+  try {
+    const follow = mongoose.isValidObjectId(req.params.userId)
+      ? await Follow.findOneAndDelete({ follower: req.user._id, following: req.params.userId })
+      : null;
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not following this user'
+      });
+    }
+
+    await Promise.all([
+      Follow.syncCounts(follow.following, req.user._id),
+      FollowEvent.create({ channel: follow.following, follower: req.user._id, type: 'unfollow' })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Unfollowed successfully'
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Public - Users following a user
+router.get('/:userId/followers', (req, res) => listFollows(req, res, 'following', 'follower'));
+
+// Public - Users a user follows
+router.get('/:userId/following', (req, res) => listFollows(req, res, 'follower', 'following'));
+
+// Channel owner or admin - List chat moderators
+router.get('/:userId/moderators', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('chatModerators')
+      .populate('chatModerators', 'username avatar');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      moderators: user.chatModerators
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Channel owner or admin - Appoint a chat moderator
+router.post('/:userId/moderators', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    const { moderatorId } = req.body;
+
+    if (!mongoose.isValidObjectId(moderatorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid moderatorId is required'
+      });
+    }
+
+    const moderator = await ChatModerationService.addModerator(req.params.userId, moderatorId);
+
+    res.status(201).json({
+      success: true,
+      moderator,
+      message: 'Moderator added'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Channel owner or admin - Remove a chat moderator
+router.delete('/:userId/moderators/:moderatorId', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.moderatorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid moderator ID'
+      });
+    }
+
+    await ChatModerationService.removeModerator(req.params.userId, req.params.moderatorId);
+
+    res.json({
+      success: true,
+      message: 'Moderator removed'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Channel owner or admin - List subscribers, who may chat in subscriber-only mode
+router.get('/:userId/subscribers', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = { channel: req.params.userId };
+    if (cursor) {
+      filter._id = { $lt: cursor };
+    }
+
+    const subscriptions = await ChannelSubscription.find(filter)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .populate('subscriber', 'username avatar')
+      .lean();
+
+    const hasMore = subscriptions.length > pageSize;
+    const page = subscriptions.slice(0, pageSize);
+
+    res.json({
+      success: true,
+      subscribers: page
+        .filter(subscription => subscription.subscriber)
+        .map(subscription => ({
+          user: subscription.subscriber,
+          subscribedAt: subscription.createdAt,
+          expiresAt: subscription.expiresAt
+        })),
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('List subscribers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Channel owner or admin - Add or renew a subscriber
+router.post('/:userId/subscribers', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    const { subscriberId, expiresAt } = req.body;
+
+    if (!mongoose.isValidObjectId(subscriberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid subscriberId is required'
+      });
+    }
+
+    const subscription = await ChatModerationService.addSubscriber(req.params.userId, subscriberId, { expiresAt });
+
+    res.status(201).json({
+      success: true,
+      ...subscription,
+      message: 'Subscriber added'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Channel owner or admin - Remove a subscriber
+router.delete('/:userId/subscribers/:subscriberId', auth, requireOwnerOrAdmin('userId'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.subscriberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscriber ID'
+      });
+    }
+
+    await ChatModerationService.removeSubscriber(req.params.userId, req.params.subscriberId);
+
+    res.json({
+      success: true,
+      message: 'Subscriber removed'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
 module.exports = router;
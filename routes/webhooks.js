@@ -0,0 +1,402 @@
+// backend/routes/webhooks.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const User = require('../models/User');
+const WebhookService = require('../services/WebhookService');
+
+const router = express.Router();
+
+// Webhooks are available to streamers (for their channel) and admins
+router.use(auth, (req, res, next) => {
+  if (!req.user.isStreamer && !req.user.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Streamer privileges required'
+    });
+  }
+  next();
+});
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || !events.length) {
+    return 'events must be a non-empty array';
+  }
+
+  const unknown = events.find(event => !Webhook.EVENTS.includes(event));
+  return unknown ? `Unknown event: ${unknown}` : null;
+};
+
+const serializeWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  channel: webhook.channel,
+  events: webhook.events,
+  description: webhook.description,
+  isActive: webhook.isActive,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+// Response bodies come from the endpoint and can echo internal details; only admins see them
+const serializeDelivery = (delivery, user) => ({
+  id: delivery._id,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  responseStatus: delivery.responseStatus,
+  responseBody: user.isAdmin ? delivery.responseBody : undefined,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  deliveredAt: delivery.deliveredAt,
+  redeliveryOf: delivery.redeliveryOf,
+  createdAt: delivery.createdAt
+});
+
+/**
+ * Load a webhook the current user owns (admins can load any)
+ * Responds and returns null when it is missing or not accessible
+ */
+const loadWebhook = async (req, res, select = '') => {
+  if (!mongoose.isValidObjectId(req.params.webhookId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid webhook ID'
+    });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(req.params.webhookId).select(select);
+
+  if (!webhook || (webhook.owner.toString() !== req.user._id.toString() && !req.user.isAdmin)) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      events: Webhook.EVENTS,
+      webhooks: webhooks.map(serializeWebhook)
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create a webhook; the signing secret is only returned here
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description = '' } = req.body;
+    let channel = req.user._id;
+
+    const urlError = await WebhookService.checkUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+
+    // Admins can subscribe to another channel, or to every channel with null
+    if (req.body.channel !== undefined && String(req.body.channel) !== req.user._id.toString()) {
+      if (!req.user.isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only register webhooks for your own channel'
+        });
+      }
+
+      if (req.body.channel === null) {
+        channel = null;
+      } else {
+        const streamer = mongoose.isValidObjectId(req.body.channel)
+          ? await User.findById(req.body.channel).select('isStreamer')
+          : null;
+
+        if (!streamer || !streamer.isStreamer) {
+          return res.status(404).json({
+            success: false,
+            message: 'Channel not found'
+          });
+        }
+        channel = streamer._id;
+      }
+    }
+
+    const secret = WebhookService.generateSecret();
+    const webhook = await Webhook.create({
+      owner: req.user._id,
+      channel,
+      url,
+      events: [...new Set(events)],
+      description: String(description).slice(0, 200),
+      secret
+    });
+
+    WebhookService.invalidateCache();
+
+    res.status(201).json({
+      success: true,
+      webhook: {
+        ...serializeWebhook(webhook),
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update a webhook (partial updates)
+router.put('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, events, description, isActive } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await WebhookService.checkUrl(url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          message: urlError
+        });
+      }
+      webhook.url = url;
+    }
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({
+          success: false,
+          message: eventsError
+        });
+      }
+      webhook.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+      webhook.description = String(description).slice(0, 200);
+    }
+
+    if (isActive !== undefined) {
+      webhook.isActive = !!isActive;
+    }
+
+    await webhook.save();
+    WebhookService.invalidateCache();
+
+    res.json({
+      success: true,
+      webhook: serializeWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Generate a new signing secret
+router.post('/:webhookId/secret', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = WebhookService.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await Promise.all([
+      webhook.deleteOne(),
+      WebhookDelivery.deleteMany({ webhook: webhook._id })
+    ]);
+    WebhookService.invalidateCache();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delivery log with cursor pagination
+router.get('/:webhookId/deliveries', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { cursor, limit = 20, status } = req.query;
+
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = { webhook: webhook._id };
+    if (cursor) {
+      filter._id = { $lt: cursor };
+    }
+    if (status) {
+      filter.status = String(status);
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = deliveries.length > pageSize;
+    const page = deliveries.slice(0, pageSize);
+
+    res.json({
+      success: true,
+      deliveries: page.map(delivery => serializeDelivery(delivery, req.user)),
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get a single delivery including the payload that was sent
+router.get('/:webhookId/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery: {
+        ...serializeDelivery(delivery, req.user),
+        payload: delivery.payload
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send a past delivery again; the new attempt gets its own log entry
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Webhook is disabled'
+      });
+    }
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const redelivery = await WebhookService.redeliver(delivery);
+
+    res.status(202).json({
+      success: true,
+      delivery: serializeDelivery(redelivery, req.user)
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
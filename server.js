@@ -6,7 +6,15 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 require('dotenv').config();
 
-// Import configurations
+// Import configurations; stop right away on invalid settings
+let config;
+try {
+  config = require('./config/app');
+  config.ensureDirectories();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 const connectDB = require('./config/database');
 //const connectRedis = require('./config/redis');
 
@@ -14,12 +22,23 @@ const connectDB = require('./config/database');
 const authRoutes = require('./routes/auth');
 const streamRoutes = require('./routes/streams');
 const userRoutes = require('./routes/users');
+const notificationRoutes = require('./routes/notifications');
+const emailRoutes = require('./routes/email');
+const webhookRoutes = require('./routes/webhooks');
+const streamingRoutes = require('./routes/streaming');
 // const rtmpRoutes = require('./routes/rtmp');
 // const analyticsRoutes = require('./routes/analytics');
 
 // Import services
 const StreamingService = require('./services/StreamingService');
 const NotificationService = require('./services/NotificationService');
+const ChatModerationService = require('./services/ChatModerationService');
+const EmailService = require('./services/EmailService');
+const PushService = require('./services/PushService');
+const WebhookService = require('./services/WebhookService');
+const AnalyticsService = require('./services/AnalyticsService');
+const ScheduleService = require('./services/ScheduleService');
+const RestreamService = require('./services/RestreamService');
 
 const app = express();
 const server = http.createServer(app);
@@ -27,7 +46,7 @@ const server = http.createServer(app);
 // Socket.IO setup with CORS
 const io = socketIo(server, {
   cors: {
-    origin: process.env.CLIENT_URL || "http://localhost:5173",
+    origin: config.cors.origins,
     methods: ["GET", "POST"]
   }
 });
@@ -35,7 +54,7 @@ const io = socketIo(server, {
 // Security middleware
 app.use(helmet());
 app.use(cors({
-  origin: process.env.CLIENT_URL || "http://localhost:5173",
+  origin: config.cors.origins,
   credentials: true
 }));
 
@@ -52,41 +71,28 @@ connectDB();
 app.use('/api/auth', authRoutes);
 app.use('/api/streams', streamRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/streaming', streamingRoutes);
 // app.use('/api/rtmp', rtmpRoutes);
 // app.use('/api/analytics', analyticsRoutes);
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  // Join stream room
-  socket.on('join-stream', (streamId) => {
-    socket.join(`stream-${streamId}`);
-    console.log(`Socket ${socket.id} joined stream ${streamId}`);
-  });
-  
-  // Handle chat messages
-  socket.on('chat-message', (data) => {
-    socket.to(`stream-${data.streamId}`).emit('new-message', data);
-  });
-  
-  // Handle viewer count updates
-  socket.on('viewer-joined', (streamId) => {
-    socket.to(`stream-${streamId}`).emit('viewer-count-update');
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO connection handling (authentication, rooms, chat) lives in NotificationService
 
 // Start streaming services
 StreamingService.initialize();
 NotificationService.initialize(io);
+ChatModerationService.initialize(io);
+EmailService.initialize();
+PushService.initialize();
+WebhookService.initialize();
+AnalyticsService.initialize();
+ScheduleService.initialize();
+RestreamService.initialize();
 
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
+server.listen(config.server.port, () => {
+  console.log(`🚀 Server running on port ${config.server.port}`);
 });
 
 module.exports = { app, io };
\ No newline at end of file
@@ -0,0 +1,571 @@
+// backend/services/AnalyticsService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Stream = require('../models/Stream');
+const ViewerSession = require('../models/ViewerSession');
+const Broadcast = require('../models/Broadcast');
+const FollowEvent = require('../models/FollowEvent');
+const ChatMessage = require('../models/ChatMessage');
+const EventBus = require('./EventBus');
+
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const MAX_PERIODS = 400;
+const TOP_CATEGORIES = 5;
+
+// Pipeline update that closes a session at `at` and records how long it lasted
+const closeSession = (at) => [{
+  $set: {
+    leftAt: at,
+    watchTime: {
+      $max: [0, { $floor: { $divide: [{ $subtract: [at, '$joinedAt'] }, 1000] } }]
+    }
+  }
+}];
+
+// Seconds on air of a broadcast; ones still live count up to now
+const broadcastSeconds = {
+  $cond: [
+    { $eq: ['$endedAt', null] },
+    { $floor: { $divide: [{ $subtract: ['$$NOW', '$startedAt'] }, 1000] } },
+    '$duration'
+  ]
+};
+
+class AnalyticsService {
+  constructor() {
+    this.openSessions = new Map(); // `${socketId}:${streamId}` -> session id (null while being created)
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Close sessions left open by a previous process and start the session heartbeat
+   */
+  initialize() {
+    ViewerSession.updateMany({ leftAt: null }, closeSession('$lastSeenAt'))
+      .catch((error) => console.error('Viewer session recovery error:', error));
+
+    this.backfillBroadcasts()
+      .catch((error) => console.error('Broadcast history backfill error:', error));
+
+    EventBus.subscribe(EventBus.EVENTS.STREAM_STARTED, ({ streamId }) =>
+      this.recordBroadcastStart(streamId)
+    );
+
+    EventBus.subscribe(EventBus.EVENTS.STREAM_ENDED, async ({ streamId }) => {
+      await this.closeStreamSessions(streamId);
+      await this.recordBroadcastEnd(streamId);
+    });
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+
+    console.log('📊 AnalyticsService initialized');
+  }
+
+  /**
+   * Client type from the handshake (`clientType`), falling back to the user agent
+   */
+  getClientType(socket) {
+    const declared = socket.handshake.auth?.clientType || socket.handshake.query?.clientType;
+    if (ViewerSession.CLIENT_TYPES.includes(declared)) {
+      return declared;
+    }
+
+    const userAgent = socket.handshake.headers['user-agent'] || '';
+    if (!userAgent) return 'other';
+    if (/SmartTV|SMART-TV|Tizen|Web0S|AppleTV|CrKey|BRAVIA/i.test(userAgent)) return 'tv';
+    if (/Mobi|Android|iPhone|iPad/i.test(userAgent)) return 'mobile';
+    if (/Electron/i.test(userAgent)) return 'desktop';
+    if (/Mozilla/i.test(userAgent)) return 'web';
+    return 'other';
+  }
+
+  /**
+   * Stable identifier used to count unique viewers
+   * Guest names change on every connection, so anonymous viewers are keyed by IP + user agent
+   */
+  getViewerKey(socket) {
+    const { userId, isGuest } = socket.data.user;
+    if (!isGuest) return userId;
+
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    const ip = forwardedFor ? forwardedFor.split(',')[0].trim() : socket.handshake.address;
+    const userAgent = socket.handshake.headers['user-agent'] || '';
+
+    return `anon:${crypto.createHash('sha256').update(`${ip}|${userAgent}`).digest('hex').slice(0, 32)}`;
+  }
+
+  /**
+   * Record a socket watching a live stream
+   * Sockets that join an offline stream are picked up when it goes live
+   */
+  async startViewerSession(socket, streamId) {
+    const key = `${socket.id}:${streamId}`;
+    if (this.openSessions.has(key)) return;
+    this.openSessions.set(key, null);
+
+    try {
+      const stream = await Stream.findById(streamId).select('streamer isLive startedAt');
+      const identity = socket.data.user;
+
+      if (!stream || !stream.isLive || !stream.startedAt ||
+          (!identity.isGuest && stream.streamer.toString() === identity.userId)) {
+        this.openSessions.delete(key);
+        return;
+      }
+
+      const viewerKey = this.getViewerKey(socket);
+      const isReturning = await ViewerSession.exists({
+        stream: stream._id,
+        broadcastStartedAt: stream.startedAt,
+        viewerKey
+      });
+
+      const session = await ViewerSession.create({
+        stream: stream._id,
+        broadcastStartedAt: stream.startedAt,
+        user: identity.isGuest ? null : identity.userId,
+        viewerKey,
+        isAuthenticated: !identity.isGuest,
+        clientType: this.getClientType(socket),
+        socketId: socket.id
+      });
+
+      // One view per viewer per broadcast, however often they reconnect
+      if (!isReturning) {
+        await Stream.updateOne({ _id: stream._id }, { $inc: { totalViews: 1 } });
+      }
+
+      // The viewer left while the session was being created
+      if (!this.openSessions.has(key)) {
+        await ViewerSession.updateOne({ _id: session._id }, closeSession(new Date()));
+        return;
+      }
+
+      this.openSessions.set(key, session._id);
+
+    } catch (error) {
+      this.openSessions.delete(key);
+      console.error('Start viewer session error:', error);
+    }
+  }
+
+  async endViewerSession(socketId, streamId) {
+    const key = `${socketId}:${streamId}`;
+    const sessionId = this.openSessions.get(key);
+    this.openSessions.delete(key);
+
+    if (!sessionId) return;
+
+    try {
+      await ViewerSession.updateOne({ _id: sessionId, leftAt: null }, closeSession(new Date()));
+    } catch (error) {
+      console.error('End viewer session error:', error);
+    }
+  }
+
+  /**
+   * Close every session of a broadcast when it ends; viewers who stay in the room no longer count
+   */
+  async closeStreamSessions(streamId) {
+    for (const key of this.openSessions.keys()) {
+      if (key.endsWith(`:${streamId}`)) {
+        this.openSessions.delete(key);
+      }
+    }
+
+    await ViewerSession.updateMany({ stream: streamId, leftAt: null }, closeSession(new Date()));
+  }
+
+  async heartbeat() {
+    const sessionIds = [...this.openSessions.values()].filter(Boolean);
+    if (!sessionIds.length) return;
+
+    try {
+      await ViewerSession.updateMany(
+        { _id: { $in: sessionIds }, leftAt: null },
+        { lastSeenAt: new Date() }
+      );
+    } catch (error) {
+      console.error('Viewer session heartbeat error:', error);
+    }
+  }
+
+  /**
+   * Peak concurrency and a per-minute series (highest concurrency within each minute)
+   * from session join/leave times
+   */
+  buildConcurrency(sessions, from, to) {
+    const events = [];
+    for (const session of sessions) {
+      events.push({ time: session.joinedAt.getTime(), delta: 1 });
+      events.push({ time: session.leftAt.getTime(), delta: -1 });
+    }
+    // Leaves before joins at the same instant, so reconnects don't inflate the peak
+    events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+    const start = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+    const minutes = Math.max(1, Math.ceil((to.getTime() - start) / MINUTE_MS));
+
+    const series = [];
+    let current = 0;
+    let peak = 0;
+    let peakAt = null;
+    let index = 0;
+
+    for (let minute = 0; minute < minutes; minute++) {
+      const minuteEnd = start + (minute + 1) * MINUTE_MS;
+      let highest = current;
+
+      while (index < events.length && events[index].time < minuteEnd) {
+        current += events[index].delta;
+        if (current > highest) highest = current;
+        if (current > peak) {
+          peak = current;
+          peakAt = new Date(events[index].time);
+        }
+        index++;
+      }
+
+      series.push({
+        time: new Date(minuteEnd - MINUTE_MS),
+        viewers: highest
+      });
+    }
+
+    return { peak, peakAt, series };
+  }
+
+  /**
+   * Viewer analytics for the current (or most recent) broadcast of a stream
+   */
+  async getStreamAnalytics(stream) {
+    const empty = {
+      peakViewers: 0,
+      peakViewersAt: null,
+      uniqueViewers: 0,
+      authenticatedViewers: 0,
+      anonymousViewers: 0,
+      totalSessions: 0,
+      totalWatchTime: 0,
+      averageWatchTime: 0,
+      clientTypes: {},
+      concurrency: []
+    };
+
+    if (!stream.startedAt) return empty;
+
+    const now = new Date();
+    const until = stream.isLive ? now : (stream.endedAt || now);
+
+    const sessions = await ViewerSession.find({
+      stream: stream._id,
+      broadcastStartedAt: stream.startedAt
+    })
+      .select('viewerKey isAuthenticated clientType joinedAt leftAt')
+      .lean();
+
+    const viewers = new Map(); // viewerKey -> isAuthenticated
+    const clientTypes = {};
+    let totalWatchTime = 0;
+
+    for (const session of sessions) {
+      session.leftAt = session.leftAt || until;
+      totalWatchTime += Math.max(0, Math.floor((session.leftAt - session.joinedAt) / 1000));
+
+      viewers.set(session.viewerKey, session.isAuthenticated);
+      clientTypes[session.clientType] = (clientTypes[session.clientType] || 0) + 1;
+    }
+
+    if (!sessions.length) return empty;
+
+    const authenticatedViewers = [...viewers.values()].filter(Boolean).length;
+    const { peak, peakAt, series } = this.buildConcurrency(sessions, stream.startedAt, until);
+
+    return {
+      peakViewers: peak,
+      peakViewersAt: peakAt,
+      uniqueViewers: viewers.size,
+      authenticatedViewers,
+      anonymousViewers: viewers.size - authenticatedViewers,
+      totalSessions: sessions.length,
+      totalWatchTime, // seconds
+      averageWatchTime: Math.round(totalWatchTime / viewers.size), // seconds per unique viewer
+      clientTypes,
+      concurrency: series
+    };
+  }
+
+  /**
+   * Open the history record of a broadcast
+   */
+  async recordBroadcastStart(streamId) {
+    const stream = await Stream.findById(streamId).select('streamer title category startedAt');
+    if (!stream || !stream.startedAt) return;
+
+    await Broadcast.updateOne(
+      { stream: stream._id, startedAt: stream.startedAt },
+      {
+        $setOnInsert: {
+          streamer: stream.streamer,
+          title: stream.title,
+          category: stream.category
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Store the final numbers of a broadcast once it ends
+   */
+  async recordBroadcastEnd(streamId) {
+    const stream = await Stream.findById(streamId);
+    if (!stream || !stream.startedAt) return;
+
+    const analytics = await this.getStreamAnalytics(stream);
+
+    await Broadcast.updateOne(
+      { stream: stream._id, startedAt: stream.startedAt },
+      {
+        streamer: stream.streamer,
+        title: stream.title,
+        category: stream.category,
+        endedAt: stream.endedAt || new Date(),
+        duration: stream.duration,
+        peakViewers: analytics.peakViewers,
+        uniqueViewers: analytics.uniqueViewers,
+        totalWatchTime: analytics.totalWatchTime
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Give broadcasts that ended before Broadcast records existed a history record.
+   * Streams were reused across broadcasts back then, so only the last broadcast
+   * of each of those streams can be recovered; earlier ones are gone.
+   */
+  async backfillBroadcasts() {
+    const missing = await Stream.aggregate([
+      { $match: { startedAt: { $ne: null }, isLive: false } },
+      {
+        $lookup: {
+          from: Broadcast.collection.name,
+          let: { stream: '$_id', startedAt: '$startedAt' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$stream', '$$stream'] }, { $eq: ['$startedAt', '$$startedAt'] }] } } },
+            { $limit: 1 }
+          ],
+          as: 'broadcast'
+        }
+      },
+      { $match: { broadcast: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]);
+
+    for (const { _id } of missing) {
+      await this.recordBroadcastEnd(_id);
+    }
+
+    if (missing.length) {
+      console.log(`📊 Recorded history for ${missing.length} earlier broadcasts`);
+    }
+  }
+
+  /**
+   * Start of the period containing `date` (UTC); weeks start on Monday
+   */
+  truncateDate(date, granularity) {
+    const truncated = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (granularity === 'week') {
+      truncated.setUTCDate(truncated.getUTCDate() - ((truncated.getUTCDay() + 6) % 7));
+    } else if (granularity === 'month') {
+      truncated.setUTCDate(1);
+    }
+    return truncated;
+  }
+
+  nextPeriod(date, granularity) {
+    const next = new Date(date);
+    if (granularity === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    if (granularity === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    if (granularity === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    return next;
+  }
+
+  listPeriods(from, to, granularity) {
+    const periods = [];
+    for (let period = this.truncateDate(from, granularity); period < to; period = this.nextPeriod(period, granularity)) {
+      periods.push(period);
+    }
+    return periods;
+  }
+
+  /**
+   * Validate a channel analytics range; errors carry an HTTP status
+   */
+  parseRange({ from, to, granularity = 'day' }) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (!GRANULARITIES.includes(granularity)) {
+      fail(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      fail('from and to must be valid dates');
+    }
+    if (start >= end) {
+      fail('from must be before to');
+    }
+    if (this.listPeriods(start, end, granularity).length > MAX_PERIODS) {
+      fail(`Range too large for ${granularity} granularity`);
+    }
+
+    return { from: start, to: end, granularity };
+  }
+
+  /**
+   * Channel analytics across all broadcasts in a date range, bucketed by day, week or month (UTC)
+   */
+  async getChannelAnalytics(channelId, range) {
+    const { from, to, granularity } = this.parseRange(range);
+    const channel = new mongoose.Types.ObjectId(channelId);
+    const period = (field) => ({
+      $dateTrunc: {
+        date: field,
+        unit: granularity,
+        timezone: 'UTC',
+        ...(granularity === 'week' && { startOfWeek: 'monday' })
+      }
+    });
+
+    const streamIds = await Stream.distinct('_id', { streamer: channel });
+
+    const [broadcasts, categories, followEvents, chatMessages, liveBroadcasts] = await Promise.all([
+      Broadcast.aggregate([
+        { $match: { streamer: channel, startedAt: { $gte: from, $lt: to } } },
+        { $addFields: { seconds: broadcastSeconds } },
+        {
+          $group: {
+            _id: period('$startedAt'),
+            broadcasts: { $sum: 1 },
+            seconds: { $sum: '$seconds' },
+            watchTime: { $sum: '$totalWatchTime' },
+            peakViewers: { $max: '$peakViewers' }
+          }
+        }
+      ]),
+      Broadcast.aggregate([
+        { $match: { streamer: channel, startedAt: { $gte: from, $lt: to } } },
+        { $group: { _id: '$category', broadcasts: { $sum: 1 }, seconds: { $sum: broadcastSeconds } } },
+        { $sort: { seconds: -1, broadcasts: -1 } },
+        { $limit: TOP_CATEGORIES }
+      ]),
+      FollowEvent.aggregate([
+        { $match: { channel, createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: { period: period('$createdAt'), type: '$type' }, count: { $sum: 1 } } }
+      ]),
+      ChatMessage.aggregate([
+        { $match: { stream: { $in: streamIds }, createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: period('$createdAt'), count: { $sum: 1 } } }
+      ]),
+      Broadcast.find({ streamer: channel, endedAt: null, startedAt: { $gte: from, $lt: to } })
+        .select('stream startedAt')
+        .lean()
+    ]);
+
+    const series = new Map(this.listPeriods(from, to, granularity).map(date => [date.getTime(), {
+      period: date,
+      broadcasts: 0,
+      seconds: 0,
+      watchTime: 0,
+      peakViewers: 0,
+      followersGained: 0,
+      followersLost: 0,
+      chatMessages: 0
+    }]));
+
+    for (const row of broadcasts) {
+      const bucket = series.get(row._id.getTime());
+      if (bucket) {
+        Object.assign(bucket, {
+          broadcasts: row.broadcasts,
+          seconds: row.seconds,
+          watchTime: row.watchTime,
+          peakViewers: row.peakViewers
+        });
+      }
+    }
+    // A live broadcast's watch time and peak are only recorded when it ends; add them as they stand
+    for (const broadcast of liveBroadcasts) {
+      const bucket = series.get(this.truncateDate(broadcast.startedAt, granularity).getTime());
+      if (bucket) {
+        const live = await this.getStreamAnalytics({ _id: broadcast.stream, startedAt: broadcast.startedAt, isLive: true });
+        bucket.watchTime += live.totalWatchTime;
+        bucket.peakViewers = Math.max(bucket.peakViewers, live.peakViewers);
+      }
+    }
+    for (const row of followEvents) {
+      const bucket = series.get(row._id.period.getTime());
+      if (bucket) {
+        bucket[row._id.type === 'follow' ? 'followersGained' : 'followersLost'] = row.count;
+      }
+    }
+    for (const row of chatMessages) {
+      const bucket = series.get(row._id.getTime());
+      if (bucket) bucket.chatMessages = row.count;
+    }
+
+    const toHours = (seconds) => Math.round(seconds / 36) / 100;
+    // Viewers averaged over time on air
+    const averageViewers = (watchTime, seconds) => (seconds ? Math.round((watchTime / seconds) * 10) / 10 : 0);
+    const summarize = ({ seconds, watchTime, ...rest }) => ({
+      ...rest,
+      hoursStreamed: toHours(seconds),
+      averageViewers: averageViewers(watchTime, seconds)
+    });
+
+    const rows = [...series.values()];
+    const totals = rows.reduce((sum, row) => ({
+      broadcasts: sum.broadcasts + row.broadcasts,
+      seconds: sum.seconds + row.seconds,
+      watchTime: sum.watchTime + row.watchTime,
+      peakViewers: Math.max(sum.peakViewers, row.peakViewers),
+      followersGained: sum.followersGained + row.followersGained,
+      followersLost: sum.followersLost + row.followersLost,
+      chatMessages: sum.chatMessages + row.chatMessages
+    }), { broadcasts: 0, seconds: 0, watchTime: 0, peakViewers: 0, followersGained: 0, followersLost: 0, chatMessages: 0 });
+
+    return {
+      channelId,
+      from,
+      to,
+      granularity,
+      totals: {
+        ...summarize(totals),
+        netFollowers: totals.followersGained - totals.followersLost
+      },
+      topCategories: categories.map(category => ({
+        category: category._id,
+        broadcasts: category.broadcasts,
+        hoursStreamed: toHours(category.seconds)
+      })),
+      series: rows.map(summarize)
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,503 @@
+// backend/services/ChatModerationService.js
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Stream = require('../models/Stream');
+const ChatMessage = require('../models/ChatMessage');
+const ChatSanction = require('../models/ChatSanction');
+const Follow = require('../models/Follow');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const config = require('../config/app');
+
+const MAX_TIMEOUT_SECONDS = 14 * 24 * 60 * 60; // 14 days
+const DEFAULT_TIMEOUT_SECONDS = 600;
+
+// Token bucket for chat flood protection
+const RATE_LIMIT_BURST = config.chat.rateLimitBurst;
+const RATE_LIMIT_PER_SECOND = config.chat.rateLimitPerSecond;
+
+// :emote_name: codes or emoji (with joiners, variation selectors and skin tones)
+const EMOTE_TOKEN = /^(?::[a-z0-9_]+:|(?:\p{Extended_Pictographic}|\p{Emoji_Presentation}|\u200d|\ufe0f|[\u{1F3FB}-\u{1F3FF}])+)$/iu;
+
+const CHAT_SETTING_LIMITS = {
+  slowMode: { min: 0, max: 3600 },
+  followersOnlyMinAge: { min: 0, max: 129600 }
+};
+
+class ChatModerationService {
+  constructor() {
+    this.io = null;
+    this.rateLimitBuckets = new Map(); // userId -> { tokens, updatedAt }
+    this.lastMessageAt = new Map(); // `${streamId}:${userId}` -> timestamp
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Initialize the moderation service with Socket.IO instance
+   */
+  initialize(io) {
+    this.io = io;
+
+    // Drop idle rate limit state
+    this.cleanupInterval = setInterval(() => this.pruneRateLimitState(), 60000);
+    this.cleanupInterval.unref();
+
+    console.log('🛡️ ChatModerationService initialized');
+  }
+
+  /**
+   * Create an error carrying the HTTP status to respond with
+   */
+  createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Check whether a user may moderate a channel's chat
+   * Channel owners, admins and appointed moderators can
+   */
+  async canModerate(channelId, actor) {
+    if (!actor || !actor.userId) return false;
+    if (actor.isAdmin || actor.userId.toString() === channelId.toString()) return true;
+
+    const channel = await User.findById(channelId).select('chatModerators');
+    return !!channel && channel.chatModerators.some(id => id.toString() === actor.userId.toString());
+  }
+
+  /**
+   * Load the stream and make sure the actor can moderate its channel
+   * Returns the stream and whether the actor owns the channel
+   */
+  async authorize(streamId, actor) {
+    const stream = mongoose.isValidObjectId(streamId)
+      ? await Stream.findById(streamId).select('streamer')
+      : null;
+    if (!stream) {
+      throw this.createError(404, 'Stream not found');
+    }
+
+    if (!(await this.canModerate(stream.streamer, actor))) {
+      throw this.createError(403, 'Moderator privileges required');
+    }
+
+    const isOwner = actor.isAdmin || actor.userId.toString() === stream.streamer.toString();
+    return { stream, isOwner };
+  }
+
+  /**
+   * Validate the target of a timeout or ban
+   * Only the channel owner can act on other moderators
+   */
+  async assertCanSanction(stream, targetUserId, actor, isOwner) {
+    if (targetUserId.toString() === stream.streamer.toString()) {
+      throw this.createError(400, 'Cannot moderate the channel owner');
+    }
+
+    if (targetUserId.toString() === actor.userId.toString()) {
+      throw this.createError(400, 'Cannot moderate yourself');
+    }
+
+    const [target, channel] = await Promise.all([
+      User.findById(targetUserId).select('username'),
+      User.findById(stream.streamer).select('chatModerators')
+    ]);
+
+    if (!target) {
+      throw this.createError(404, 'User not found');
+    }
+
+    const targetIsModerator = channel.chatModerators.some(id => id.toString() === targetUserId.toString());
+    if (targetIsModerator && !isOwner) {
+      throw this.createError(403, 'Only the channel owner can moderate other moderators');
+    }
+
+    return target;
+  }
+
+  /**
+   * Get the active timeout or ban of a user in a channel, if any
+   */
+  async getActiveSanction(channelId, userId) {
+    const sanctions = await ChatSanction.find({
+      channel: channelId,
+      user: userId,
+      $or: [
+        { type: 'ban' },
+        { expiresAt: { $gt: new Date() } }
+      ]
+    });
+
+    return sanctions.find(s => s.type === 'ban') || sanctions[0] || null;
+  }
+
+  /**
+   * Time a user out of a channel's chat for a number of seconds
+   */
+  async timeoutUser(streamId, targetUserId, actor, { duration = DEFAULT_TIMEOUT_SECONDS, reason = '' } = {}) {
+    const seconds = parseInt(duration, 10);
+    if (!seconds || seconds < 1 || seconds > MAX_TIMEOUT_SECONDS) {
+      throw this.createError(400, `Timeout duration must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds`);
+    }
+
+    const { stream, isOwner } = await this.authorize(streamId, actor);
+    const target = await this.assertCanSanction(stream, targetUserId, actor, isOwner);
+
+    const expiresAt = new Date(Date.now() + seconds * 1000);
+    const sanction = await ChatSanction.findOneAndUpdate(
+      { channel: stream.streamer, user: targetUserId, type: 'timeout' },
+      { reason, moderator: actor.userId, expiresAt },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.broadcastUserRemoved(stream, target, {
+      type: 'timeout',
+      duration: seconds,
+      expiresAt,
+      reason
+    });
+
+    console.log(`User ${target.username} timed out for ${seconds}s in channel ${stream.streamer}`);
+    return sanction;
+  }
+
+  /**
+   * Ban a user from a channel's chat until unbanned
+   */
+  async banUser(streamId, targetUserId, actor, { reason = '' } = {}) {
+    const { stream, isOwner } = await this.authorize(streamId, actor);
+    const target = await this.assertCanSanction(stream, targetUserId, actor, isOwner);
+
+    const sanction = await ChatSanction.findOneAndUpdate(
+      { channel: stream.streamer, user: targetUserId, type: 'ban' },
+      { reason, moderator: actor.userId },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.broadcastUserRemoved(stream, target, {
+      type: 'ban',
+      reason
+    });
+
+    console.log(`User ${target.username} banned from channel ${stream.streamer}`);
+    return sanction;
+  }
+
+  /**
+   * Lift a ban and any timeout of a user in a channel
+   */
+  async unbanUser(streamId, targetUserId, actor) {
+    const { stream } = await this.authorize(streamId, actor);
+
+    const result = await ChatSanction.deleteMany({
+      channel: stream.streamer,
+      user: targetUserId
+    });
+
+    if (result.deletedCount === 0) {
+      throw this.createError(404, 'User is not banned or timed out');
+    }
+
+    if (this.io) {
+      this.io.to(`user_${targetUserId}`).emit('chat-unbanned', {
+        streamId: stream._id,
+        channelId: stream.streamer
+      });
+    }
+  }
+
+  /**
+   * Delete a single chat message
+   */
+  async deleteMessage(streamId, messageId, actor) {
+    const { stream } = await this.authorize(streamId, actor);
+
+    const message = await ChatMessage.findOneAndUpdate(
+      { _id: messageId, stream: stream._id, isDeleted: false },
+      { isDeleted: true, deletedBy: actor.userId, deletedAt: new Date() },
+      { new: true }
+    );
+
+    if (!message) {
+      throw this.createError(404, 'Message not found');
+    }
+
+    if (this.io) {
+      this.io.to(`stream_${stream._id}`).emit('chat-message-deleted', {
+        streamId: stream._id,
+        messageId: message._id,
+        deletedBy: actor.username
+      });
+    }
+
+    return message;
+  }
+
+  /**
+   * Tell viewers to clear a user's messages and tell the user why
+   */
+  broadcastUserRemoved(stream, target, details) {
+    if (!this.io) return;
+
+    const payload = {
+      streamId: stream._id,
+      userId: target._id,
+      username: target.username,
+      ...details,
+      timestamp: new Date()
+    };
+
+    this.io.to(`stream_${stream._id}`).emit('chat-user-removed', payload);
+    this.io.to(`user_${target._id}`).emit(details.type === 'ban' ? 'chat-banned' : 'chat-timeout', payload);
+  }
+
+  /**
+   * Take one token from the user's bucket
+   * Returns false when the user is sending messages too quickly
+   */
+  consumeChatToken(userId) {
+    const now = Date.now();
+    const bucket = this.rateLimitBuckets.get(userId) || { tokens: RATE_LIMIT_BURST, updatedAt: now };
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + elapsed * RATE_LIMIT_PER_SECOND);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      this.rateLimitBuckets.set(userId, bucket);
+      return false;
+    }
+
+    bucket.tokens -= 1;
+    this.rateLimitBuckets.set(userId, bucket);
+    return true;
+  }
+
+  pruneRateLimitState() {
+    const now = Date.now();
+    const bucketIdleMs = (RATE_LIMIT_BURST / RATE_LIMIT_PER_SECOND) * 1000;
+
+    for (const [userId, bucket] of this.rateLimitBuckets.entries()) {
+      if (now - bucket.updatedAt > bucketIdleMs) {
+        this.rateLimitBuckets.delete(userId);
+      }
+    }
+
+    for (const [key, timestamp] of this.lastMessageAt.entries()) {
+      if (now - timestamp > CHAT_SETTING_LIMITS.slowMode.max * 1000) {
+        this.lastMessageAt.delete(key);
+      }
+    }
+  }
+
+  isEmoteOnly(message) {
+    return message.trim().split(/\s+/).every(token => EMOTE_TOKEN.test(token));
+  }
+
+  /**
+   * Check whether the user follows the channel and for how long
+   * Returns the follow date, or null if they don't follow it
+   */
+  async getFollowSince(channelId, userId) {
+    const follow = await Follow.findOne({ follower: userId, following: channelId }).select('createdAt');
+    return follow ? follow.createdAt : null;
+  }
+
+  /**
+   * Check whether the user holds a current subscription to the channel
+   */
+  async isSubscriber(channelId, userId) {
+    const subscription = await ChannelSubscription.findOne({
+      channel: channelId,
+      subscriber: userId,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('_id');
+    return !!subscription;
+  }
+
+  /**
+   * Enforce the stream's chat modes for a message
+   * Channel owners, moderators and admins are exempt
+   */
+  async enforceChatRules(stream, userInfo, message) {
+    const settings = stream.chatSettings || {};
+
+    if (await this.canModerate(stream.streamer, userInfo)) {
+      return;
+    }
+
+    if (settings.emoteOnly && !this.isEmoteOnly(message)) {
+      throw this.createError(403, 'Chat is in emote-only mode');
+    }
+
+    if (settings.subscribersOnly && !(await this.isSubscriber(stream.streamer, userInfo.userId))) {
+      throw this.createError(403, 'Chat is in subscriber-only mode');
+    }
+
+    if (settings.followersOnly) {
+      const followSince = await this.getFollowSince(stream.streamer, userInfo.userId);
+      if (!followSince) {
+        throw this.createError(403, 'Chat is in follower-only mode');
+      }
+
+      const minAgeMs = (settings.followersOnlyMinAge || 0) * 60 * 1000;
+      if (Date.now() - followSince.getTime() < minAgeMs) {
+        throw this.createError(403, `You must follow for ${settings.followersOnlyMinAge} minutes to chat`);
+      }
+    }
+
+    if (settings.slowMode > 0) {
+      const key = `${stream._id}:${userInfo.userId}`;
+      const lastSentAt = this.lastMessageAt.get(key);
+      const waitMs = lastSentAt ? lastSentAt + settings.slowMode * 1000 - Date.now() : 0;
+
+      if (waitMs > 0) {
+        const error = this.createError(429, `Slow mode is on. Wait ${Math.ceil(waitMs / 1000)} seconds`);
+        error.retryAfter = Math.ceil(waitMs / 1000);
+        throw error;
+      }
+
+      this.lastMessageAt.set(key, Date.now());
+    }
+  }
+
+  /**
+   * Validate and apply chat settings, then broadcast them to viewers
+   */
+  async updateChatSettings(streamId, actor, updates = {}) {
+    const { stream } = await this.authorize(streamId, actor);
+    const fullStream = await Stream.findById(stream._id);
+
+    if (updates.chatEnabled !== undefined) {
+      if (typeof updates.chatEnabled !== 'boolean') {
+        throw this.createError(400, 'chatEnabled must be a boolean');
+      }
+      fullStream.chatEnabled = updates.chatEnabled;
+    }
+
+    for (const field of ['followersOnly', 'subscribersOnly', 'emoteOnly']) {
+      if (updates[field] !== undefined) {
+        if (typeof updates[field] !== 'boolean') {
+          throw this.createError(400, `${field} must be a boolean`);
+        }
+        fullStream.chatSettings[field] = updates[field];
+      }
+    }
+
+    for (const [field, { min, max }] of Object.entries(CHAT_SETTING_LIMITS)) {
+      if (updates[field] !== undefined) {
+        const value = Number(updates[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+          throw this.createError(400, `${field} must be an integer between ${min} and ${max}`);
+        }
+        fullStream.chatSettings[field] = value;
+      }
+    }
+
+    await fullStream.save();
+
+    const payload = this.getChatSettingsPayload(fullStream);
+    if (this.io) {
+      this.io.to(`stream_${fullStream._id}`).emit('chat-settings-updated', payload);
+    }
+
+    return payload;
+  }
+
+  getChatSettingsPayload(stream) {
+    const settings = stream.chatSettings || {};
+
+    return {
+      streamId: stream._id,
+      chatEnabled: stream.chatEnabled,
+      slowMode: settings.slowMode || 0,
+      followersOnly: !!settings.followersOnly,
+      followersOnlyMinAge: settings.followersOnlyMinAge || 0,
+      subscribersOnly: !!settings.subscribersOnly,
+      emoteOnly: !!settings.emoteOnly
+    };
+  }
+
+  /**
+   * Appoint a moderator for a channel
+   */
+  async addModerator(channelId, moderatorId) {
+    if (channelId.toString() === moderatorId.toString()) {
+      throw this.createError(400, 'Channel owner is already a moderator');
+    }
+
+    const moderator = await User.findById(moderatorId).select('username avatar');
+    if (!moderator) {
+      throw this.createError(404, 'User not found');
+    }
+
+    const channel = await User.findByIdAndUpdate(
+      channelId,
+      { $addToSet: { chatModerators: moderator._id } },
+      { new: true }
+    );
+
+    if (!channel) {
+      throw this.createError(404, 'Channel not found');
+    }
+
+    return moderator;
+  }
+
+  /**
+   * Remove a moderator from a channel
+   */
+  async removeModerator(channelId, moderatorId) {
+    const result = await User.updateOne(
+      { _id: channelId, chatModerators: moderatorId },
+      { $pull: { chatModerators: moderatorId } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw this.createError(404, 'Moderator not found');
+    }
+  }
+
+  /**
+   * Subscribe a user to a channel, optionally until a given date
+   */
+  async addSubscriber(channelId, subscriberId, { expiresAt = null } = {}) {
+    if (channelId.toString() === subscriberId.toString()) {
+      throw this.createError(400, 'You cannot subscribe to your own channel');
+    }
+
+    if (expiresAt !== null) {
+      expiresAt = new Date(expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw this.createError(400, 'expiresAt must be a date in the future');
+      }
+    }
+
+    const subscriber = await User.findById(subscriberId).select('username avatar');
+    if (!subscriber) {
+      throw this.createError(404, 'User not found');
+    }
+
+    const subscription = await ChannelSubscription.findOneAndUpdate(
+      { channel: channelId, subscriber: subscriber._id },
+      { $set: { expiresAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return { subscriber, expiresAt: subscription.expiresAt };
+  }
+
+  /**
+   * End a user's subscription to a channel
+   */
+  async removeSubscriber(channelId, subscriberId) {
+    const result = await ChannelSubscription.deleteOne({ channel: channelId, subscriber: subscriberId });
+
+    if (result.deletedCount === 0) {
+      throw this.createError(404, 'Subscriber not found');
+    }
+  }
+}
+
+module.exports = new ChatModerationService();
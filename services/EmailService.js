@@ -0,0 +1,325 @@
+// backend/services/EmailService.js
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+const User = require('../models/User');
+const EmailMessage = require('../models/EmailMessage');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationService = require('./NotificationService');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+
+// Notification types with their own template; everything else uses 'notification'
+const NOTIFICATION_TEMPLATES = ['stream_started', 'new_follower'];
+
+const DIGEST_INTERVALS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Minimal mustache-style rendering: {{value}} is escaped for HTML, {{{value}}} is raw
+ */
+const renderString = (template, variables, escape) => template
+  .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, key) => variables[key] ?? '')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (escape ? escapeHtml(variables[key] ?? '') : variables[key] ?? ''));
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.templates = new Map(); // template name -> { html, text }
+    this.queueTimer = null;
+    this.digestTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Create the SMTP transport, register the email delivery channel and start the queue
+   */
+  initialize() {
+    if (!mailConfig.enabled) {
+      console.log('✉️ EmailService disabled');
+      return;
+    }
+
+    this.transporter = nodemailer.createTransport(mailConfig.transport);
+
+    // Emails claimed by a process that died mid-send go back to the queue
+    EmailMessage.updateMany({ status: 'sending' }, { status: 'queued' })
+      .catch((error) => console.error('Email queue recovery error:', error));
+
+    NotificationService.registerDeliveryChannel('email', (userId, notification, mode) =>
+      this.enqueueNotification(userId, notification, mode)
+    );
+
+    this.queueTimer = setInterval(() => this.processQueue(), mailConfig.queue.pollIntervalMs);
+    this.digestTimer = setInterval(() => this.processDigests(), mailConfig.digest.checkIntervalMs);
+    this.queueTimer.unref();
+    this.digestTimer.unref();
+
+    console.log(`✉️ EmailService initialized (${mailConfig.transport.host}:${mailConfig.transport.port})`);
+  }
+
+  /**
+   * Load a template pair from disk; templates are re-read in development so they can be edited live
+   */
+  loadTemplate(name) {
+    if (this.templates.has(name) && process.env.NODE_ENV === 'production') {
+      return this.templates.get(name);
+    }
+
+    const template = {
+      html: fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8'),
+      text: fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.txt`), 'utf8')
+    };
+    this.templates.set(name, template);
+    return template;
+  }
+
+  /**
+   * Render a template; the text version starts with a "Subject:" line.
+   * `formatVariables` holds values that differ between the html and text versions.
+   */
+  render(name, variables, formatVariables = {}) {
+    const template = this.loadTemplate(name);
+    const [firstLine, ...rest] = template.text.split('\n');
+
+    let subject = '';
+    let text = template.text;
+    if (firstLine.startsWith('Subject:')) {
+      subject = renderString(firstLine.slice('Subject:'.length).trim(), variables, false);
+      text = rest.join('\n').replace(/^\n+/, '');
+    }
+
+    return {
+      subject,
+      html: renderString(template.html, { ...variables, ...formatVariables.html }, true),
+      text: renderString(text, { ...variables, ...formatVariables.text }, false)
+    };
+  }
+
+  getTemplateVariables(user, notification) {
+    const data = notification.data || {};
+
+    return {
+      ...data,
+      username: user.username,
+      title: notification.title,
+      message: notification.message,
+      streamUrl: data.streamId ? `${mailConfig.appUrl}/stream/${data.streamId}` : mailConfig.appUrl,
+      preferencesUrl: `${mailConfig.appUrl}/settings/notifications`
+    };
+  }
+
+  /**
+   * Queue an email for a notification; never sends inline so a broken
+   * mail server cannot slow down NotificationService
+   */
+  async enqueueNotification(userId, notification, mode) {
+    try {
+      const user = await User.findById(userId).select('username email emailBouncedAt');
+      if (!user || !user.email || user.emailBouncedAt) return;
+
+      if (mode === 'digest') {
+        await EmailMessage.create({
+          user: user._id,
+          to: user.email,
+          template: 'digest',
+          notification,
+          status: 'deferred'
+        });
+        return;
+      }
+
+      const templateName = NOTIFICATION_TEMPLATES.includes(notification.type)
+        ? notification.type
+        : 'notification';
+
+      await EmailMessage.create({
+        user: user._id,
+        to: user.email,
+        template: templateName,
+        ...this.render(templateName, this.getTemplateVariables(user, notification))
+      });
+
+    } catch (error) {
+      console.error('Enqueue email error:', error);
+    }
+  }
+
+  /**
+   * Send queued emails one at a time until the queue is drained
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let email;
+      while ((email = await this.claimNext())) {
+        await this.deliver(email);
+      }
+    } catch (error) {
+      console.error('Email queue error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  claimNext() {
+    return EmailMessage.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  async deliver(email) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: mailConfig.from,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text
+      });
+
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.messageId = info.messageId;
+      email.lastError = undefined;
+      await email.save();
+
+    } catch (error) {
+      email.lastError = error.message;
+
+      // 5xx responses are permanent: the address is rejected
+      if (error.responseCode >= 500) {
+        email.status = 'bounced';
+        await email.save();
+        await this.recordBounce(email.to, error.message);
+        return;
+      }
+
+      if (email.attempts >= mailConfig.queue.maxAttempts) {
+        email.status = 'failed';
+        console.error(`❌ Email to ${email.to} failed after ${email.attempts} attempts:`, error.message);
+      } else {
+        email.status = 'queued';
+        email.nextAttemptAt = new Date(Date.now() + mailConfig.queue.retryBaseMs * 2 ** (email.attempts - 1));
+      }
+      await email.save();
+    }
+  }
+
+  /**
+   * Stop emailing an address that bounced
+   */
+  async recordBounce(address, reason) {
+    const result = await User.updateMany(
+      { email: address.toLowerCase(), emailBouncedAt: null },
+      { emailBouncedAt: new Date() }
+    );
+
+    await EmailMessage.updateMany(
+      { to: address.toLowerCase(), status: { $in: ['queued', 'deferred'] } },
+      { status: 'bounced', lastError: reason }
+    );
+
+    console.log(`📭 Email bounced for ${address}: ${reason}`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Bundle deferred notifications into one email per user when a digest is due
+   */
+  async processDigests() {
+    try {
+      const userIds = await EmailMessage.distinct('user', { status: 'deferred' });
+
+      for (const userId of userIds) {
+        const preferences = await NotificationPreference.forUser(userId);
+        if (!this.isDigestDue(preferences)) continue;
+
+        await this.sendDigest(userId, preferences);
+      }
+    } catch (error) {
+      console.error('Email digest error:', error);
+    }
+  }
+
+  /**
+   * Digests wait for quiet hours to end and for the chosen frequency.
+   * Users without digests only get deferred (quiet hours) mail once quiet hours end.
+   */
+  isDigestDue(preferences) {
+    if (preferences.isQuietTime()) return false;
+    if (!preferences.digest.enabled || !preferences.digest.lastSentAt) return true;
+
+    const interval = DIGEST_INTERVALS[preferences.digest.frequency] || DIGEST_INTERVALS.daily;
+    return Date.now() - preferences.digest.lastSentAt.getTime() >= interval;
+  }
+
+  async sendDigest(userId, preferences) {
+    const user = await User.findById(userId).select('username email emailBouncedAt');
+    const items = await EmailMessage.find({ user: userId, status: 'deferred' })
+      .sort({ createdAt: 1 });
+
+    if (!items.length) return;
+
+    if (!user || !user.email || user.emailBouncedAt) {
+      await EmailMessage.updateMany(
+        { _id: { $in: items.map(item => item._id) } },
+        { status: 'failed', lastError: 'Recipient unavailable' }
+      );
+      return;
+    }
+
+    const shown = items.slice(-mailConfig.digest.maxItems);
+    const itemTemplate = this.loadTemplate('digest_item');
+    const renderItems = (format, escape) => shown
+      .map(item => renderString(itemTemplate[format], {
+        message: item.notification.message,
+        time: new Date(item.notification.timestamp || item.createdAt).toUTCString()
+      }, escape).trim())
+      .join('\n');
+
+    const digest = this.render('digest', {
+      ...this.getTemplateVariables(user, { data: {} }),
+      count: items.length
+    }, {
+      html: { items: renderItems('html', true) },
+      text: { items: renderItems('text', false) }
+    });
+
+    await EmailMessage.create({
+      user: user._id,
+      to: user.email,
+      template: 'digest',
+      ...digest
+    });
+
+    await EmailMessage.updateMany(
+      { _id: { $in: items.map(item => item._id) } },
+      { status: 'digested' }
+    );
+
+    if (preferences.digest.enabled) {
+      preferences.digest.lastSentAt = new Date();
+      if (!preferences.isNew) {
+        await preferences.save();
+      }
+    }
+  }
+}
+
+module.exports = new EmailService();
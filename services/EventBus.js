@@ -0,0 +1,50 @@
+// backend/services/EventBus.js
+
+const EventEmitter = require('events');
+
+/**
+ * Internal event bus for platform events
+ * Producers (StreamingService, routes) publish; consumers (notifications, ...) subscribe
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.EVENTS = {
+      STREAM_STARTED: 'stream.started',
+      STREAM_ENDED: 'stream.ended',
+      STREAM_TITLE_CHANGED: 'stream.title_changed',
+      STREAM_OFFLINE: 'stream.offline', // publisher dropped without the streamer ending the stream
+      STREAM_RECONNECTING: 'stream.reconnecting', // publisher dropped; waiting out the reconnect grace window
+      STREAM_RESUMED: 'stream.resumed',
+      STREAM_HEALTH: 'stream.health', // periodic ingest/transcoder sample for the streamer
+      RESTREAM_STATUS: 'restream.status', // a restream target connected, failed or stopped
+      FOLLOWER_NEW: 'follower.new',
+      CHAT_MESSAGE: 'chat.message',
+      RECORDING_READY: 'recording.ready'
+    };
+  }
+
+  /**
+   * Publish an event to every subscriber
+   */
+  publish(event, payload = {}) {
+    this.emit(event, {
+      ...payload,
+      event,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Subscribe to an event; errors in async handlers are logged instead of crashing the process
+   */
+  subscribe(event, handler) {
+    this.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) => console.error(`Event handler error (${event}):`, error));
+    });
+  }
+}
+
+module.exports = new EventBus();
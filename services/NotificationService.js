@@ -1,7 +1,17 @@
 // backend/services/NotificationService.js
 
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Stream = require('../models/Stream');
+const ChatMessage = require('../models/ChatMessage');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const ChatModerationService = require('./ChatModerationService');
+const AnalyticsService = require('./AnalyticsService');
+const EventBus = require('./EventBus');
+const config = require('../config/app');
+const { socketAuth, verifySocketToken } = require('../middleware/auth');
 
 class NotificationService {
   constructor() {
@@ -9,7 +19,8 @@ class NotificationService {
     this.connectedUsers = new Map(); // userId -> socketId
     this.userSockets = new Map(); // socketId -> user info
     this.streamRooms = new Map(); // streamId -> Set of socketIds
-    this.notificationQueue = new Map(); // userId -> Array of notifications
+    this.chatHistorySize = config.chat.historySize;
+    this.deliveryChannels = new Map(); // channel name -> handler(userId, notification, mode)
   }
 
   /**
@@ -17,7 +28,15 @@ class NotificationService {
    */
   initialize(io) {
     this.io = io;
+    this.io.use(socketAuth);
     this.setupSocketHandlers();
+    this.subscribeToStreamEvents();
+
+    // Followers are looked up in the Follow collection; bring over any stored the old way
+    Follow.migrateUserArrays()
+      .then((count) => count && console.log(`📢 Moved follows of ${count} users into the Follow collection`))
+      .catch((error) => console.error('Follow migration error:', error));
+
     console.log('📢 NotificationService initialized');
   }
 
@@ -28,45 +47,58 @@ class NotificationService {
     this.io.on('connection', (socket) => {
       console.log(`Socket connected: ${socket.id}`);
 
-      // Handle user authentication
+      // Identity is established by the handshake middleware, never by the client
+      this.userSockets.set(socket.id, {
+        ...socket.data.user,
+        socketId: socket.id,
+        connectedAt: new Date()
+      });
+
+      // Handle (re-)authentication with a fresh token, e.g. a guest logging in
       socket.on('authenticate', async (data) => {
         try {
-          const { userId, username, token } = data;
-          
-          // Store user info
-          this.userSockets.set(socket.id, {
-            userId,
-            username,
-            socketId: socket.id,
-            connectedAt: new Date()
-          });
-          
-          this.connectedUsers.set(userId, socket.id);
+          const token = data && data.token;
 
-          // Join user's personal room
-          socket.join(`user_${userId}`);
+          if (token) {
+            const previous = socket.data.user;
+            socket.data.user = await verifySocketToken(token);
 
-          // Update user online status
-          await User.findByIdAndUpdate(userId, {
-            isOnline: true,
-            lastSeen: new Date()
-          });
+            this.userSockets.set(socket.id, {
+              ...socket.data.user,
+              socketId: socket.id,
+              connectedAt: new Date()
+            });
+
+            if (previous.userId !== socket.data.user.userId) {
+              if (!previous.isGuest) {
+                socket.leave(`user_${previous.userId}`);
+                if (this.connectedUsers.get(previous.userId) === socket.id) {
+                  this.connectedUsers.delete(previous.userId);
+                }
+              }
+              await this.registerAuthenticatedSocket(socket);
+              return;
+            }
+          }
 
-          // Send pending notifications
-          await this.sendPendingNotifications(userId);
+          if (socket.data.user.isGuest) {
+            socket.emit('authentication_error', {
+              success: false,
+              message: 'Authentication failed'
+            });
+            return;
+          }
 
           socket.emit('authenticated', {
             success: true,
+            user: this.getPublicIdentity(socket.data.user),
             message: 'Successfully authenticated'
           });
 
-          // Notify followers that user came online
-          await this.notifyFollowersUserOnline(userId, username);
-
-          console.log(`User authenticated: ${username} (${userId})`);
-
         } catch (error) {
-          console.error('Authentication error:', error);
+          if (error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError' && error.name !== 'SocketAuthError') {
+            console.error('Authentication error:', error);
+          }
           socket.emit('authentication_error', {
             success: false,
             message: 'Authentication failed'
@@ -109,6 +141,22 @@ class NotificationService {
             message: 'Successfully joined stream'
           });
 
+          // Send recent chat and chat modes so new joiners have context
+          if (mongoose.isValidObjectId(streamId)) {
+            AnalyticsService.startViewerSession(socket, streamId);
+
+            const stream = await Stream.findById(streamId).select('chatEnabled chatSettings');
+            if (stream) {
+              socket.emit('chat-settings', ChatModerationService.getChatSettingsPayload(stream));
+            }
+
+            const history = await ChatMessage.getHistory(streamId, { limit: this.chatHistorySize });
+            socket.emit('chat-history', {
+              streamId,
+              ...history
+            });
+          }
+
           console.log(`${userInfo.username} joined stream ${streamId}`);
 
         } catch (error) {
@@ -127,6 +175,8 @@ class NotificationService {
           // Leave stream room
           socket.leave(`stream_${streamId}`);
           
+          AnalyticsService.endViewerSession(socket.id, streamId);
+
           // Remove from stream room tracking
           if (this.streamRooms.has(streamId)) {
             this.streamRooms.get(streamId).delete(socket.id);
@@ -154,12 +204,23 @@ class NotificationService {
         try {
           const userInfo = this.userSockets.get(socket.id);
           
-          if (!userInfo) {
-            socket.emit('error', { message: 'Not authenticated' });
+          if (!userInfo || userInfo.isGuest) {
+            socket.emit('error', { message: 'Authentication required' });
             return;
           }
 
-          const { streamId, message } = data;
+          // Flood protection before doing any database work
+          if (!ChatModerationService.consumeChatToken(userInfo.userId)) {
+            socket.emit('error', { message: 'You are sending messages too quickly' });
+            return;
+          }
+
+          const { streamId, message } = data || {};
+
+          if (!mongoose.isValidObjectId(streamId)) {
+            socket.emit('error', { message: 'Invalid stream' });
+            return;
+          }
 
           // Validate message
           if (!message || message.trim().length === 0) {
@@ -179,23 +240,56 @@ class NotificationService {
             return;
           }
 
-          // Create message object
-          const chatMessage = {
-            id: Date.now(),
-            streamId,
-            userId: userInfo.userId,
+          const stream = await Stream.findById(streamId).select('streamer chatEnabled chatSettings');
+          if (!stream) {
+            socket.emit('error', { message: 'Stream not found' });
+            return;
+          }
+
+          if (!stream.chatEnabled) {
+            socket.emit('error', { message: 'Chat is disabled for this stream' });
+            return;
+          }
+
+          // Check channel bans and timeouts
+          const sanction = await ChatModerationService.getActiveSanction(stream.streamer, userInfo.userId);
+          if (sanction) {
+            socket.emit('error', {
+              message: sanction.type === 'ban'
+                ? 'You are banned from this chat'
+                : 'You are timed out in this chat',
+              expiresAt: sanction.expiresAt
+            });
+            return;
+          }
+
+          // Check slow mode, follower-only, subscriber-only and emote-only
+          try {
+            await ChatModerationService.enforceChatRules(stream, userInfo, message.trim());
+          } catch (error) {
+            if (!error.status) throw error;
+            socket.emit('error', { message: error.message, retryAfter: error.retryAfter });
+            return;
+          }
+
+          // Create and persist message
+          const chatMessage = await this.saveChatMessage({
+            stream: streamId,
+            user: userInfo.userId,
             username: userInfo.username,
             message: message.trim(),
-            timestamp: new Date(),
             avatar: user.avatar
-          };
-
-          // Save chat message to database (optional)
-          await this.saveChatMessage(chatMessage);
+          });
 
           // Broadcast to all users in stream room
           this.io.to(`stream_${streamId}`).emit('new-message', chatMessage);
 
+          EventBus.publish(EventBus.EVENTS.CHAT_MESSAGE, {
+            streamId,
+            streamerId: stream.streamer.toString(),
+            chatMessage
+          });
+
           // Notify stream owner if mentioned
           if (message.includes('@streamer')) {
             await this.notifyStreamerMention(streamId, chatMessage);
@@ -207,10 +301,53 @@ class NotificationService {
         }
       });
 
+      // Handle moderation actions from channel owners and moderators
+      const moderationActions = {
+        'moderate-timeout': (data, actor) =>
+          ChatModerationService.timeoutUser(data.streamId, data.userId, actor, data),
+        'moderate-ban': (data, actor) =>
+          ChatModerationService.banUser(data.streamId, data.userId, actor, data),
+        'moderate-unban': (data, actor) =>
+          ChatModerationService.unbanUser(data.streamId, data.userId, actor),
+        'moderate-delete-message': (data, actor) =>
+          ChatModerationService.deleteMessage(data.streamId, data.messageId, actor),
+        'update-chat-settings': (data, actor) =>
+          ChatModerationService.updateChatSettings(data.streamId, actor, data.settings)
+      };
+
+      for (const [event, action] of Object.entries(moderationActions)) {
+        socket.on(event, async (data) => {
+          try {
+            const userInfo = this.userSockets.get(socket.id);
+
+            if (!userInfo || userInfo.isGuest) {
+              socket.emit('error', { message: 'Authentication required' });
+              return;
+            }
+
+            if (!data || !mongoose.isValidObjectId(data.streamId) ||
+                (data.userId !== undefined && !mongoose.isValidObjectId(data.userId)) ||
+                (data.messageId !== undefined && !mongoose.isValidObjectId(data.messageId))) {
+              socket.emit('error', { message: 'Invalid moderation request' });
+              return;
+            }
+
+            await action(data, userInfo);
+            socket.emit('moderation-success', { action: event, streamId: data.streamId });
+
+          } catch (error) {
+            if (!error.status) {
+              console.error('Moderation error:', error);
+            }
+            socket.emit('error', { message: error.status ? error.message : 'Moderation failed' });
+          }
+        });
+      }
+
       // Handle typing indicators
       socket.on('typing-start', (data) => {
         const userInfo = this.userSockets.get(socket.id);
-        if (userInfo && data.streamId) {
+        if (userInfo && !userInfo.isGuest && data && data.streamId) {
           socket.to(`stream_${data.streamId}`).emit('user-typing', {
             username: userInfo.username,
             userId: userInfo.userId
@@ -220,7 +357,7 @@ class NotificationService {
 
       socket.on('typing-stop', (data) => {
         const userInfo = this.userSockets.get(socket.id);
-        if (userInfo && data.streamId) {
+        if (userInfo && !userInfo.isGuest && data && data.streamId) {
           socket.to(`stream_${data.streamId}`).emit('user-stopped-typing', {
             username: userInfo.username,
             userId: userInfo.userId
@@ -235,13 +372,16 @@ class NotificationService {
           
           if (userInfo) {
             // Remove from tracking
-            this.connectedUsers.delete(userInfo.userId);
+            if (!userInfo.isGuest && this.connectedUsers.get(userInfo.userId) === socket.id) {
+              this.connectedUsers.delete(userInfo.userId);
+            }
             this.userSockets.delete(socket.id);
 
             // Remove from all stream rooms
             for (const [streamId, socketSet] of this.streamRooms.entries()) {
               if (socketSet.has(socket.id)) {
                 socketSet.delete(socket.id);
+                AnalyticsService.endViewerSession(socket.id, streamId);
                 
                 // Update viewer count
                 const viewerCount = socketSet.size;
@@ -255,6 +395,11 @@ class NotificationService {
               }
             }
 
+            if (userInfo.isGuest) {
+              console.log(`Guest disconnected: ${userInfo.username}`);
+              return;
+            }
+
             // Update user offline status (with delay to handle reconnections)
             setTimeout(async () => {
               if (!this.connectedUsers.has(userInfo.userId)) {
@@ -275,51 +420,216 @@ class NotificationService {
           console.error('Disconnect error:', error);
         }
       });
+
+      if (!socket.data.user.isGuest) {
+        this.registerAuthenticatedSocket(socket);
+      }
+    });
+  }
+
+  /**
+   * Notify followers and viewers about stream lifecycle events, however they happened
+   */
+  subscribeToStreamEvents() {
+    const { EVENTS } = EventBus;
+
+    EventBus.subscribe(EVENTS.STREAM_STARTED, ({ streamId, streamerId, title }) => {
+      // Viewers already waiting in the room start watching now
+      for (const socketId of this.streamRooms.get(streamId) || []) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+          AnalyticsService.startViewerSession(socket, streamId);
+        }
+      }
+
+      return this.notifyStreamStarted(streamId, streamerId, title);
+    });
+
+    EventBus.subscribe(EVENTS.STREAM_ENDED, ({ streamId, streamerId, title, duration, reason }) =>
+      this.notifyStreamEnded(streamId, streamerId, title, duration, reason)
+    );
+
+    EventBus.subscribe(EVENTS.STREAM_OFFLINE, ({ streamId, streamerId, title }) =>
+      this.notifyStreamOffline(streamId, streamerId, title)
+    );
+
+    EventBus.subscribe(EVENTS.STREAM_RECONNECTING, ({ streamId, graceSeconds }) => {
+      this.io.to(`stream_${streamId}`).emit('stream-reconnecting', {
+        streamId,
+        graceSeconds,
+        message: 'The broadcaster lost connection. Waiting for them to reconnect...',
+        timestamp: new Date()
+      });
+    });
+
+    EventBus.subscribe(EVENTS.STREAM_RESUMED, ({ streamId, downtime }) => {
+      this.io.to(`stream_${streamId}`).emit('stream-resumed', {
+        streamId,
+        downtime,
+        timestamp: new Date()
+      });
+    });
+
+    // Only the streamer sees encoder health
+    EventBus.subscribe(EVENTS.STREAM_HEALTH, ({ streamId, streamerId, sample, warnings, raised }) => {
+      this.io.to(`user_${streamerId}`).emit('stream-health', {
+        streamId,
+        sample,
+        warnings,
+        raised
+      });
+    });
+
+    EventBus.subscribe(EVENTS.RESTREAM_STATUS, ({ streamerId, targetId, status, lastError }) => {
+      this.io.to(`user_${streamerId}`).emit('restream-status', {
+        targetId,
+        status,
+        lastError,
+        timestamp: new Date()
+      });
+    });
+
+    EventBus.subscribe(EVENTS.STREAM_TITLE_CHANGED, ({ streamId, title, previousTitle }) => {
+      this.io.to(`stream_${streamId}`).emit('stream-updated', {
+        streamId,
+        title,
+        previousTitle,
+        timestamp: new Date()
+      });
     });
   }
 
   /**
-   * Send notification to specific user
+   * Track an authenticated socket: personal room, online status and pending notifications
    */
-  async sendNotificationToUser(userId, notification) {
+  async registerAuthenticatedSocket(socket) {
     try {
-      const socketId = this.connectedUsers.get(userId);
-      
-      if (socketId) {
-        // User is online, send immediately
-        this.io.to(`user_${userId}`).emit('notification', notification);
-      } else {
-        // User is offline, queue notification
-        if (!this.notificationQueue.has(userId)) {
-          this.notificationQueue.set(userId, []);
+      const { userId, username } = socket.data.user;
+
+      this.connectedUsers.set(userId, socket.id);
+
+      // Join user's personal room
+      socket.join(`user_${userId}`);
+
+      // Update user online status
+      await User.findByIdAndUpdate(userId, {
+        isOnline: true,
+        lastSeen: new Date()
+      });
+
+      // Send pending notifications
+      await this.sendPendingNotifications(userId);
+
+      socket.emit('authenticated', {
+        success: true,
+        user: this.getPublicIdentity(socket.data.user),
+        message: 'Successfully authenticated'
+      });
+
+      // Notify followers that user came online
+      await this.notifyFollowersUserOnline(userId, username);
+
+      console.log(`User authenticated: ${username} (${userId})`);
+
+    } catch (error) {
+      console.error('Register socket error:', error);
+    }
+  }
+
+  /**
+   * Identity fields that are safe to send back to the client
+   */
+  getPublicIdentity(identity) {
+    return {
+      userId: identity.userId,
+      username: identity.username,
+      avatar: identity.avatar,
+      isGuest: identity.isGuest
+    };
+  }
+
+  /**
+   * Register an external delivery channel ('email', 'webPush', 'webhook')
+   * The handler receives (userId, notification, mode) and must not throw
+   */
+  registerDeliveryChannel(name, handler) {
+    this.deliveryChannels.set(name, handler);
+  }
+
+  /**
+   * Send notification to specific user, honoring their preferences
+   * In-app notifications are stored in the inbox and delivered live over the user_<id> room.
+   * Transient notices (e.g. presence) can skip the inbox with { persist: false }.
+   * Pass the related channel as { channelId } so per-channel mutes apply.
+   */
+  async sendNotificationToUser(userId, notification, { persist = true, channelId = null } = {}) {
+    try {
+      const preferences = await NotificationPreference.forUser(userId);
+      const delivery = preferences.resolveDelivery(notification.type, { channelId });
+
+      if (!delivery) return null;
+
+      const isOnline = this.connectedUsers.has(userId);
+      let stored = null;
+
+      if (delivery.inApp && !persist) {
+        if (isOnline) {
+          this.io.to(`user_${userId}`).emit('notification', notification);
+        }
+      } else if (delivery.inApp) {
+        stored = await Notification.create({
+          user: userId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: notification.data,
+          deliveredAt: isOnline ? new Date() : null
+        });
+
+        if (isOnline) {
+          this.io.to(`user_${userId}`).emit('notification', stored.toPayload());
+        }
+      }
+
+      for (const [name, handler] of this.deliveryChannels.entries()) {
+        if (delivery[name]) {
+          handler(userId, stored ? stored.toPayload() : notification, delivery[name]);
         }
-        this.notificationQueue.get(userId).push(notification);
       }
 
       console.log(`Notification sent to user ${userId}:`, notification.type);
+      return stored;
 
     } catch (error) {
       console.error('Send notification error:', error);
+      return null;
     }
   }
 
   /**
-   * Send pending notifications to user when they come online
+   * Send unread notifications to user when they come online
    */
   async sendPendingNotifications(userId) {
     try {
-      const pendingNotifications = this.notificationQueue.get(userId);
-      
-      if (pendingNotifications && pendingNotifications.length > 0) {
-        // Send all pending notifications
-        for (const notification of pendingNotifications) {
-          this.io.to(`user_${userId}`).emit('notification', notification);
-        }
+      const [unreadCount, pending] = await Promise.all([
+        Notification.countUnread(userId),
+        Notification.find({ user: userId, deliveredAt: null })
+          .sort({ _id: -1 })
+          .limit(50)
+      ]);
+
+      this.io.to(`user_${userId}`).emit('notifications-unread', {
+        unreadCount,
+        notifications: pending.reverse().map(notification => notification.toPayload())
+      });
 
-        // Clear the queue
-        this.notificationQueue.delete(userId);
+      if (pending.length > 0) {
+        await Notification.updateMany(
+          { _id: { $in: pending.map(notification => notification._id) } },
+          { deliveredAt: new Date() }
+        );
 
-        console.log(`Sent ${pendingNotifications.length} pending notifications to user ${userId}`);
+        console.log(`Sent ${pending.length} pending notifications to user ${userId}`);
       }
 
     } catch (error) {
@@ -327,12 +637,27 @@ class NotificationService {
     }
   }
 
+  /**
+   * Keep every open tab of a user in sync after notifications are read
+   */
+  async emitUnreadCount(userId) {
+    try {
+      const unreadCount = await Notification.countUnread(userId);
+      this.io.to(`user_${userId}`).emit('notifications-read', { unreadCount });
+      return unreadCount;
+
+    } catch (error) {
+      console.error('Emit unread count error:', error);
+      return null;
+    }
+  }
+
   /**
    * Notify when someone starts streaming
    */
   async notifyStreamStarted(streamId, streamerId, streamTitle) {
     try {
-      const streamer = await User.findById(streamerId).populate('followers');
+      const streamer = await User.findById(streamerId);
       
       if (!streamer) return;
 
@@ -351,9 +676,9 @@ class NotificationService {
       };
 
       // Notify all followers
-      for (const followerId of streamer.followers) {
-        await this.sendNotificationToUser(followerId.toString(), notification);
-      }
+      const followerCount = await Follow.eachFollowerId(streamerId, (followerId) =>
+        this.sendNotificationToUser(followerId, notification, { channelId: streamerId })
+      );
 
       // Broadcast to general "live streams" room
       this.io.emit('new-live-stream', {
@@ -366,17 +691,55 @@ class NotificationService {
         }
       });
 
-      console.log(`Notified ${streamer.followers.length} followers about stream: ${streamTitle}`);
+      console.log(`Notified ${followerCount} followers about stream: ${streamTitle}`);
 
     } catch (error) {
       console.error('Notify stream started error:', error);
     }
   }
 
+  /**
+   * Remind followers shortly before a scheduled stream
+   */
+  async notifyStreamReminder(streamId, streamerId, streamTitle, scheduledFor) {
+    try {
+      const streamer = await User.findById(streamerId);
+
+      if (!streamer) return;
+
+      const minutes = Math.max(0, Math.round((scheduledFor - Date.now()) / 60000));
+      const notification = {
+        type: 'stream_reminder',
+        title: 'Stream Starting Soon',
+        message: minutes > 0
+          ? `${streamer.username} goes live in ${minutes} minute${minutes === 1 ? '' : 's'}: ${streamTitle}`
+          : `${streamer.username} is about to go live: ${streamTitle}`,
+        data: {
+          streamId,
+          streamerId,
+          streamerUsername: streamer.username,
+          streamTitle,
+          streamerAvatar: streamer.avatar,
+          scheduledFor
+        },
+        timestamp: new Date()
+      };
+
+      const followerCount = await Follow.eachFollowerId(streamerId, (followerId) =>
+        this.sendNotificationToUser(followerId, notification, { channelId: streamerId })
+      );
+
+      console.log(`Reminded ${followerCount} followers about scheduled stream: ${streamTitle}`);
+
+    } catch (error) {
+      console.error('Notify stream reminder error:', error);
+    }
+  }
+
   /**
    * Notify when stream ends
    */
-  async notifyStreamEnded(streamId, streamerId, streamTitle, duration) {
+  async notifyStreamEnded(streamId, streamerId, streamTitle, duration, reason) {
     try {
       const notification = {
         type: 'stream_ended',
@@ -386,7 +749,8 @@ class NotificationService {
           streamId,
           streamerId,
           streamTitle,
-          duration
+          duration,
+          reason
         },
         timestamp: new Date()
       };
@@ -401,6 +765,24 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify viewers when the broadcast drops without the streamer ending it
+   */
+  async notifyStreamOffline(streamId, streamerId, streamTitle) {
+    try {
+      this.io.to(`stream_${streamId}`).emit('stream-offline', {
+        streamId,
+        streamerId,
+        streamTitle,
+        message: 'The broadcast went offline',
+        timestamp: new Date()
+      });
+
+    } catch (error) {
+      console.error('Notify stream offline error:', error);
+    }
+  }
+
   /**
    * Notify when someone follows a user
    */
@@ -417,7 +799,7 @@ class NotificationService {
         timestamp: new Date()
       };
 
-      await this.sendNotificationToUser(streamerId, notification);
+      await this.sendNotificationToUser(streamerId, notification, { channelId: followerId });
 
     } catch (error) {
       console.error('Notify new follower error:', error);
@@ -429,9 +811,9 @@ class NotificationService {
    */
   async notifyFollowersUserOnline(userId, username) {
     try {
-      const user = await User.findById(userId).populate('followers');
+      const user = await User.findById(userId);
       
-      if (!user || !user.followers.length) return;
+      if (!user || !user.followersCount) return;
 
       const notification = {
         type: 'user_online',
@@ -446,9 +828,9 @@ class NotificationService {
 
       // Only notify if user is a streamer
       if (user.isStreamer) {
-        for (const followerId of user.followers) {
-          await this.sendNotificationToUser(followerId.toString(), notification);
-        }
+        await Follow.eachFollowerId(userId, (followerId) =>
+          this.sendNotificationToUser(followerId, notification, { persist: false, channelId: userId })
+        );
       }
 
     } catch (error) {
@@ -476,12 +858,12 @@ class NotificationService {
         timestamp: new Date()
       };
 
-      // Don't spam with offline notifications - only send to users who are currently online
-      const onlineFollowers = Array.from(this.connectedUsers.keys());
-      
-      for (const followerId of onlineFollowers) {
-        await this.sendNotificationToUser(followerId, notification);
-      }
+      // Only followers who are currently online receive transient offline notices
+      await Follow.eachFollowerId(userId, async (followerId) => {
+        if (this.connectedUsers.has(followerId)) {
+          await this.sendNotificationToUser(followerId, notification, { persist: false, channelId: userId });
+        }
+      });
 
     } catch (error) {
       console.error('Notify followers user offline error:', error);
@@ -507,7 +889,9 @@ class NotificationService {
         timestamp: new Date()
       };
 
-      await this.sendNotificationToUser(stream.streamer.toString(), notification);
+      await this.sendNotificationToUser(stream.streamer.toString(), notification, {
+        channelId: chatMessage.userId
+      });
 
     } catch (error) {
       console.error('Notify streamer mention error:', error);
@@ -536,19 +920,19 @@ class NotificationService {
   }
 
   /**
-   * Save chat message to database (optional)
+   * Save chat message to database and return the payload to broadcast
+   * The message is still delivered live if persistence fails
    */
-  async saveChatMessage(chatMessage) {
-    try {
-      // You can implement chat message persistence here
-      // const ChatMessage = require('../models/ChatMessage');
-      // await ChatMessage.create(chatMessage);
-      
-      console.log('Chat message saved:', chatMessage.message);
+  async saveChatMessage(data) {
+    const chatMessage = new ChatMessage(data);
 
+    try {
+      await chatMessage.save();
     } catch (error) {
       console.error('Save chat message error:', error);
     }
+
+    return chatMessage.toPayload();
   }
 
   /**
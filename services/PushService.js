@@ -0,0 +1,212 @@
+// backend/services/PushService.js
+
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const ServerSetting = require('../models/ServerSetting');
+const NotificationService = require('./NotificationService');
+const config = require('../config/app');
+const { isPublicAddress, resolveHost } = require('../utils/network');
+
+const APP_URL = config.client.url;
+const MAX_FAILURES = 5;
+
+// How long the push service should hold a message for an offline device (seconds)
+const PUSH_TTL = {
+  stream_started: 60 * 60,
+  stream_reminder: 15 * 60,
+  chat_mention: 24 * 60 * 60
+};
+
+class PushService {
+  constructor() {
+    this.publicKey = null;
+    this.ready = null;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Load or generate VAPID keys and register the web push delivery channel
+   */
+  initialize() {
+    this.ready = this.loadVapidKeys()
+      .then(({ publicKey, privateKey }) => {
+        webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@localhost', publicKey, privateKey);
+        this.publicKey = publicKey;
+        console.log('🔔 PushService initialized');
+      })
+      .catch((error) => {
+        // Push stays disabled; other delivery channels are unaffected
+        console.error('❌ PushService initialization error:', error);
+      });
+
+    NotificationService.registerDeliveryChannel('webPush', (userId, notification) =>
+      this.sendToUser(userId, notification)
+    );
+
+    this.pruneTimer = setInterval(() => this.pruneExpired(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * VAPID keys come from the environment, or are generated once and stored
+   */
+  async loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      return {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+      };
+    }
+
+    return ServerSetting.getOrCreate('vapidKeys', () => webpush.generateVAPIDKeys());
+  }
+
+  async getPublicKey() {
+    await this.ready;
+    return this.publicKey;
+  }
+
+  /**
+   * Why a subscription endpoint can't be used, or null if it can. web-push POSTs
+   * to whatever endpoint the client registers, so it must be https on a host that
+   * resolves only to public addresses.
+   */
+  async checkEndpoint(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return 'Push endpoints must be https URLs';
+    }
+
+    if (url.protocol !== 'https:' || !url.hostname) {
+      return 'Push endpoints must be https URLs';
+    }
+
+    let addresses;
+    try {
+      addresses = await resolveHost(url.hostname);
+    } catch (error) {
+      return `${url.hostname} could not be resolved`;
+    }
+
+    if (!addresses.every(isPublicAddress)) {
+      return 'Push endpoints must point to a public address';
+    }
+
+    return null;
+  }
+
+  /**
+   * Register a browser subscription for a device
+   * A subscription endpoint belongs to one browser, so it moves to whoever registered it last
+   */
+  async subscribe(userId, subscription, device = '') {
+    return PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        user: userId,
+        keys: {
+          p256dh: subscription.keys.p256dh,
+          auth: subscription.keys.auth
+        },
+        expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+        device,
+        failureCount: 0
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+  }
+
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+    return result.deletedCount > 0;
+  }
+
+  buildPayload(notification) {
+    const data = notification.data || {};
+
+    return JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      tag: data.streamId ? `${notification.type}:${data.streamId}` : notification.type,
+      icon: data.streamerAvatar || undefined,
+      data: {
+        type: notification.type,
+        notificationId: notification.id,
+        streamId: data.streamId,
+        url: data.streamId ? `${APP_URL}/stream/${data.streamId}` : APP_URL
+      }
+    });
+  }
+
+  /**
+   * Push a notification to every registered device of a user
+   */
+  async sendToUser(userId, notification) {
+    try {
+      await this.ready;
+      if (!this.publicKey) return;
+
+      const subscriptions = await PushSubscription.find({ user: userId });
+      if (!subscriptions.length) return;
+
+      const payload = this.buildPayload(notification);
+      const options = { TTL: PUSH_TTL[notification.type] || 60 * 60 };
+
+      await Promise.all(subscriptions.map(subscription =>
+        this.sendToSubscription(subscription, payload, options)
+      ));
+
+    } catch (error) {
+      console.error('Send push notification error:', error);
+    }
+  }
+
+  async sendToSubscription(subscription, payload, options) {
+    try {
+      await webpush.sendNotification(subscription.toWebPush(), payload, options);
+
+      subscription.lastSuccessAt = new Date();
+      subscription.failureCount = 0;
+      await subscription.save();
+
+    } catch (error) {
+      // 404/410: the browser dropped the subscription
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await subscription.deleteOne();
+        console.log(`🗑️ Removed expired push subscription for user ${subscription.user}`);
+        return;
+      }
+
+      subscription.failureCount += 1;
+      if (subscription.failureCount >= MAX_FAILURES) {
+        await subscription.deleteOne();
+        console.log(`🗑️ Removed failing push subscription for user ${subscription.user}`);
+        return;
+      }
+
+      await subscription.save();
+      console.error(`Push delivery error (${error.statusCode || 'network'}):`, error.body || error.message);
+    }
+  }
+
+  /**
+   * Remove subscriptions whose browser-reported expiration has passed
+   */
+  async pruneExpired() {
+    try {
+      const result = await PushSubscription.deleteMany({
+        expirationTime: { $ne: null, $lte: new Date() }
+      });
+
+      if (result.deletedCount > 0) {
+        console.log(`🗑️ Pruned ${result.deletedCount} expired push subscriptions`);
+      }
+    } catch (error) {
+      console.error('Prune push subscriptions error:', error);
+    }
+  }
+}
+
+module.exports = new PushService();
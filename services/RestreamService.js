@@ -0,0 +1,271 @@
+// backend/services/RestreamService.js
+
+const ffmpeg = require('fluent-ffmpeg');
+const RestreamTarget = require('../models/RestreamTarget');
+const EventBus = require('./EventBus');
+const config = require('../config/app');
+const { maskSecret } = require('../utils/secrets');
+const { isPublicAddress, resolveHost } = require('../utils/network');
+
+// Each target retries on its own schedule; a target failing this often in a row is given up on
+const RETRY_BASE_MS = 2 * 1000;
+const RETRY_MAX_MS = 60 * 1000;
+const MAX_ATTEMPTS = config.restream.maxAttempts;
+
+const MAX_ERROR_LENGTH = 500;
+
+class RestreamService {
+  constructor() {
+    this.channels = new Map(); // userId -> { streamId, inputUrl, relays: Map<targetId, relay> }
+  }
+
+  /**
+   * Relays don't survive a restart; forget what the database says about them
+   */
+  initialize() {
+    RestreamTarget.updateMany({ status: { $ne: 'idle' } }, { status: 'idle' })
+      .catch((error) => console.error('Restream status recovery error:', error));
+
+    process.once('exit', () => {
+      for (const channel of this.channels.values()) {
+        for (const relay of channel.relays.values()) {
+          this.stopRelay(relay, 'SIGKILL');
+        }
+      }
+    });
+
+    console.log('📡 RestreamService initialized');
+  }
+
+  /**
+   * Why a URL can't be relayed to, or null if it can. ffmpeg connects to
+   * whatever the streamer enters, so the host must resolve only to public
+   * addresses and must not be this server's own ingest.
+   */
+  async checkUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return 'URL must be an rtmp:// or rtmps:// ingest URL';
+    }
+
+    if (!['rtmp:', 'rtmps:'].includes(url.protocol) || !url.hostname) {
+      return 'URL must be an rtmp:// or rtmps:// ingest URL';
+    }
+
+    let addresses;
+    try {
+      addresses = await resolveHost(url.hostname);
+    } catch (error) {
+      return `${url.hostname} could not be resolved`;
+    }
+
+    if (!addresses.every(isPublicAddress)) {
+      return 'Restream URLs must point to a public address';
+    }
+
+    // Relaying back into our ingest would publish the channel to itself
+    const ingestHost = new URL(config.ingest.publicUrl).hostname;
+    const ingestAddresses = await resolveHost(ingestHost).catch(() => []);
+    if (
+      url.hostname.toLowerCase() === ingestHost.toLowerCase() ||
+      addresses.some(({ address }) => ingestAddresses.some(ingest => ingest.address === address))
+    ) {
+      return 'Restream URLs cannot point to this server';
+    }
+
+    return null;
+  }
+
+  /**
+   * The channel started publishing: relay it to every enabled target
+   */
+  async startChannel(userId, streamId, inputUrl) {
+    this.stopChannel(userId);
+
+    const channel = { streamId, inputUrl, relays: new Map() };
+    this.channels.set(userId.toString(), channel);
+
+    const targets = await RestreamTarget.find({ user: userId, enabled: true }).select('+encryptedStreamKey');
+    for (const target of targets) {
+      // The publisher may have gone away while targets were loading
+      if (this.channels.get(userId.toString()) !== channel) return;
+      this.startRelay(userId.toString(), channel, target);
+    }
+  }
+
+  /**
+   * The channel stopped publishing: stop all of its relays
+   */
+  stopChannel(userId) {
+    const channel = this.channels.get(userId.toString());
+    if (!channel) return;
+
+    this.channels.delete(userId.toString());
+    for (const relay of channel.relays.values()) {
+      this.stopRelay(relay);
+      this.setStatus(relay.targetId, userId, 'idle');
+    }
+  }
+
+  /**
+   * Apply a created or changed target to a live channel: (re)start it if enabled, stop it if not
+   */
+  async syncTarget(target) {
+    const userId = target.user.toString();
+    const channel = this.channels.get(userId);
+    if (!channel) return;
+
+    this.removeTarget(target);
+
+    if (target.enabled) {
+      const withKey = await RestreamTarget.findById(target._id).select('+encryptedStreamKey');
+      if (withKey && this.channels.get(userId) === channel) {
+        this.startRelay(userId, channel, withKey);
+      }
+    }
+  }
+
+  /**
+   * Stop relaying to a target that was disabled or deleted
+   */
+  removeTarget(target) {
+    const userId = target.user.toString();
+    const channel = this.channels.get(userId);
+    const relay = channel && channel.relays.get(target._id.toString());
+    if (!relay) return;
+
+    channel.relays.delete(target._id.toString());
+    this.stopRelay(relay);
+    this.setStatus(relay.targetId, userId, 'idle');
+  }
+
+  startRelay(userId, channel, target) {
+    let publishUrl;
+    try {
+      publishUrl = target.getPublishUrl();
+    } catch (error) {
+      console.error(`Restream key for target ${target._id} can't be decrypted:`, error);
+      this.setStatus(target._id, userId, 'failed', { lastError: 'Stream key could not be read; enter it again' });
+      return;
+    }
+
+    const relay = {
+      targetId: target._id.toString(),
+      name: target.name,
+      url: target.url,
+      publishUrl,
+      command: null,
+      attempts: 0,
+      retryTimer: null
+    };
+    channel.relays.set(relay.targetId, relay);
+
+    this.runRelay(userId, channel, relay);
+  }
+
+  async runRelay(userId, channel, relay) {
+    // Checked again on every attempt: the host may resolve somewhere else by now
+    const urlError = await this.checkUrl(relay.url);
+    if (this.channels.get(userId) !== channel || channel.relays.get(relay.targetId) !== relay) return;
+
+    if (urlError) {
+      channel.relays.delete(relay.targetId);
+      this.setStatus(relay.targetId, userId, 'failed', { lastError: urlError, lastErrorAt: new Date() });
+      console.error(`❌ Restream to ${relay.name} for ${channel.streamId} refused: ${urlError}`);
+      return;
+    }
+
+    let connected = false;
+
+    // Audio and video are passed through untouched; the other platform transcodes
+    const command = ffmpeg(channel.inputUrl)
+      .outputOptions('-c', 'copy', '-f', 'flv')
+      .output(relay.publishUrl)
+      .on('start', () => {
+        this.setStatus(relay.targetId, userId, 'connecting');
+      })
+      .on('progress', () => {
+        if (connected) return;
+        connected = true;
+        relay.attempts = 0;
+        this.setStatus(relay.targetId, userId, 'live', { lastConnectedAt: new Date() });
+        console.log(`📡 Restreaming ${channel.streamId} to ${relay.name}`);
+      })
+      .on('error', (err) => {
+        this.handleRelayExit(userId, channel, relay, command, err);
+      })
+      .on('end', () => {
+        this.handleRelayExit(userId, channel, relay, command, new Error('Destination closed the connection'));
+      });
+
+    relay.command = command;
+    command.run();
+  }
+
+  /**
+   * Retry a relay that failed while the channel is still live, without touching the others
+   */
+  handleRelayExit(userId, channel, relay, command, err) {
+    // Stopped on purpose or replaced
+    if (relay.command !== command || channel.relays.get(relay.targetId) !== relay) return;
+    relay.command = null;
+
+    // Errors can contain the destination URL, and with it the key
+    const key = relay.publishUrl.slice(relay.publishUrl.lastIndexOf('/') + 1);
+    const message = err.message.split(key).join(maskSecret(key, 4)).slice(0, MAX_ERROR_LENGTH);
+
+    relay.attempts++;
+    if (relay.attempts >= MAX_ATTEMPTS) {
+      channel.relays.delete(relay.targetId);
+      this.setStatus(relay.targetId, userId, 'failed', { lastError: message, lastErrorAt: new Date() });
+      console.error(`❌ Restream to ${relay.name} for ${channel.streamId} gave up after ${relay.attempts} attempts: ${message}`);
+      return;
+    }
+
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (relay.attempts - 1), RETRY_MAX_MS);
+    this.setStatus(relay.targetId, userId, 'retrying', { lastError: message, lastErrorAt: new Date() });
+    console.error(`❌ Restream to ${relay.name} for ${channel.streamId} failed, retrying in ${delay / 1000}s: ${message}`);
+
+    relay.retryTimer = setTimeout(() => {
+      relay.retryTimer = null;
+      if (channel.relays.get(relay.targetId) === relay) {
+        this.runRelay(userId, channel, relay);
+      }
+    }, delay);
+    relay.retryTimer.unref();
+  }
+
+  stopRelay(relay, signal = 'SIGINT') {
+    clearTimeout(relay.retryTimer);
+
+    const { command } = relay;
+    relay.command = null;
+    if (!command) return;
+
+    if (command.ffmpegProc) {
+      command.kill(signal);
+    } else {
+      // Not spawned yet; stop it as soon as it is
+      command.once('start', () => command.kill(signal));
+    }
+  }
+
+  async setStatus(targetId, userId, status, extra = {}) {
+    try {
+      await RestreamTarget.updateOne({ _id: targetId }, { status, ...extra });
+
+      EventBus.publish(EventBus.EVENTS.RESTREAM_STATUS, {
+        targetId: targetId.toString(),
+        streamerId: userId.toString(),
+        status,
+        ...extra
+      });
+    } catch (error) {
+      console.error('Restream status update error:', error);
+    }
+  }
+}
+
+module.exports = new RestreamService();
@@ -0,0 +1,243 @@
+// backend/services/ScheduleService.js
+
+const Stream = require('../models/Stream');
+const NotificationService = require('./NotificationService');
+const config = require('../config/app');
+
+const APP_URL = config.client.url;
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+const REMINDER_LEAD_MINUTES = config.schedule.reminderLeadMinutes;
+
+// How far from its scheduled time an encoder connection still counts as that broadcast
+const MATCH_EARLY_MINUTES = config.schedule.matchEarlyMinutes;
+const MATCH_LATE_MINUTES = config.schedule.matchLateMinutes;
+
+const MAX_SCHEDULE_DAYS = 90;
+const FEED_HISTORY_DAYS = 30;
+
+const minutes = (value) => value * 60 * 1000;
+
+// iCalendar text values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+class ScheduleService {
+  constructor() {
+    this.reminderTimer = null;
+    this.isSendingReminders = false;
+  }
+
+  /**
+   * Start the reminder and expiry worker
+   */
+  initialize() {
+    this.reminderTimer = setInterval(() => {
+      this.sendDueReminders();
+      this.expireMissedStreams();
+    }, REMINDER_CHECK_INTERVAL_MS);
+    this.reminderTimer.unref();
+
+    this.expireMissedStreams();
+
+    console.log('📅 ScheduleService initialized');
+  }
+
+  /**
+   * Validate a requested start time; errors carry an HTTP status
+   */
+  parseScheduledFor(value) {
+    const scheduledFor = new Date(value);
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (isNaN(scheduledFor.getTime())) {
+      fail('scheduledFor must be a valid date');
+    }
+    if (scheduledFor <= new Date()) {
+      fail('scheduledFor must be in the future');
+    }
+    if (scheduledFor - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      fail(`Streams can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+    }
+
+    return scheduledFor;
+  }
+
+  /**
+   * Filter for scheduled streams that haven't started and aren't long overdue
+   */
+  upcomingFilter(extra = {}) {
+    return {
+      ...extra,
+      status: 'scheduled',
+      scheduledFor: { $gte: new Date(Date.now() - minutes(MATCH_LATE_MINUTES)) }
+    };
+  }
+
+  /**
+   * The scheduled stream an encoder connection belongs to: the one closest to now
+   * within the matching window
+   */
+  async findScheduledStream(streamerId) {
+    const now = Date.now();
+    const candidates = await Stream.find({
+      streamer: streamerId,
+      status: 'scheduled',
+      scheduledFor: {
+        $gte: new Date(now - minutes(MATCH_LATE_MINUTES)),
+        $lte: new Date(now + minutes(MATCH_EARLY_MINUTES))
+      }
+    });
+
+    return candidates.sort((a, b) =>
+      Math.abs(a.scheduledFor - now) - Math.abs(b.scheduledFor - now)
+    )[0] || null;
+  }
+
+  /**
+   * Remind followers of streams starting within the lead time, once per stream
+   */
+  async sendDueReminders() {
+    if (this.isSendingReminders) return;
+    this.isSendingReminders = true;
+
+    try {
+      let stream;
+      while ((stream = await this.claimNextReminder())) {
+        await NotificationService.notifyStreamReminder(
+          stream._id.toString(),
+          stream.streamer.toString(),
+          stream.title,
+          stream.scheduledFor
+        );
+      }
+    } catch (error) {
+      console.error('Stream reminder error:', error);
+    } finally {
+      this.isSendingReminders = false;
+    }
+  }
+
+  /**
+   * Scheduled streams that never went live stop being listed once an encoder
+   * connection can no longer be matched to them
+   */
+  async expireMissedStreams() {
+    try {
+      const result = await Stream.updateMany(
+        {
+          status: 'scheduled',
+          scheduledFor: { $lt: new Date(Date.now() - minutes(MATCH_LATE_MINUTES)) }
+        },
+        { status: 'expired' }
+      );
+
+      if (result.modifiedCount) {
+        console.log(`📅 Expired ${result.modifiedCount} scheduled stream(s) that never went live`);
+      }
+    } catch (error) {
+      console.error('Scheduled stream expiry error:', error);
+    }
+  }
+
+  claimNextReminder() {
+    const now = Date.now();
+
+    return Stream.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        reminderSentAt: null,
+        scheduledFor: {
+          $gt: new Date(now),
+          $lte: new Date(now + minutes(REMINDER_LEAD_MINUTES))
+        }
+      },
+      { reminderSentAt: new Date() },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  /**
+   * Streams shown in a channel's calendar: upcoming ones plus recent scheduled broadcasts
+   */
+  getFeedStreams(streamerId) {
+    return Stream.find({
+      streamer: streamerId,
+      status: { $in: ['scheduled', 'live', 'ended'] },
+      scheduledFor: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(200);
+  }
+
+  /**
+   * Render a channel's schedule as an iCalendar (RFC 5545) feed
+   */
+  buildCalendar(streamer, streams, host = 'live-streaming-app') {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//live-streaming-app//Stream Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(`${streamer.username}'s streams`)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+    ];
+
+    for (const stream of streams) {
+      const start = stream.startedAt && stream.status !== 'scheduled' ? stream.startedAt : stream.scheduledFor;
+      const end = stream.status === 'ended' && stream.endedAt
+        ? stream.endedAt
+        : new Date(start.getTime() + minutes(stream.scheduledDuration || 60));
+      const url = `${APP_URL}/stream/${stream._id}`;
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${stream._id}@${host}`,
+        `DTSTAMP:${formatDate(stream.updatedAt || new Date())}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SUMMARY:${escapeText(stream.title)}`,
+        `DESCRIPTION:${escapeText([stream.description, url].filter(Boolean).join('\n\n'))}`,
+        `CATEGORIES:${escapeText(stream.category)}`,
+        `URL:${url}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new ScheduleService();
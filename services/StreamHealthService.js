@@ -0,0 +1,260 @@
+// backend/services/StreamHealthService.js
+
+const EventBus = require('./EventBus');
+
+const SAMPLE_INTERVAL_MS = 5 * 1000;
+const HISTORY_SIZE = 120; // ten minutes of samples
+
+// Speed and dropped frames are judged over a few samples so a single hiccup doesn't warn
+const SUSTAINED_SAMPLES = 3;
+
+const THRESHOLDS = {
+  keyframeInterval: 4, // seconds
+  transcoderSpeed: 0.95, // multiple of realtime
+  droppedFramesRatio: 0.01, // share of transcoded frames
+  frameRateRatio: 0.8 // share of the frame rate the encoder announced
+};
+
+// ffmpeg progress lines look like "frame= 300 fps= 30 ... drop=2 speed=1.01x"
+const PROGRESS_FIELDS = /(frame|fps|drop|dup|speed)=\s*([\d.]+)/g;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value, digits = 2) => value === null ? null : Number(value.toFixed(digits));
+
+class StreamHealthService {
+  constructor() {
+    this.monitors = new Map(); // streamId -> monitor state, see startMonitoring
+  }
+
+  /**
+   * Start sampling a live stream; readIngest returns the publishing session's
+   * counters, or null while no publisher is connected
+   */
+  startMonitoring(streamId, { streamerId, readIngest }) {
+    this.stopMonitoring(streamId);
+
+    const monitor = {
+      streamId: streamId.toString(),
+      streamerId: streamerId.toString(),
+      readIngest,
+      lastInBytes: null,
+      lastSampleAt: Date.now(),
+      videoPackets: 0,
+      lastPts: null,
+      lastKeyframePts: null,
+      keyframeIntervals: [],
+      transcoder: { frame: 0, drop: 0, fps: null, speed: null },
+      lastFrame: 0,
+      lastDrop: 0,
+      samples: [],
+      warnings: new Map(), // code -> warning
+      timer: null
+    };
+
+    monitor.timer = setInterval(() => this.sample(monitor), SAMPLE_INTERVAL_MS);
+    monitor.timer.unref();
+
+    this.monitors.set(monitor.streamId, monitor);
+  }
+
+  stopMonitoring(streamId) {
+    const monitor = this.monitors.get(streamId.toString());
+    if (!monitor) return;
+
+    clearInterval(monitor.timer);
+    this.monitors.delete(monitor.streamId);
+  }
+
+  /**
+   * A video packet seen by the ingest probe
+   */
+  recordVideoPacket(streamId, { pts, isKeyframe }) {
+    const monitor = this.monitors.get(streamId.toString());
+    if (!monitor) return;
+
+    monitor.videoPackets++;
+    if (pts === null) return;
+
+    monitor.lastPts = pts;
+    if (!isKeyframe) return;
+
+    if (monitor.lastKeyframePts !== null && pts > monitor.lastKeyframePts) {
+      monitor.keyframeIntervals.push(pts - monitor.lastKeyframePts);
+    }
+    monitor.lastKeyframePts = pts;
+  }
+
+  /**
+   * The probe restarted (e.g. after a reconnect); timestamps start over
+   */
+  resetVideoTimeline(streamId) {
+    const monitor = this.monitors.get(streamId.toString());
+    if (!monitor) return;
+
+    monitor.lastPts = null;
+    monitor.lastKeyframePts = null;
+  }
+
+  /**
+   * A line of transcoder output; only progress lines are used
+   */
+  recordTranscoderProgress(streamId, line) {
+    const monitor = this.monitors.get(streamId.toString());
+    if (!monitor || !line.startsWith('frame=')) return;
+
+    const progress = {};
+    for (const [, field, value] of line.matchAll(PROGRESS_FIELDS)) {
+      progress[field] = parseFloat(value);
+    }
+
+    // A restarted transcoder counts from zero again
+    if (progress.frame < monitor.transcoder.frame) {
+      monitor.lastFrame = 0;
+      monitor.lastDrop = 0;
+    }
+
+    Object.assign(monitor.transcoder, progress);
+  }
+
+  sample(monitor) {
+    const ingest = monitor.readIngest();
+    const now = Date.now();
+    const elapsedSeconds = (now - monitor.lastSampleAt) / 1000;
+    monitor.lastSampleAt = now;
+
+    if (!ingest) {
+      // Publisher is reconnecting; start the next window fresh
+      monitor.lastInBytes = null;
+      monitor.videoPackets = 0;
+      monitor.keyframeIntervals = [];
+      return;
+    }
+
+    // A new publishing session starts its byte counter over
+    const bytes = monitor.lastInBytes !== null && ingest.inBytes >= monitor.lastInBytes
+      ? ingest.inBytes - monitor.lastInBytes
+      : null;
+    monitor.lastInBytes = ingest.inBytes;
+
+    // With no keyframe in the window, the gap since the last one is the best estimate
+    let keyframeInterval = monitor.keyframeIntervals.length
+      ? Math.max(...monitor.keyframeIntervals)
+      : null;
+    if (monitor.lastKeyframePts !== null && monitor.lastPts !== null) {
+      const openInterval = monitor.lastPts - monitor.lastKeyframePts;
+      if (openInterval > (keyframeInterval || 0) && openInterval > THRESHOLDS.keyframeInterval) {
+        keyframeInterval = openInterval;
+      }
+    }
+
+    const { transcoder } = monitor;
+    const frames = Math.max(transcoder.frame - monitor.lastFrame, 0);
+    const droppedFrames = Math.max(transcoder.drop - monitor.lastDrop, 0);
+    monitor.lastFrame = transcoder.frame;
+    monitor.lastDrop = transcoder.drop;
+
+    const sample = {
+      timestamp: new Date(now),
+      ingestBitrate: bytes === null ? null : Math.round(bytes * 8 / 1000 / elapsedSeconds), // kbps
+      frameRate: monitor.videoPackets ? round(monitor.videoPackets / elapsedSeconds, 1) : null,
+      declaredFrameRate: ingest.declaredFrameRate || null,
+      width: ingest.width || null,
+      height: ingest.height || null,
+      keyframeInterval: round(keyframeInterval),
+      frames,
+      droppedFrames,
+      transcoderFps: transcoder.fps,
+      transcoderSpeed: transcoder.speed
+    };
+
+    monitor.videoPackets = 0;
+    monitor.keyframeIntervals = [];
+
+    monitor.samples.push(sample);
+    if (monitor.samples.length > HISTORY_SIZE) {
+      monitor.samples.shift();
+    }
+
+    const raised = this.evaluateWarnings(monitor, sample);
+
+    EventBus.publish(EventBus.EVENTS.STREAM_HEALTH, {
+      streamId: monitor.streamId,
+      streamerId: monitor.streamerId,
+      sample,
+      warnings: [...monitor.warnings.values()],
+      raised
+    });
+  }
+
+  /**
+   * Update the active warnings from the latest samples; returns the newly raised ones
+   */
+  evaluateWarnings(monitor, sample) {
+    const recent = monitor.samples.slice(-SUSTAINED_SAMPLES);
+    const sustained = recent.length === SUSTAINED_SAMPLES;
+    const active = {};
+
+    if (sample.ingestBitrate === 0) {
+      active.no_data = 'The encoder is connected but not sending any data';
+    }
+
+    if (sample.keyframeInterval !== null && sample.keyframeInterval > THRESHOLDS.keyframeInterval) {
+      active.keyframe_interval = `Keyframe interval is ${sample.keyframeInterval}s, above ${THRESHOLDS.keyframeInterval}s; ` +
+        'set your encoder to send a keyframe every 2 seconds';
+    }
+
+    if (sample.frameRate !== null && sample.declaredFrameRate &&
+        sample.frameRate < sample.declaredFrameRate * THRESHOLDS.frameRateRatio) {
+      active.low_frame_rate = `Receiving ${sample.frameRate} fps, but the encoder is set to ${sample.declaredFrameRate} fps`;
+    }
+
+    const speeds = recent.map(s => s.transcoderSpeed).filter(speed => speed !== null);
+    if (sustained && speeds.length === SUSTAINED_SAMPLES && average(speeds) < THRESHOLDS.transcoderSpeed) {
+      active.transcoder_behind = `Transcoder is falling behind realtime (${round(average(speeds))}x)`;
+    }
+
+    const frames = recent.reduce((sum, s) => sum + s.frames, 0);
+    const dropped = recent.reduce((sum, s) => sum + s.droppedFrames, 0);
+    if (sustained && frames && dropped / (frames + dropped) > THRESHOLDS.droppedFramesRatio) {
+      active.dropped_frames = `${dropped} frames dropped in the last ${SUSTAINED_SAMPLES * SAMPLE_INTERVAL_MS / 1000}s`;
+    }
+
+    const raised = [];
+    for (const [code, message] of Object.entries(active)) {
+      const existing = monitor.warnings.get(code);
+      if (existing) {
+        existing.message = message;
+      } else {
+        const warning = { code, message, since: sample.timestamp };
+        monitor.warnings.set(code, warning);
+        raised.push(warning);
+      }
+    }
+
+    for (const code of monitor.warnings.keys()) {
+      if (!active[code]) {
+        monitor.warnings.delete(code);
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Latest sample, history and active warnings of a stream
+   */
+  getHealth(streamId) {
+    const monitor = this.monitors.get(streamId.toString());
+
+    return {
+      monitoring: !!monitor,
+      current: monitor ? monitor.samples[monitor.samples.length - 1] || null : null,
+      samples: monitor ? monitor.samples : [],
+      warnings: monitor ? [...monitor.warnings.values()] : [],
+      sampleInterval: SAMPLE_INTERVAL_MS / 1000,
+      thresholds: THRESHOLDS
+    };
+  }
+}
+
+module.exports = new StreamHealthService();
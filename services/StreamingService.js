@@ -1,186 +1,1270 @@
+const express = require('express');
+const cors = require('cors');
 const NodeMediaServer = require('node-media-server');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const readline = require('readline');
+const { spawn } = require('child_process');
 const Stream = require('../models/Stream');
 const User = require('../models/User');
+const StreamKey = require('../models/StreamKey');
+const PublishRejection = require('../models/PublishRejection');
+const config = require('../config/app');
+const EventBus = require('./EventBus');
+const ScheduleService = require('./ScheduleService');
+const StreamHealthService = require('./StreamHealthService');
+const ThumbnailService = require('./ThumbnailService');
+const RestreamService = require('./RestreamService');
+const { maskSecret } = require('../utils/secrets');
+
+const RECONNECT_GRACE_MS = config.ingest.reconnectGraceSeconds * 1000;
+
+// Transcoder restarts back off exponentially; a run this long counts as healthy again
+const TRANSCODER_RESTART_BASE_MS = 1000;
+const TRANSCODER_RESTART_MAX_MS = 30 * 1000;
+const TRANSCODER_STABLE_MS = 60 * 1000;
+const TRANSCODER_KILL_TIMEOUT_MS = 5 * 1000;
+
+// Live streams record a heartbeat so a crash can be dated on the next boot
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const FFPROBE_PATH = config.health.ffprobePath;
+const HEALTH_PROBE_RESTART_MS = 5 * 1000;
+
+// Live thumbnails are refreshed from the HLS output; the first waits for a few segments
+const THUMBNAIL_INTERVAL_MS = config.thumbnails.intervalSeconds * 1000;
+const THUMBNAIL_FIRST_CAPTURE_MS = config.hls.segmentDuration * 3 * 1000;
 
 class StreamingService {
   constructor() {
     this.nms = null;
-    this.activeStreams = new Map();
+    this.activeStreams = new Map(); // raw stream key -> { sessionId, streamId, userId, keyId, startTime, disconnectedAt, reconnectTimer }
+    this.publishers = new Map(); // node-media-server session id -> publishing session
+    this.ladder = config.hls.ladder;
+    this.recordings = new Map(); // streamKey -> recording process info
+    this.transcoders = new Map(); // streamKey -> { command, streamId, startedAt, restarts, restartTimer }
+    this.healthProbes = new Map(); // streamKey -> { process, streamId, restartTimer }
+    this.thumbnailCaptures = new Map(); // streamKey -> { streamId, timer, running }
+    this.heartbeatTimer = null;
+    this.playbackServer = null;
   }
 
   initialize() {
-    const config = {
+    // node-media-server only ingests; its HTTP server would serve files
+    // without CORS headers, so playback has a server of its own
+    this.nms = new NodeMediaServer({
       rtmp: {
-        port: 1935,
+        port: config.ingest.port,
         chunk_size: 60000,
         gop_cache: true,
         ping: 30,
         ping_timeout: 60
-      },
-      http: {
-        port: 8000,
-        allow_origin: '*'
       }
-    };
-
-    this.nms = new NodeMediaServer(config);
+    });
     this.setupEventHandlers();
     this.nms.run();
+
+    this.playbackServer = this.createPlaybackApp().listen(config.playback.httpPort);
+
+    // ffmpeg children would otherwise outlive the server
+    process.once('exit', () => this.stopAllTranscoders());
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+
+    this.migrateStreamKeys()
+      .catch((error) => console.error('Stream key migration error:', error));
+
+    this.reconcileStreams()
+      .catch((error) => console.error('Stream reconciliation error:', error));
     
-    console.log('🎥 RTMP Server started on port 1935');
-    console.log('📺 HTTP Server started on port 8000');
+    console.log(`🎥 RTMP Server started on port ${config.ingest.port} (ingest: ${config.ingest.publicUrl})`);
+    console.log(`📺 HTTP Server started on port ${config.playback.httpPort} (playback: ${config.playback.baseUrl})`);
   }
 
-  setupEventHandlers() {
-    // When publisher connects
-    this.nms.on('preConnect', (id, args) => {
-      console.log('[NodeEvent on preConnect]', `id=${id} args=${JSON.stringify(args)}`);
+  /**
+   * Serves the HLS output under the media root, so playback URLs map onto hls.dir
+   */
+  createPlaybackApp() {
+    const app = express();
+
+    app.use(cors({ origin: config.cors.mediaOrigin }));
+    app.use(express.static(config.hls.mediaRoot, {
+      // Live playlists change with every segment; segments never change
+      setHeaders: (res, filePath) => {
+        res.setHeader('Cache-Control', filePath.endsWith('.m3u8') ? 'no-cache' : 'public, max-age=3600');
+      }
+    }));
+
+    return app;
+  }
+
+  /**
+   * Streams used to carry their streamer's key under a unique, non-sparse
+   * index, so every stream saved without one now collides on null. Drop
+   * that index and the copies, and move keys still stored on users into StreamKey.
+   */
+  async migrateStreamKeys() {
+    const indexes = await Stream.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'streamKey_1')) {
+      await Stream.collection.dropIndex('streamKey_1');
+      console.log('🔑 Dropped legacy streamKey_1 index on streams');
+    }
+
+    await Stream.collection.updateMany({ streamKey: { $exists: true } }, { $unset: { streamKey: 1 } });
+
+    const users = await User.find({ streamKey: { $exists: true, $nin: [null, ''] } }).select('+streamKey');
+    for (const user of users) {
+      const { streamKey } = await this.resolveStreamKey(user.streamKey);
+      // A key that was hashed earlier still leaves the plaintext copy behind
+      if (streamKey) {
+        await User.updateOne({ _id: user._id }, { $unset: { streamKey: 1 } });
+      }
+    }
+
+    if (users.length) {
+      console.log(`🔑 Moved ${users.length} legacy stream key(s) into StreamKey`);
+    }
+  }
+
+  /**
+   * Streams still marked live in the database without a publishing session
+   * were left behind by a crash or deploy: end them as of their last heartbeat
+   */
+  async reconcileStreams() {
+    const liveStreamIds = this.getActiveStreams();
+    const orphans = await Stream.find({ isLive: true, _id: { $nin: liveStreamIds } });
+
+    for (const stream of orphans) {
+      try {
+        await this.endStream(stream, 'server_restart', { endedAt: this.estimateEndedAt(stream) });
+
+        if (['recording', 'processing'].includes(stream.recordingStatus)) {
+          await this.recoverRecording(stream._id);
+        }
+
+        this.cleanupHLSFiles(stream._id);
+
+        console.log(`🧹 Ended orphaned stream ${stream._id} (${stream.duration}s)`);
+      } catch (error) {
+        console.error(`Error ending orphaned stream ${stream._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Last sign of life of a stream: its heartbeat, or the newest HLS segment
+   */
+  estimateEndedAt(stream) {
+    const candidates = [stream.startedAt, stream.lastHeartbeatAt];
+
+    const outputDir = this.getHLSDir(stream._id);
+    if (fs.existsSync(outputDir)) {
+      for (const entry of fs.readdirSync(outputDir, { recursive: true })) {
+        candidates.push(fs.statSync(path.join(outputDir, entry)).mtime);
+      }
+    }
+
+    const lastSeen = Math.max(...candidates.filter(Boolean).map(date => date.getTime()));
+    return new Date(Math.min(isFinite(lastSeen) ? lastSeen : Date.now(), Date.now()));
+  }
+
+  /**
+   * Finalize whatever the recorder of a crashed broadcast left on disk
+   */
+  recoverRecording(streamId) {
+    const recordingDir = this.getRecordingDir();
+    const partPattern = new RegExp(`^(${streamId}-\\d+\\.mp4)\\.part(\\d+)$`);
+    const files = fs.existsSync(recordingDir) ? fs.readdirSync(recordingDir) : [];
+
+    const partsByFile = new Map();
+    for (const file of files) {
+      const match = file.match(partPattern);
+      if (!match) continue;
+      if (!partsByFile.has(match[1])) partsByFile.set(match[1], []);
+      partsByFile.get(match[1])[match[2]] = this.getRecordingPath(file);
+    }
+
+    // File names carry their start time, so the last one is the latest broadcast
+    const fileName = [...partsByFile.keys()].sort().pop() || `${streamId}-${Date.now()}.mp4`;
+    const recoveryKey = `recovered:${streamId}`;
+
+    this.recordings.set(recoveryKey, {
+      command: null,
+      streamId,
+      fileName,
+      parts: (partsByFile.get(fileName) || []).filter(Boolean),
+      stopTimer: null
     });
 
-    // When stream starts publishing
-    this.nms.on('postPublish', async (id, StreamPath, args) => {
-      console.log('[NodeEvent on postPublish]', `id=${id} StreamPath=${StreamPath} args=${JSON.stringify(args)}`);
-      
-      const streamKey = StreamPath.split('/')[2];
-      await this.handleStreamStart(streamKey, id);
+    return this.finalizeRecording(recoveryKey);
+  }
+
+  async heartbeat() {
+    const streamIds = [...this.activeStreams.values()]
+      .filter(streamData => !streamData.disconnectedAt)
+      .map(streamData => streamData.streamId);
+    if (!streamIds.length) return;
+
+    try {
+      await Stream.updateMany({ _id: { $in: streamIds }, isLive: true }, { lastHeartbeatAt: new Date() });
+    } catch (error) {
+      console.error('Stream heartbeat error:', error);
+    }
+  }
+
+  /**
+   * node-media-server v4 passes the session to its events and has no
+   * prePublish hook, so publishers are checked once they start pushing and
+   * closed if they may not go live
+   */
+  setupEventHandlers() {
+    this.nms.on('postPublish', async (session) => {
+      try {
+        console.log('[NodeEvent on postPublish]', `id=${session.id} StreamPath=${this.maskStreamPath(session.streamPath)}`);
+
+        // Publishers are tracked from the public events so they can be found by id later
+        this.publishers.set(session.id, session);
+
+        const streamKey = this.getStreamKeyFromPath(session.streamPath);
+        const allowed = await this.authorizePublish(session.id, streamKey, session.streamPath);
+        if (!allowed) return;
+
+        await this.handleStreamStart(streamKey, session.id);
+      } catch (error) {
+        console.error('Error handling postPublish:', error);
+      }
     });
 
     // When stream stops publishing
-    this.nms.on('donePublish', async (id, StreamPath, args) => {
-      console.log('[NodeEvent on donePublish]', `id=${id} StreamPath=${StreamPath} args=${JSON.stringify(args)}`);
-      
-      const streamKey = StreamPath.split('/')[2];
-      await this.handleStreamEnd(streamKey);
+    this.nms.on('donePublish', async (session) => {
+      try {
+        console.log('[NodeEvent on donePublish]', `id=${session.id} StreamPath=${this.maskStreamPath(session.streamPath)}`);
+
+        this.publishers.delete(session.id);
+
+        // Ignore sessions that were rejected or belong to another publisher
+        const streamKey = this.getStreamKeyFromPath(session.streamPath);
+        const streamData = this.activeStreams.get(streamKey);
+        if (!streamData || streamData.sessionId !== session.id) return;
+
+        await this.handlePublisherDisconnect(streamKey);
+      } catch (error) {
+        console.error('Error handling donePublish:', error);
+      }
     });
   }
 
+  // Stream paths are /live/<stream key>
+  getStreamKeyFromPath(streamPath) {
+    return String(streamPath || '').split('/')[2] || '';
+  }
+
+  // Sessions are node-media-server 4.0.x RtmpSession objects (package.json pins ^4.0.18);
+  // close() and the counters read in getIngestStats come from its BaseSession
+  getSession(sessionId) {
+    return this.publishers.get(sessionId) || null;
+  }
+
+  /**
+   * Check whether a publishing session may go live with the given stream key.
+   * Rejects the session and records the attempt when it may not.
+   */
+  async authorizePublish(sessionId, streamKey, streamPath) {
+    try {
+      const { reason, user } = await this.getPublishRejectionReason(streamKey, sessionId);
+      if (!reason) return true;
+
+      await this.rejectPublish(sessionId, { streamKey, streamPath, reason, user });
+      return false;
+
+    } catch (error) {
+      console.error('Error authorizing publish:', error);
+      this.rejectSession(sessionId);
+      return false;
+    }
+  }
+
+  async getPublishRejectionReason(streamKey, sessionId) {
+    if (!streamKey) {
+      return { reason: 'missing_stream_key' };
+    }
+
+    const { user } = await this.resolveStreamKey(streamKey);
+    if (!user) {
+      return { reason: 'invalid_stream_key' };
+    }
+
+    if (user.isBlocked) {
+      return { reason: 'user_blocked', user };
+    }
+
+    if (!user.isStreamer) {
+      return { reason: 'not_streamer', user };
+    }
+
+    // One broadcast per channel, whichever of its keys is used
+    const activeStream = this.getActiveStreamForUser(user._id);
+    if (activeStream && activeStream.sessionId !== sessionId && !this.isReconnecting(streamKey)) {
+      return { reason: 'already_live', user };
+    }
+
+    return { reason: null, user };
+  }
+
+  /**
+   * Find the streamer a key belongs to
+   * Legacy plaintext keys stored on the user are moved into StreamKey on first use
+   */
+  async resolveStreamKey(key) {
+    const streamKey = await StreamKey.findByKey(key);
+    if (streamKey) {
+      const user = await User.findById(streamKey.user);
+      return { user, streamKey };
+    }
+
+    const legacyUser = await User.findOne({ streamKey: key });
+    if (!legacyUser) {
+      return { user: null, streamKey: null };
+    }
+
+    try {
+      const migrated = new StreamKey({ user: legacyUser._id, name: 'Legacy key' });
+      migrated.setKey(key);
+      await migrated.save();
+      await User.updateOne({ _id: legacyUser._id }, { $unset: { streamKey: 1 } });
+
+      return { user: legacyUser, streamKey: migrated };
+    } catch (error) {
+      // Another connection migrated it first
+      if (error.code === 11000) {
+        return { user: legacyUser, streamKey: await StreamKey.findByKey(key) };
+      }
+      throw error;
+    }
+  }
+
+  // Stream paths are /live/<stream key>; keep the key out of the logs
+  maskStreamPath(streamPath) {
+    const [, app, streamKey] = String(streamPath).split('/');
+    return `/${app}/${maskSecret(streamKey)}`;
+  }
+
+  getActiveStreamForUser(userId) {
+    for (const streamData of this.activeStreams.values()) {
+      if (streamData.userId === userId.toString()) return streamData;
+    }
+    return null;
+  }
+
+  findActiveStreamKey(streamId) {
+    for (const [streamKey, streamData] of this.activeStreams.entries()) {
+      if (streamData.streamId.toString() === streamId.toString()) return streamKey;
+    }
+    return null;
+  }
+
+  isReconnecting(streamKey) {
+    const streamData = this.activeStreams.get(streamKey);
+    return !!(streamData && streamData.disconnectedAt);
+  }
+
+  /**
+   * Disconnect whoever is publishing with a key that was rotated or revoked
+   * A broadcast waiting for that key to reconnect is finalized right away
+   */
+  disconnectStreamKey(keyId) {
+    for (const [streamKey, streamData] of this.activeStreams.entries()) {
+      if (streamData.keyId !== keyId.toString()) continue;
+
+      if (streamData.disconnectedAt) {
+        this.handleStreamEnd(streamKey);
+      } else {
+        this.rejectSession(streamData.sessionId);
+      }
+    }
+  }
+
+  async rejectPublish(sessionId, { streamKey, streamPath, reason, user }) {
+    const session = this.getSession(sessionId);
+    const ip = session && session.ip ? session.ip : '';
+
+    this.rejectSession(sessionId);
+
+    console.log(`🚫 Publish rejected (${reason}): key=${maskSecret(streamKey) || '-'} ip=${ip || '-'}`);
+
+    try {
+      await PublishRejection.create({
+        streamKey: maskSecret(streamKey),
+        user: user ? user._id : undefined,
+        reason,
+        ip,
+        sessionId,
+        streamPath
+      });
+    } catch (error) {
+      console.error('Error recording publish rejection:', error);
+    }
+  }
+
+  rejectSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      this.publishers.delete(sessionId);
+      session.close();
+    }
+  }
+
   async handleStreamStart(streamKey, sessionId) {
     try {
       // Find user by stream key
-      const user = await User.findOne({ streamKey });
+      const { user, streamKey: key } = await this.resolveStreamKey(streamKey);
       if (!user) {
-        console.log('Invalid stream key:', streamKey);
+        console.log('Invalid stream key:', maskSecret(streamKey));
+        this.rejectSession(sessionId);
         return;
       }
 
-      // Find or create stream
-      let stream = await Stream.findOne({ streamKey, isLive: false });
-      if (!stream) {
-        stream = new Stream({
-          title: `${user.username}'s Live Stream`,
-          streamer: user._id,
-          streamKey,
-          rtmpUrl: `rtmp://localhost:1935/live/${streamKey}`
-        });
+      // Same key within the grace window: continue the interrupted broadcast
+      if (this.isReconnecting(streamKey)) {
+        await this.resumeStream(streamKey, sessionId, user);
+        return;
       }
 
+      const stream = await this.getBroadcastStream(user);
+
       // Update stream status
       stream.isLive = true;
+      stream.status = 'live';
       stream.startedAt = new Date();
-      stream.hlsUrl = `http://localhost:8000/live/${streamKey}/index.m3u8`;
+      stream.lastHeartbeatAt = stream.startedAt;
+      stream.rtmpUrl = config.ingest.publicUrl;
+      stream.hlsUrl = this.getPlaybackUrl(stream._id);
+      stream.quality = this.getQualityVariants(stream._id);
+
+      if (stream.recordingEnabled) {
+        stream.recordingStatus = 'recording';
+        stream.recordingUrl = undefined;
+      }
       
       await stream.save();
 
+      await StreamKey.updateOne({ _id: key._id }, { lastUsedAt: new Date() });
+
       // Store active stream
       this.activeStreams.set(streamKey, {
         sessionId,
         streamId: stream._id,
+        userId: user._id.toString(),
+        keyId: key._id.toString(),
         startTime: Date.now()
       });
 
       // Start HLS conversion
-      this.startHLSConversion(streamKey);
+      this.startHLSConversion(streamKey, stream._id);
 
-      console.log(`✅ Stream started: ${user.username} (${streamKey})`);
+      StreamHealthService.startMonitoring(stream._id, {
+        streamerId: user._id,
+        readIngest: () => this.getIngestStats(streamKey)
+      });
+      this.startHealthProbe(streamKey, stream._id);
+      this.startThumbnailCapture(streamKey, stream._id);
+      this.startRestreams(streamKey, user._id, stream._id);
+
+      // Archive the broadcast if requested
+      if (stream.recordingEnabled) {
+        this.startRecording(streamKey, stream._id);
+      }
+
+      EventBus.publish(EventBus.EVENTS.STREAM_STARTED, {
+        streamId: stream._id.toString(),
+        streamerId: user._id.toString(),
+        title: stream.title
+      });
+
+      console.log(`✅ Stream started: ${user.username} (${key.name})`);
 
     } catch (error) {
       console.error('Error handling stream start:', error);
     }
   }
 
+  /**
+   * Stream document for a new broadcast. A stream scheduled around now or
+   * created ahead of time is used; otherwise a new one carries over the
+   * settings of the channel's last broadcast, which keeps its recording.
+   */
+  async getBroadcastStream(user) {
+    const scheduled = await ScheduleService.findScheduledStream(user._id);
+    if (scheduled) return scheduled;
+
+    const prepared = await Stream.findOne({ streamer: user._id, status: 'created', startedAt: null })
+      .sort({ createdAt: -1 });
+    if (prepared) return prepared;
+
+    const previous = await Stream.findOne({ streamer: user._id, status: 'ended' })
+      .sort({ startedAt: -1 })
+      .lean();
+
+    return new Stream({
+      title: `${user.username}'s Live Stream`,
+      ...(previous && {
+        title: previous.title,
+        description: previous.description,
+        category: previous.category,
+        chatEnabled: previous.chatEnabled,
+        chatSettings: previous.chatSettings,
+        recordingEnabled: previous.recordingEnabled
+      }),
+      streamer: user._id
+    });
+  }
+
+  /**
+   * The encoder dropped: keep the broadcast, HLS output and recording around
+   * for the grace window so a reconnect with the same key can resume it
+   */
+  async handlePublisherDisconnect(streamKey) {
+    const streamData = this.activeStreams.get(streamKey);
+    if (!streamData) return;
+
+    // Nothing to transcode or probe until the publisher is back
+    this.stopHLSConversion(streamKey);
+    this.stopHealthProbe(streamKey);
+    this.stopThumbnailCapture(streamKey);
+    RestreamService.stopChannel(streamData.userId);
+
+    if (!RECONNECT_GRACE_MS) {
+      await this.handleStreamEnd(streamKey);
+      return;
+    }
+
+    streamData.disconnectedAt = new Date();
+    streamData.reconnectTimer = setTimeout(() => this.handleStreamEnd(streamKey), RECONNECT_GRACE_MS);
+
+    try {
+      const stream = await Stream.findById(streamData.streamId).select('streamer title isLive');
+      if (stream && stream.isLive) {
+        EventBus.publish(EventBus.EVENTS.STREAM_RECONNECTING, {
+          streamId: stream._id.toString(),
+          streamerId: stream.streamer.toString(),
+          title: stream.title,
+          graceSeconds: RECONNECT_GRACE_MS / 1000
+        });
+      }
+
+      console.log(`⏳ Publisher dropped for ${streamData.streamId}, waiting ${RECONNECT_GRACE_MS / 1000}s for reconnect`);
+
+    } catch (error) {
+      console.error('Error handling publisher disconnect:', error);
+    }
+  }
+
+  /**
+   * Attach a reconnected publisher to the broadcast it dropped from
+   */
+  async resumeStream(streamKey, sessionId, user) {
+    const streamData = this.activeStreams.get(streamKey);
+
+    clearTimeout(streamData.reconnectTimer);
+    const downtime = Math.round((Date.now() - streamData.disconnectedAt) / 1000);
+    streamData.sessionId = sessionId;
+    streamData.disconnectedAt = null;
+    streamData.reconnectTimer = null;
+
+    const stream = await Stream.findById(streamData.streamId);
+    if (!stream || !stream.isLive) {
+      // Ended while we were waiting (e.g. by the streamer); start over as a new broadcast
+      await this.handleStreamEnd(streamKey);
+      await this.handleStreamStart(streamKey, sessionId);
+      return;
+    }
+
+    // Continue the existing playlists so players keep going
+    this.startHLSConversion(streamKey, stream._id, { resume: true });
+    StreamHealthService.resetVideoTimeline(stream._id);
+    this.startHealthProbe(streamKey, stream._id);
+    this.startThumbnailCapture(streamKey, stream._id);
+    this.startRestreams(streamKey, user._id, stream._id);
+
+    if (stream.recordingEnabled) {
+      this.startRecording(streamKey, stream._id);
+    }
+
+    EventBus.publish(EventBus.EVENTS.STREAM_RESUMED, {
+      streamId: stream._id.toString(),
+      streamerId: user._id.toString(),
+      title: stream.title,
+      downtime
+    });
+
+    console.log(`🔁 Stream resumed: ${user.username} after ${downtime}s`);
+  }
+
+  /**
+   * Finalize a broadcast whose publisher is gone for good
+   */
   async handleStreamEnd(streamKey) {
     try {
       const streamData = this.activeStreams.get(streamKey);
       if (!streamData) return;
 
-      // Update stream in database
+      // Remove from active streams first so endStream doesn't look for a publisher
+      clearTimeout(streamData.reconnectTimer);
+      this.activeStreams.delete(streamKey);
+      this.stopHLSConversion(streamKey);
+      this.stopHealthProbe(streamKey);
+      this.stopThumbnailCapture(streamKey);
+      RestreamService.stopChannel(streamData.userId);
+      StreamHealthService.stopMonitoring(streamData.streamId);
+
+      // Update stream in database, unless the streamer already ended it
       const stream = await Stream.findById(streamData.streamId);
-      if (stream) {
-        stream.isLive = false;
-        stream.endedAt = new Date();
-        stream.duration = Math.floor((Date.now() - streamData.startTime) / 1000);
-        await stream.save();
+      if (stream && stream.isLive) {
+        EventBus.publish(EventBus.EVENTS.STREAM_OFFLINE, {
+          streamId: stream._id.toString(),
+          streamerId: stream.streamer.toString(),
+          title: stream.title
+        });
+
+        await this.endStream(stream, 'publisher_disconnected');
       }
 
-      // Remove from active streams
-      this.activeStreams.delete(streamKey);
+      // Recording ends with the input; make sure it doesn't hang around
+      this.stopRecording(streamKey);
 
       // Clean up HLS files
-      this.cleanupHLSFiles(streamKey);
+      this.cleanupHLSFiles(streamData.streamId);
 
-      console.log(`❌ Stream ended: ${streamKey}`);
+      console.log(`❌ Stream ended: ${streamData.streamId}`);
 
     } catch (error) {
       console.error('Error handling stream end:', error);
     }
   }
 
-  startHLSConversion(streamKey) {
-    const inputUrl = `rtmp://localhost:1935/live/${streamKey}`;
-    const outputDir = path.join(__dirname, '../../public/hls', streamKey);
+  /**
+   * Mark a stream as ended and tell everyone about it
+   * Also disconnects the encoder if it is still publishing
+   */
+  async endStream(stream, reason, { endedAt = new Date() } = {}) {
+    if (!stream.isLive) return stream;
+
+    stream.isLive = false;
+    stream.status = 'ended';
+    stream.endedAt = endedAt;
+
+    // Calculate duration
+    if (stream.startedAt) {
+      stream.duration = Math.floor((stream.endedAt - stream.startedAt) / 1000);
+    }
+
+    await stream.save();
+
+    const activeKey = this.findActiveStreamKey(stream._id);
+    if (activeKey) {
+      if (this.isReconnecting(activeKey)) {
+        // Nobody is publishing; don't wait for the grace window to run out
+        this.handleStreamEnd(activeKey);
+      } else {
+        this.rejectSession(this.activeStreams.get(activeKey).sessionId);
+      }
+    }
+
+    EventBus.publish(EventBus.EVENTS.STREAM_ENDED, {
+      streamId: stream._id.toString(),
+      streamerId: stream.streamer._id ? stream.streamer._id.toString() : stream.streamer.toString(),
+      title: stream.title,
+      duration: stream.duration,
+      reason
+    });
+
+    return stream;
+  }
+
+  /**
+   * Public URL of a stream's master playlist, or of one rendition's playlist
+   */
+  getPlaybackUrl(streamId, renditionName = null) {
+    return [config.playback.baseUrl, streamId.toString(), renditionName, 'index.m3u8'].filter(Boolean).join('/');
+  }
+
+  // ffmpeg reads the ingest back from the local RTMP server
+  getIngestInputUrl(streamKey) {
+    return `${config.ingest.localUrl}/${streamKey}`;
+  }
+
+  /**
+   * Describe the renditions of the HLS ladder as stored in Stream.quality
+   */
+  getQualityVariants(streamId) {
+    return this.ladder.map(rendition => ({
+      resolution: rendition.resolution,
+      bitrate: rendition.copy ? undefined : (rendition.videoBitrate || 0) + rendition.audioBitrate,
+      url: this.getPlaybackUrl(streamId, rendition.name)
+    }));
+  }
+
+  /**
+   * Build ffmpeg output arguments for every rendition of the ladder.
+   * Writes one variant playlist per rendition plus a master index.m3u8.
+   * Arguments are returned as separate tokens because some values contain spaces.
+   */
+  buildLadderOutputOptions(outputDir, { resume = false } = {}) {
+    const args = [];
+    const streamMap = [];
+    let videoIndex = 0;
+
+    this.ladder.forEach((rendition, index) => {
+      if (!rendition.audioOnly) {
+        args.push('-map', '0:v:0');
+
+        if (rendition.copy) {
+          args.push(`-c:v:${videoIndex}`, 'copy');
+        } else {
+          args.push(
+            `-filter:v:${videoIndex}`, `scale=-2:${rendition.height}`,
+            `-c:v:${videoIndex}`, 'libx264',
+            `-profile:v:${videoIndex}`, rendition.profile,
+            `-b:v:${videoIndex}`, `${rendition.videoBitrate}k`,
+            `-maxrate:v:${videoIndex}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize:v:${videoIndex}`, `${rendition.videoBitrate * 2}k`
+          );
+        }
+      }
+
+      args.push(
+        '-map', '0:a:0',
+        `-c:a:${index}`, 'aac',
+        `-b:a:${index}`, `${rendition.audioBitrate}k`
+      );
+
+      streamMap.push(rendition.audioOnly
+        ? `a:${index},name:${rendition.name}`
+        : `v:${videoIndex++},a:${index},name:${rendition.name}`);
+    });
+
+    return [
+      ...args,
+      '-preset', 'veryfast',
+      '-pix_fmt', 'yuv420p',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${config.hls.gopSeconds})`,
+      '-ac', '2',
+      '-f', 'hls',
+      '-hls_time', String(config.hls.segmentDuration),
+      '-hls_list_size', String(config.hls.playlistSize),
+      // On resume, continue the existing playlists and mark the encoder change for players
+      '-hls_flags', resume
+        ? 'delete_segments+independent_segments+append_list+discont_start'
+        : 'delete_segments+independent_segments',
+      '-start_number', '1',
+      '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%05d.ts'),
+      '-master_pl_name', 'index.m3u8',
+      '-var_stream_map', streamMap.join(' ')
+    ];
+  }
+
+  getHLSDir(streamId) {
+    return path.join(config.hls.dir, streamId.toString());
+  }
+
+  /**
+   * Start a supervised transcoder for a publishing stream, replacing any previous one
+   */
+  startHLSConversion(streamKey, streamId, { resume = false } = {}) {
+    this.stopHLSConversion(streamKey);
+
+    const transcoder = {
+      command: null,
+      streamId,
+      startedAt: null,
+      restarts: 0,
+      restartTimer: null
+    };
+    this.transcoders.set(streamKey, transcoder);
+
+    this.runTranscoder(streamKey, transcoder, { resume });
+  }
+
+  runTranscoder(streamKey, transcoder, { resume = false } = {}) {
+    const { streamId } = transcoder;
+    const inputUrl = this.getIngestInputUrl(streamKey);
+    const outputDir = this.getHLSDir(streamId);
     
-    // Create output directory
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    // Create output directory for each rendition
+    for (const rendition of this.ladder) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      if (!fs.existsSync(renditionDir)) {
+        fs.mkdirSync(renditionDir, { recursive: true });
+      }
     }
 
-    const outputPath = path.join(outputDir, 'index.m3u8');
+    // ffmpeg places the master playlist in the parent of the %v directory
+    const outputPath = path.join(outputDir, '%v', 'index.m3u8');
 
-    ffmpeg(inputUrl)
+    const command = ffmpeg(inputUrl)
       .inputOptions([
         '-re'
       ])
-      .outputOptions([
-        '-c:v libx264',
-        '-c:a aac',
-        '-ac 1',
-        '-strict -2',
-        '-crf 18',
-        '-profile:v baseline',
-        '-maxrate 400k',
-        '-bufsize 1835k',
-        '-pix_fmt yuv420p',
-        '-hls_time 6',
-        '-hls_list_size 8',
-        '-hls_wrap 12',
-        '-start_number 1'
-      ])
+      .outputOptions(...this.buildLadderOutputOptions(outputDir, { resume }))
       .output(outputPath)
       .on('start', () => {
-        console.log(`🔄 HLS conversion started for ${streamKey}`);
+        transcoder.startedAt = Date.now();
+        console.log(`🔄 HLS conversion started for ${streamId} (${this.ladder.map(r => r.name).join(', ')})`);
+      })
+      .on('stderr', (line) => {
+        StreamHealthService.recordTranscoderProgress(streamId, line);
       })
       .on('error', (err) => {
-        console.error(`❌ HLS conversion error for ${streamKey}:`, err);
+        this.handleTranscoderExit(streamKey, transcoder, command, err);
       })
       .on('end', () => {
-        console.log(`✅ HLS conversion ended for ${streamKey}`);
+        this.handleTranscoderExit(streamKey, transcoder, command, null);
+      });
+
+    transcoder.command = command;
+    command.run();
+  }
+
+  /**
+   * A transcoder that dies while its publisher is still connected is restarted
+   * with backoff, continuing the existing playlists
+   */
+  handleTranscoderExit(streamKey, transcoder, command, err) {
+    // Stopped on purpose or already replaced
+    if (this.transcoders.get(streamKey) !== transcoder || transcoder.command !== command) return;
+
+    transcoder.command = null;
+
+    const streamData = this.activeStreams.get(streamKey);
+    const publishing = streamData && !streamData.disconnectedAt &&
+      streamData.streamId.toString() === transcoder.streamId.toString();
+
+    if (!publishing) {
+      this.transcoders.delete(streamKey);
+      console.log(`✅ HLS conversion ended for ${transcoder.streamId}`);
+      return;
+    }
+
+    if (transcoder.startedAt && Date.now() - transcoder.startedAt >= TRANSCODER_STABLE_MS) {
+      transcoder.restarts = 0;
+    }
+
+    const delay = Math.min(TRANSCODER_RESTART_BASE_MS * 2 ** transcoder.restarts, TRANSCODER_RESTART_MAX_MS);
+    transcoder.restarts++;
+
+    console.error(
+      `❌ HLS conversion for ${transcoder.streamId} exited while live${err ? `: ${err.message}` : ''}; ` +
+      `restarting in ${delay / 1000}s (attempt ${transcoder.restarts})`
+    );
+
+    transcoder.restartTimer = setTimeout(() => {
+      transcoder.restartTimer = null;
+      if (this.transcoders.get(streamKey) === transcoder) {
+        this.runTranscoder(streamKey, transcoder, { resume: true });
+      }
+    }, delay);
+  }
+
+  /**
+   * Stop a stream's transcoder and cancel any pending restart
+   */
+  stopHLSConversion(streamKey) {
+    const transcoder = this.transcoders.get(streamKey);
+    if (!transcoder) return;
+
+    this.transcoders.delete(streamKey);
+    clearTimeout(transcoder.restartTimer);
+
+    if (transcoder.command) {
+      this.killCommand(transcoder.command);
+      console.log(`⏹️ HLS conversion stopped for ${transcoder.streamId}`);
+    }
+  }
+
+  // Runs on process exit, where there is no time for a clean shutdown
+  stopAllTranscoders() {
+    for (const transcoder of this.transcoders.values()) {
+      clearTimeout(transcoder.restartTimer);
+      if (transcoder.command && transcoder.command.ffmpegProc) {
+        transcoder.command.kill('SIGKILL');
+      }
+    }
+    this.transcoders.clear();
+
+    for (const streamKey of [...this.healthProbes.keys()]) {
+      this.stopHealthProbe(streamKey);
+    }
+  }
+
+  /**
+   * Ask ffmpeg to exit cleanly, and force it if it doesn't
+   */
+  killCommand(command) {
+    if (!command.ffmpegProc) {
+      // Not spawned yet; stop it as soon as it is
+      command.once('start', () => this.killCommand(command));
+      return;
+    }
+
+    const killTimer = setTimeout(() => command.kill('SIGKILL'), TRANSCODER_KILL_TIMEOUT_MS);
+    killTimer.unref();
+
+    const clear = () => clearTimeout(killTimer);
+    command.once('error', clear);
+    command.once('end', clear);
+
+    command.kill('SIGINT');
+  }
+
+  /**
+   * Counters of the publishing session, or null while nobody is publishing
+   */
+  getIngestStats(streamKey) {
+    const streamData = this.activeStreams.get(streamKey);
+    if (!streamData || streamData.disconnectedAt) return null;
+
+    const session = this.getSession(streamData.sessionId);
+    if (!session) return null;
+
+    return {
+      inBytes: session.inBytes,
+      declaredFrameRate: session.videoFramerate,
+      width: session.videoWidth,
+      height: session.videoHeight
+    };
+  }
+
+  /**
+   * Read the video packets of the ingest without decoding them, for frame
+   * rate and keyframe spacing; the RTMP session only knows what the encoder announced
+   */
+  startHealthProbe(streamKey, streamId) {
+    this.stopHealthProbe(streamKey);
+
+    const probe = { process: null, streamId, restartTimer: null };
+    this.healthProbes.set(streamKey, probe);
+
+    const child = spawn(FFPROBE_PATH, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'packet=pts_time,flags',
+      '-of', 'csv=p=0',
+      this.getIngestInputUrl(streamKey)
+    ], { stdio: ['ignore', 'pipe', 'ignore'] });
+    probe.process = child;
+
+    // Lines are "<pts_time>,<flags>", e.g. "12.345000,K__"
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      const [pts, flags = ''] = line.split(',');
+      StreamHealthService.recordVideoPacket(streamId, {
+        pts: isNaN(parseFloat(pts)) ? null : parseFloat(pts),
+        isKeyframe: flags.startsWith('K')
+      });
+    });
+
+    const handleExit = (err) => {
+      if (this.healthProbes.get(streamKey) !== probe || probe.process !== child) return;
+      probe.process = null;
+
+      const streamData = this.activeStreams.get(streamKey);
+      if (!streamData || streamData.disconnectedAt) {
+        this.healthProbes.delete(streamKey);
+        return;
+      }
+
+      if (err && err.code === 'ENOENT') {
+        this.healthProbes.delete(streamKey);
+        console.error(`❌ Health probe unavailable: ${FFPROBE_PATH} not found`);
+        return;
+      }
+      if (err) {
+        console.error(`❌ Health probe error for ${streamId}: ${err.message}`);
+      }
+
+      // Still publishing; health keeps working from the session and transcoder meanwhile
+      probe.restartTimer = setTimeout(() => {
+        if (this.healthProbes.get(streamKey) === probe) {
+          StreamHealthService.resetVideoTimeline(streamId);
+          this.startHealthProbe(streamKey, streamId);
+        }
+      }, HEALTH_PROBE_RESTART_MS);
+      probe.restartTimer.unref();
+    };
+
+    child.on('error', handleExit);
+    child.on('exit', () => handleExit(null));
+  }
+
+  stopHealthProbe(streamKey) {
+    const probe = this.healthProbes.get(streamKey);
+    if (!probe) return;
+
+    this.healthProbes.delete(streamKey);
+    clearTimeout(probe.restartTimer);
+
+    if (probe.process) {
+      probe.process.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Refresh the stream's thumbnail from its live output every few seconds
+   */
+  startThumbnailCapture(streamKey, streamId) {
+    this.stopThumbnailCapture(streamKey);
+
+    // Capture from the best video rendition; an audio-only ladder has no frames
+    const rendition = this.ladder.find(r => !r.audioOnly);
+    if (!rendition) return;
+
+    const playlistPath = path.join(this.getHLSDir(streamId), rendition.name, 'index.m3u8');
+    const capture = { streamId, timer: null, running: false };
+
+    const run = async () => {
+      if (capture.running || !fs.existsSync(playlistPath)) return;
+      capture.running = true;
+
+      try {
+        await ThumbnailService.captureLive(streamId, playlistPath);
+      } catch (error) {
+        console.error(`❌ Thumbnail capture error for ${streamId}: ${error.message}`);
+      } finally {
+        capture.running = false;
+      }
+    };
+
+    capture.timer = setTimeout(() => {
+      run();
+      capture.timer = setInterval(run, THUMBNAIL_INTERVAL_MS);
+      capture.timer.unref();
+    }, THUMBNAIL_FIRST_CAPTURE_MS);
+    capture.timer.unref();
+
+    this.thumbnailCaptures.set(streamKey, capture);
+  }
+
+  stopThumbnailCapture(streamKey) {
+    const capture = this.thumbnailCaptures.get(streamKey);
+    if (!capture) return;
+
+    clearInterval(capture.timer);
+    this.thumbnailCaptures.delete(streamKey);
+  }
+
+  /**
+   * Relay the ingest to the channel's enabled restream targets
+   */
+  startRestreams(streamKey, userId, streamId) {
+    RestreamService.startChannel(userId, streamId, this.getIngestInputUrl(streamKey))
+      .catch((error) => console.error(`Error starting restreams for ${streamId}:`, error));
+  }
+
+  getRecordingDir() {
+    return config.storage.recordingsDir;
+  }
+
+  getRecordingPath(fileName) {
+    return path.join(this.getRecordingDir(), path.basename(fileName));
+  }
+
+  /**
+   * Delete every recording of a stream, including parts and concat lists of
+   * broadcasts that were never finalized
+   */
+  removeRecordings(streamId) {
+    const recordingDir = this.getRecordingDir();
+    if (!fs.existsSync(recordingDir)) return;
+
+    const prefix = `${streamId}-`;
+    for (const file of fs.readdirSync(recordingDir)) {
+      if (file.startsWith(prefix)) {
+        fs.rmSync(this.getRecordingPath(file), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Record the incoming RTMP stream to a fragmented MP4 so a crash
+   * still leaves a playable file; it is remuxed when the stream ends.
+   * A publisher that reconnects within the grace window adds another part
+   * to the same recording.
+   */
+  startRecording(streamKey, streamId) {
+    const inputUrl = this.getIngestInputUrl(streamKey);
+    const recordingDir = this.getRecordingDir();
+
+    if (!fs.existsSync(recordingDir)) {
+      fs.mkdirSync(recordingDir, { recursive: true });
+    }
+
+    let recording = this.recordings.get(streamKey);
+    if (!recording || recording.streamId.toString() !== streamId.toString()) {
+      recording = {
+        command: null,
+        streamId,
+        fileName: `${streamId}-${Date.now()}.mp4`,
+        parts: [],
+        stopTimer: null
+      };
+      this.recordings.set(streamKey, recording);
+    }
+
+    const partPath = this.getRecordingPath(`${recording.fileName}.part${recording.parts.length}`);
+
+    const command = ffmpeg(inputUrl)
+      .outputOptions(
+        '-map', '0:v:0?',
+        '-map', '0:a:0?',
+        '-c', 'copy',
+        '-movflags', '+frag_keyframe+empty_moov+default_base_moof',
+        '-f', 'mp4'
+      )
+      .output(partPath)
+      .on('start', () => {
+        console.log(`⏺️ Recording started for ${streamId} (part ${recording.parts.length})`);
+      })
+      .on('error', (err) => {
+        // Killing the process on stream end is reported as an error
+        console.log(`⏹️ Recording stopped for ${streamId}: ${err.message}`);
+        this.handleRecorderExit(streamKey, command);
       })
-      .run();
+      .on('end', () => {
+        console.log(`⏹️ Recording ended for ${streamId}`);
+        this.handleRecorderExit(streamKey, command);
+      });
+
+    recording.parts.push(partPath);
+    recording.command = command;
+    clearTimeout(recording.stopTimer);
+    recording.stopTimer = null;
+
+    command.run();
+  }
+
+  /**
+   * The recorder stops whenever the input does; only finalize once the
+   * broadcast is over rather than while waiting for a reconnect
+   */
+  handleRecorderExit(streamKey, command) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording || recording.command !== command) return;
+
+    recording.command = null;
+
+    if (!this.activeStreams.has(streamKey)) {
+      this.finalizeRecording(streamKey);
+    }
+  }
+
+  /**
+   * Give the recorder a moment to see the end of the input, then stop it
+   */
+  stopRecording(streamKey) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording || recording.stopTimer) return;
+
+    if (!recording.command) {
+      this.finalizeRecording(streamKey);
+      return;
+    }
+
+    recording.stopTimer = setTimeout(() => {
+      if (this.recordings.get(streamKey) === recording && recording.command) {
+        recording.command.kill('SIGINT');
+      }
+    }, 10000);
+  }
+
+  /**
+   * Remux the recorded parts into one seekable MP4 and publish its URL
+   */
+  async finalizeRecording(streamKey) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording) return;
+
+    this.recordings.delete(streamKey);
+    clearTimeout(recording.stopTimer);
+
+    const { streamId, fileName } = recording;
+    const parts = recording.parts.filter(part => fs.existsSync(part) && fs.statSync(part).size > 0);
+    const listPath = this.getRecordingPath(`${fileName}.parts.txt`);
+
+    try {
+      if (!parts.length) {
+        throw new Error('Recording produced no data');
+      }
+
+      await Stream.findByIdAndUpdate(streamId, { recordingStatus: 'processing' });
+
+      await new Promise((resolve, reject) => {
+        let command;
+        if (parts.length === 1) {
+          command = ffmpeg(parts[0]);
+        } else {
+          // Stitch the parts of a broadcast that reconnected
+          fs.writeFileSync(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n'));
+          command = ffmpeg(listPath).inputOptions('-f', 'concat', '-safe', '0');
+        }
+
+        command
+          .outputOptions('-c', 'copy', '-movflags', '+faststart')
+          .output(this.getRecordingPath(fileName))
+          .on('error', reject)
+          .on('end', resolve)
+          .run();
+      });
+
+      // Parts are kept when finalizing fails so the broadcast can still be recovered
+      for (const part of recording.parts) {
+        fs.rmSync(part, { force: true });
+      }
+
+      const stream = await Stream.findByIdAndUpdate(streamId, {
+        recordingStatus: 'ready',
+        recordingFile: fileName,
+        recordingUrl: `/api/streams/${streamId}/vod`
+      }, { new: true });
+
+      // The stream was deleted while its recording was being remuxed
+      if (!stream) {
+        this.removeRecordings(streamId);
+        return;
+      }
+
+      await ThumbnailService.captureVod(streamId, this.getRecordingPath(fileName), stream.duration)
+        .catch((error) => console.error(`❌ VOD thumbnail error for ${streamId}:`, error));
+
+      EventBus.publish(EventBus.EVENTS.RECORDING_READY, {
+        streamId: stream._id.toString(),
+        streamerId: stream.streamer.toString(),
+        title: stream.title,
+        recordingUrl: stream.recordingUrl,
+        duration: stream.duration
+      });
+
+      console.log(`📼 Recording ready for ${streamId}: ${fileName}`);
+
+    } catch (error) {
+      console.error(`❌ Recording finalize error for ${streamId}:`, error);
+      await Stream.findByIdAndUpdate(streamId, { recordingStatus: 'failed' }).catch(() => {});
+    } finally {
+      fs.rmSync(listPath, { force: true });
+    }
   }
 
-  cleanupHLSFiles(streamKey) {
-    const outputDir = path.join(__dirname, '../../public/hls', streamKey);
+  cleanupHLSFiles(streamId) {
+    const outputDir = this.getHLSDir(streamId);
     if (fs.existsSync(outputDir)) {
       fs.rmSync(outputDir, { recursive: true, force: true });
-      console.log(`🗑️ Cleaned up HLS files for ${streamKey}`);
+      console.log(`🗑️ Cleaned up HLS files for ${streamId}`);
     }
   }
 
   getActiveStreams() {
-    return Array.from(this.activeStreams.keys());
+    return Array.from(this.activeStreams.values(), streamData => streamData.streamId.toString());
   }
 }
 
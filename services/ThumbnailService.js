@@ -0,0 +1,226 @@
+// backend/services/ThumbnailService.js
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const Stream = require('../models/Stream');
+const config = require('../config/app');
+
+// Every thumbnail is rendered at these sizes, cropped to 16:9
+const SIZES = {
+  small: { width: 320, height: 180 },
+  medium: { width: 640, height: 360 },
+  large: { width: 1280, height: 720 }
+};
+
+// Where a stream's thumbnail comes from; a custom upload wins over generated ones
+const SOURCES = ['live', 'vod', 'custom'];
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Accepted upload formats, recognized by their leading bytes
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, tail: [0x57, 0x45, 0x42, 0x50] }
+];
+
+class ThumbnailService {
+  constructor() {
+    this.SIZES = SIZES;
+    this.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+  }
+
+  getThumbnailDir(streamId) {
+    return path.join(config.storage.thumbnailsDir, streamId.toString());
+  }
+
+  getThumbnailPath(streamId, source, size) {
+    return path.join(this.getThumbnailDir(streamId), `${source}-${size}.jpg`);
+  }
+
+  /**
+   * Stable absolute URLs; the file behind them changes as new thumbnails are captured
+   */
+  getThumbnailUrls(streamId) {
+    const urls = {};
+    for (const size of Object.keys(SIZES)) {
+      urls[size] = `${config.server.publicUrl}/api/streams/${streamId}/thumbnail/${size}`;
+    }
+    return urls;
+  }
+
+  /**
+   * Render one frame of the input at every size. Files are written next to
+   * their final name and moved into place so readers never see a partial image.
+   */
+  render(streamId, source, input, { inputOptions = [], filter = null } = {}) {
+    const dir = this.getThumbnailDir(streamId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const sizes = Object.entries(SIZES);
+    const labels = sizes.map(([size]) => `[${size}]`);
+    const filters = [
+      `[0:v]${filter ? `${filter},` : ''}split=${sizes.length}${sizes.map(([size]) => `[in_${size}]`).join('')}`,
+      ...sizes.map(([size, { width, height }]) =>
+        `[in_${size}]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}[${size}]`
+      )
+    ];
+
+    const command = ffmpeg(input)
+      .inputOptions(...inputOptions)
+      .complexFilter(filters);
+
+    for (const [index, [size]] of sizes.entries()) {
+      command
+        .output(`${this.getThumbnailPath(streamId, source, size)}.tmp.jpg`)
+        .outputOptions('-map', labels[index], '-frames:v', '1', '-update', '1', '-q:v', '3');
+    }
+
+    return new Promise((resolve, reject) => {
+      command
+        .on('error', reject)
+        .on('end', () => {
+          try {
+            for (const [size] of sizes) {
+              const finalPath = this.getThumbnailPath(streamId, source, size);
+              fs.renameSync(`${finalPath}.tmp.jpg`, finalPath);
+            }
+            resolve();
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .run();
+    }).catch((error) => {
+      for (const [size] of sizes) {
+        fs.rmSync(`${this.getThumbnailPath(streamId, source, size)}.tmp.jpg`, { force: true });
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Point the stream at a freshly rendered thumbnail unless a custom one overrides it
+   */
+  async setSource(streamId, source) {
+    const filter = { _id: streamId };
+    if (source !== 'custom') {
+      filter.thumbnailSource = { $ne: 'custom' };
+    }
+
+    const thumbnails = this.getThumbnailUrls(streamId);
+    await Stream.updateOne(filter, {
+      thumbnail: thumbnails.medium,
+      thumbnails,
+      thumbnailSource: source,
+      thumbnailUpdatedAt: new Date()
+    });
+  }
+
+  /**
+   * Grab the newest frame of a live HLS playlist
+   */
+  async captureLive(streamId, playlistPath) {
+    await this.render(streamId, 'live', playlistPath, {
+      inputOptions: ['-live_start_index', '-1']
+    });
+    await this.setSource(streamId, 'live');
+  }
+
+  /**
+   * Pick a representative frame of a recording: skip the intro, then let
+   * ffmpeg's thumbnail filter choose the most typical frame of the next stretch
+   */
+  async captureVod(streamId, recordingPath, duration = 0) {
+    await this.render(streamId, 'vod', recordingPath, {
+      inputOptions: ['-ss', String(Math.floor(duration * 0.1))],
+      filter: 'thumbnail=300'
+    });
+    await this.setSource(streamId, 'vod');
+  }
+
+  /**
+   * Image type of an upload, or null if it isn't a supported image
+   */
+  detectImageType(buffer) {
+    const matches = (bytes, offset = 0) =>
+      buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+    const signature = IMAGE_SIGNATURES.find(({ bytes, offset, tail }) =>
+      matches(bytes) && (!tail || matches(tail, offset))
+    );
+    return signature ? signature.type : null;
+  }
+
+  /**
+   * Store a streamer's own thumbnail; errors carry an HTTP status
+   */
+  async saveCustom(streamId, buffer) {
+    const fail = (message, status = 400) => {
+      const error = new Error(message);
+      error.status = status;
+      throw error;
+    };
+
+    if (!Buffer.isBuffer(buffer) || !buffer.length) {
+      fail('Upload a JPEG, PNG or WebP image as the request body');
+    }
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+      fail(`Thumbnails must be ${MAX_UPLOAD_BYTES / 1024 / 1024}MB or smaller`, 413);
+    }
+    if (!this.detectImageType(buffer)) {
+      fail('Thumbnails must be JPEG, PNG or WebP images', 415);
+    }
+
+    const dir = this.getThumbnailDir(streamId);
+    fs.mkdirSync(dir, { recursive: true });
+    const uploadPath = path.join(dir, `upload-${Date.now()}`);
+    fs.writeFileSync(uploadPath, buffer);
+
+    try {
+      await this.render(streamId, 'custom', uploadPath);
+    } catch (error) {
+      console.error(`Thumbnail upload error for ${streamId}:`, error);
+      fail('The image could not be processed');
+    } finally {
+      fs.rmSync(uploadPath, { force: true });
+    }
+
+    await this.setSource(streamId, 'custom');
+  }
+
+  /**
+   * Drop a custom thumbnail and fall back to the best generated one
+   */
+  async removeCustom(stream) {
+    for (const size of Object.keys(SIZES)) {
+      fs.rmSync(this.getThumbnailPath(stream._id, 'custom', size), { force: true });
+    }
+
+    const fallback = ['vod', 'live'].find(source =>
+      (source !== 'vod' || !stream.isLive) && fs.existsSync(this.getThumbnailPath(stream._id, source, 'medium'))
+    );
+
+    await Stream.updateOne({ _id: stream._id }, fallback
+      ? { thumbnailSource: fallback, thumbnailUpdatedAt: new Date() }
+      : { thumbnail: '', thumbnails: {}, thumbnailSource: 'none', thumbnailUpdatedAt: new Date() }
+    );
+  }
+
+  /**
+   * File to serve for a stream's current thumbnail at a size
+   */
+  resolveFile(stream, size) {
+    if (!SIZES[size] || !SOURCES.includes(stream.thumbnailSource)) return null;
+
+    const file = this.getThumbnailPath(stream._id, stream.thumbnailSource, size);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  removeAll(streamId) {
+    fs.rmSync(this.getThumbnailDir(streamId), { recursive: true, force: true });
+  }
+}
+
+module.exports = new ThumbnailService();
@@ -0,0 +1,292 @@
+// backend/services/WebhookService.js
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const EventBus = require('./EventBus');
+const config = require('../config/app');
+const { isPublicAddress, resolveHost } = require('../utils/network');
+
+const POLL_INTERVAL_MS = config.webhooks.pollIntervalMs;
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+
+class WebhookService {
+  constructor() {
+    this.webhooks = null; // cached active webhooks
+    this.cachedAt = 0;
+    this.queueTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Subscribe to platform events and start the delivery worker
+   */
+  initialize() {
+    for (const event of Webhook.EVENTS) {
+      EventBus.subscribe(event, (payload) => this.enqueueEvent(event, payload));
+    }
+
+    // Deliveries claimed by a process that died mid-request go back to the queue
+    WebhookDelivery.updateMany({ status: 'sending' }, { status: 'pending' })
+      .catch((error) => console.error('Webhook queue recovery error:', error));
+
+    this.queueTimer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    this.queueTimer.unref();
+
+    console.log('🪝 WebhookService initialized');
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Why a URL can't receive webhooks, or null if it can. Endpoints must use
+   * https (http is allowed in development) and every address the host
+   * resolves to must be public.
+   */
+  async checkUrl(value) {
+    return (await this.resolveUrl(value)).error;
+  }
+
+  /**
+   * checkUrl, also returning the parsed URL and the checked addresses to connect to
+   */
+  async resolveUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return { error: 'A valid https URL is required' };
+    }
+
+    const protocols = process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(url.protocol)) {
+      return { error: 'A valid https URL is required' };
+    }
+
+    let addresses;
+    try {
+      addresses = await resolveHost(url.hostname);
+    } catch (error) {
+      return { error: `${url.hostname} could not be resolved` };
+    }
+
+    if (!addresses.every(isPublicAddress)) {
+      return { error: 'Webhook URLs must point to a public address' };
+    }
+
+    return { error: null, url, addresses };
+  }
+
+  /**
+   * POST to the addresses resolveUrl checked. The connection looks the host up
+   * through them only, so it can't resolve somewhere else between the check and
+   * the request (DNS rebinding); TLS is still verified against the host name.
+   * Redirects are not followed.
+   */
+  post(url, addresses, { headers, body }) {
+    const lookup = (hostname, options, callback) => {
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    };
+
+    const signal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    const { request } = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          if (text.length < MAX_RESPONSE_BODY) text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, text: text.slice(0, MAX_RESPONSE_BODY) }));
+        res.on('error', reject);
+      });
+
+      req.on('error', (error) => reject(signal.aborted ? signal.reason : error));
+      req.end(body);
+    });
+  }
+
+  /**
+   * Drop the webhook cache after webhooks are created, changed or removed
+   */
+  invalidateCache() {
+    this.webhooks = null;
+  }
+
+  async getActiveWebhooks() {
+    if (!this.webhooks || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+      this.webhooks = await Webhook.find({ isActive: true }).select('channel events').lean();
+      this.cachedAt = Date.now();
+    }
+    return this.webhooks;
+  }
+
+  /**
+   * Create a delivery for every webhook listening to this event on this channel
+   */
+  async enqueueEvent(event, payload) {
+    const channelId = payload.streamerId;
+    const webhooks = (await this.getActiveWebhooks()).filter(webhook =>
+      webhook.events.includes(event) &&
+      (!webhook.channel || webhook.channel.toString() === channelId)
+    );
+
+    if (!webhooks.length) return;
+
+    const { timestamp, ...data } = payload;
+    delete data.event;
+
+    const eventId = crypto.randomUUID();
+    const body = {
+      id: eventId,
+      event,
+      createdAt: timestamp,
+      data
+    };
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      eventId,
+      event,
+      payload: body
+    })));
+
+    // Deliver right away instead of waiting for the next poll
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Queue a fresh attempt of a past delivery
+   */
+  async redeliver(delivery) {
+    const redelivery = await WebhookDelivery.create({
+      webhook: delivery.webhook,
+      eventId: delivery.eventId,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery._id
+    });
+
+    setImmediate(() => this.processQueue());
+    return redelivery;
+  }
+
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let delivery;
+      while ((delivery = await this.claimNext())) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Webhook queue error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  claimNext() {
+    return WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * POST a signed payload; non-2xx responses and network errors are retried with exponential backoff
+   */
+  async deliver(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook removed or disabled';
+      await delivery.save();
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+      // Checked again on every attempt; the host may resolve elsewhere by now
+      const { error: urlError, url, addresses } = await this.resolveUrl(webhook.url);
+      if (urlError) {
+        throw new Error(urlError);
+      }
+
+      const response = await this.post(url, addresses, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'live-streaming-app-webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Signature': this.sign(webhook.secret, body)
+        },
+        body
+      });
+
+      delivery.durationMs = Date.now() - startedAt;
+      delivery.responseStatus = response.status;
+      delivery.responseBody = response.text;
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Endpoint responded with ${response.status}`);
+      }
+
+      delivery.status = 'success';
+      delivery.deliveredAt = new Date();
+      delivery.error = undefined;
+
+    } catch (error) {
+      delivery.durationMs = Date.now() - startedAt;
+      delivery.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        console.error(`❌ Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+      } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+      }
+    }
+
+    await delivery.save();
+  }
+}
+
+module.exports = new WebhookService();
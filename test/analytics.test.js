@@ -0,0 +1,255 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const AnalyticsService = require('../services/AnalyticsService');
+const Stream = require('../models/Stream');
+const Broadcast = require('../models/Broadcast');
+const ViewerSession = require('../models/ViewerSession');
+const FollowEvent = require('../models/FollowEvent');
+const ChatMessage = require('../models/ChatMessage');
+
+describe('channel analytics', () => {
+  const channelId = new mongoose.Types.ObjectId().toString();
+  const range = { from: '2026-03-02T00:00:00Z', to: '2026-03-04T00:00:00Z', granularity: 'day' };
+  const liveBroadcast = { stream: new mongoose.Types.ObjectId(), startedAt: new Date('2026-03-03T10:00:00Z') };
+
+  // Per-day rows as the broadcast aggregation returns them
+  let periods;
+  let liveBroadcasts;
+
+  beforeEach(() => {
+    periods = [];
+    liveBroadcasts = [];
+    mock.method(Stream, 'distinct', async () => []);
+    mock.method(FollowEvent, 'aggregate', async () => []);
+    mock.method(ChatMessage, 'aggregate', async () => []);
+    mock.method(Broadcast, 'find', () => query(liveBroadcasts));
+    // The first aggregation groups by period, the second by category
+    mock.method(Broadcast, 'aggregate', async (pipeline) =>
+      pipeline.some(stage => stage.$group && stage.$group._id === '$category') ? [] : periods
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('averages viewers over finished broadcasts', async () => {
+    periods = [{ _id: new Date('2026-03-02T00:00:00Z'), broadcasts: 1, seconds: 3600, watchTime: 36000, peakViewers: 15 }];
+
+    const analytics = await AnalyticsService.getChannelAnalytics(channelId, range);
+
+    assert.strictEqual(analytics.totals.averageViewers, 10);
+    assert.strictEqual(analytics.series[0].averageViewers, 10);
+  });
+
+  // Sessions of the live broadcast; open ones have no leftAt
+  const session = (viewerKey, joinedAt, leftAt = null) => ({
+    viewerKey,
+    isAuthenticated: true,
+    clientType: 'web',
+    joinedAt: new Date(joinedAt),
+    leftAt: leftAt && new Date(leftAt)
+  });
+
+  it('counts what viewers of a live broadcast watched so far', async () => {
+    // Time on air counts up to now, but totalWatchTime is only written when the broadcast ends
+    periods = [{ _id: new Date('2026-03-03T00:00:00Z'), broadcasts: 1, seconds: 1800, watchTime: 0, peakViewers: 0 }];
+    liveBroadcasts = [liveBroadcast];
+    const find = mock.method(ViewerSession, 'find', () => query([
+      session('a', '2026-03-03T10:00:00Z', '2026-03-03T10:30:00Z'),
+      session('b', '2026-03-03T10:00:00Z', '2026-03-03T10:30:00Z'),
+      session('c', '2026-03-03T10:00:00Z', '2026-03-03T10:30:00Z')
+    ]));
+
+    const analytics = await AnalyticsService.getChannelAnalytics(channelId, range);
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+      stream: liveBroadcast.stream,
+      broadcastStartedAt: liveBroadcast.startedAt
+    });
+    assert.strictEqual(analytics.series[1].averageViewers, 3);
+    assert.strictEqual(analytics.totals.averageViewers, 3);
+  });
+
+  it('reports the peak of a live broadcast so far', async () => {
+    // peakViewers on the Broadcast record stays 0 until the broadcast ends
+    periods = [{ _id: new Date('2026-03-03T00:00:00Z'), broadcasts: 1, seconds: 1800, watchTime: 0, peakViewers: 0 }];
+    liveBroadcasts = [liveBroadcast];
+    mock.method(ViewerSession, 'find', () => query([
+      session('a', '2026-03-03T10:00:00Z', '2026-03-03T10:20:00Z'),
+      session('b', '2026-03-03T10:05:00Z', '2026-03-03T10:15:00Z'),
+      session('c', '2026-03-03T10:25:00Z')
+    ]));
+
+    const analytics = await AnalyticsService.getChannelAnalytics(channelId, range);
+
+    assert.strictEqual(analytics.series[1].peakViewers, 2);
+    assert.strictEqual(analytics.totals.peakViewers, 2);
+  });
+
+  it('keeps the higher peak of finished broadcasts on the same day', async () => {
+    periods = [{ _id: new Date('2026-03-03T00:00:00Z'), broadcasts: 2, seconds: 5400, watchTime: 36000, peakViewers: 12 }];
+    liveBroadcasts = [liveBroadcast];
+    mock.method(ViewerSession, 'find', () => query([session('a', '2026-03-03T10:00:00Z', '2026-03-03T10:30:00Z')]));
+
+    const analytics = await AnalyticsService.getChannelAnalytics(channelId, range);
+
+    assert.strictEqual(analytics.series[1].peakViewers, 12);
+  });
+
+  it('leaves a live broadcast without viewers at zero', async () => {
+    periods = [{ _id: new Date('2026-03-03T00:00:00Z'), broadcasts: 1, seconds: 1800, watchTime: 0, peakViewers: 0 }];
+    liveBroadcasts = [liveBroadcast];
+    mock.method(ViewerSession, 'find', () => query([]));
+
+    const analytics = await AnalyticsService.getChannelAnalytics(channelId, range);
+
+    assert.strictEqual(analytics.totals.averageViewers, 0);
+    assert.strictEqual(analytics.totals.peakViewers, 0);
+  });
+});
+
+describe('broadcast history backfill', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records broadcasts of streams that have no history yet', async () => {
+    const streamIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const aggregate = mock.method(Stream, 'aggregate', async () => streamIds.map(_id => ({ _id })));
+    const recorded = mock.method(AnalyticsService, 'recordBroadcastEnd', async () => {});
+    mock.method(console, 'log', () => {});
+
+    await AnalyticsService.backfillBroadcasts();
+
+    assert.deepStrictEqual(recorded.mock.calls.map(call => call.arguments[0]), streamIds);
+    // Only finished broadcasts without a Broadcast record
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.deepStrictEqual(pipeline[0].$match, { startedAt: { $ne: null }, isLive: false });
+    assert.deepStrictEqual(pipeline.at(-2).$match, { broadcast: { $size: 0 } });
+  });
+});
+
+describe('viewer sessions', () => {
+  const streamer = new mongoose.Types.ObjectId().toString();
+  let stream;
+  let created;
+  let views;
+  let returning;
+
+  const viewerSocket = (id, user, headers = {}) => ({
+    id,
+    data: { user },
+    handshake: { auth: {}, query: {}, address: '203.0.113.7', headers: { 'user-agent': 'Mozilla/5.0', ...headers } }
+  });
+  const guest = (id) => viewerSocket(id, { userId: null, isGuest: true });
+
+  beforeEach(() => {
+    stream = { _id: new mongoose.Types.ObjectId(), streamer, isLive: true, startedAt: new Date() };
+    created = [];
+    views = 0;
+    returning = false;
+    mock.method(Stream, 'findById', () => query(stream));
+    mock.method(Stream, 'updateOne', async () => {
+      views++;
+    });
+    mock.method(ViewerSession, 'exists', async () => returning);
+    mock.method(ViewerSession, 'create', async (doc) => {
+      created.push(doc);
+      return { _id: new mongoose.Types.ObjectId(), ...doc };
+    });
+    mock.method(ViewerSession, 'updateOne', async () => {});
+  });
+
+  afterEach(() => {
+    AnalyticsService.openSessions.clear();
+    mock.restoreAll();
+  });
+
+  it('opens a session and counts one view per viewer per broadcast', async () => {
+    await AnalyticsService.startViewerSession(viewerSocket('s1', { userId: 'bob', isGuest: false }), stream._id);
+    returning = true;
+    await AnalyticsService.startViewerSession(viewerSocket('s2', { userId: 'bob', isGuest: false }), stream._id);
+
+    assert.strictEqual(created.length, 2);
+    assert.strictEqual(created[0].viewerKey, 'bob');
+    assert.strictEqual(created[0].clientType, 'web');
+    assert.strictEqual(views, 1);
+  });
+
+  it('keys guests by address and user agent', async () => {
+    await AnalyticsService.startViewerSession(guest('s1'), stream._id);
+    await AnalyticsService.startViewerSession(guest('s2'), stream._id);
+    await AnalyticsService.startViewerSession(viewerSocket('s3', { userId: null, isGuest: true }, { 'user-agent': 'Android Mobile' }), stream._id);
+
+    assert.strictEqual(created[0].viewerKey, created[1].viewerKey);
+    assert.notStrictEqual(created[0].viewerKey, created[2].viewerKey);
+    assert.match(created[0].viewerKey, /^anon:[0-9a-f]{32}$/);
+    assert.strictEqual(created[2].clientType, 'mobile');
+  });
+
+  it('ignores the streamer and streams that are not live', async () => {
+    await AnalyticsService.startViewerSession(viewerSocket('s1', { userId: streamer, isGuest: false }), stream._id);
+    stream.isLive = false;
+    await AnalyticsService.startViewerSession(guest('s2'), stream._id);
+
+    assert.strictEqual(created.length, 0);
+  });
+
+  it('closes a session that ended while it was being opened', async () => {
+    ViewerSession.create.mock.mockImplementation(async (doc) => {
+      await AnalyticsService.endViewerSession('s1', stream._id);
+      return { _id: 'session-1', ...doc };
+    });
+
+    await AnalyticsService.startViewerSession(guest('s1'), stream._id);
+
+    assert.strictEqual(ViewerSession.updateOne.mock.calls[0].arguments[0]._id, 'session-1');
+    assert.strictEqual(AnalyticsService.openSessions.size, 0);
+  });
+});
+
+describe('stream analytics', () => {
+  const startedAt = new Date('2026-03-03T10:00:00Z');
+  const endedAt = new Date('2026-03-03T10:10:00Z');
+  const at = (minutes) => new Date(startedAt.getTime() + minutes * 60 * 1000);
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts unique viewers, watch time and peak concurrency of a broadcast', async () => {
+    mock.method(ViewerSession, 'find', () => query([
+      { viewerKey: 'bob', isAuthenticated: true, clientType: 'web', joinedAt: at(0), leftAt: at(5) },
+      // bob reconnects the instant he drops; that is not a second concurrent viewer
+      { viewerKey: 'bob', isAuthenticated: true, clientType: 'web', joinedAt: at(5), leftAt: at(8) },
+      { viewerKey: 'anon:1', isAuthenticated: false, clientType: 'mobile', joinedAt: at(2), leftAt: null }
+    ]));
+
+    const analytics = await AnalyticsService.getStreamAnalytics({
+      _id: new mongoose.Types.ObjectId(), startedAt, endedAt, isLive: false
+    });
+
+    assert.strictEqual(analytics.uniqueViewers, 2);
+    assert.strictEqual(analytics.authenticatedViewers, 1);
+    assert.strictEqual(analytics.anonymousViewers, 1);
+    assert.strictEqual(analytics.totalSessions, 3);
+    assert.strictEqual(analytics.totalWatchTime, (8 + 8) * 60);
+    assert.strictEqual(analytics.averageWatchTime, 8 * 60);
+    assert.strictEqual(analytics.peakViewers, 2);
+    assert.strictEqual(analytics.peakViewersAt.getTime(), at(2).getTime());
+    assert.deepStrictEqual(analytics.clientTypes, { web: 2, mobile: 1 });
+    assert.strictEqual(analytics.concurrency.length, 10);
+    assert.strictEqual(analytics.concurrency[9].viewers, 1);
+  });
+
+  it('reports nothing for a stream that never went live', async () => {
+    const analytics = await AnalyticsService.getStreamAnalytics({ _id: new mongoose.Types.ObjectId(), startedAt: null });
+
+    assert.strictEqual(analytics.peakViewers, 0);
+    assert.deepStrictEqual(analytics.concurrency, []);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const StreamingService = require('../services/StreamingService');
+const ScheduleService = require('../services/ScheduleService');
+const Stream = require('../models/Stream');
+
+describe('broadcast streams', () => {
+  const streamer = { _id: new mongoose.Types.ObjectId(), username: 'alice' };
+  let streams;
+
+  // Answers Stream.findOne by the status it asks for
+  const useStreams = (byStatus) => {
+    streams = byStatus;
+    mock.method(Stream, 'findOne', (filter) => query(streams[filter.status] || null));
+  };
+
+  beforeEach(() => {
+    mock.method(ScheduleService, 'findScheduledStream', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('starts a new stream instead of reusing the last broadcast', async () => {
+    const previous = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Speedrun practice',
+      description: 'Any% attempts',
+      category: 'Gaming',
+      chatEnabled: false,
+      chatSettings: { slowMode: 10, followersOnly: true },
+      recordingEnabled: true,
+      recordingStatus: 'ready',
+      recordingFile: 'previous.mp4'
+    };
+    useStreams({ ended: previous });
+
+    const stream = await StreamingService.getBroadcastStream(streamer);
+
+    assert.ok(stream.isNew);
+    assert.notStrictEqual(stream._id.toString(), previous._id.toString());
+    assert.strictEqual(stream.streamer.toString(), streamer._id.toString());
+    assert.strictEqual(stream.title, 'Speedrun practice');
+    assert.strictEqual(stream.category, 'Gaming');
+    assert.strictEqual(stream.chatEnabled, false);
+    assert.strictEqual(stream.chatSettings.slowMode, 10);
+    assert.strictEqual(stream.recordingEnabled, true);
+    assert.strictEqual(stream.recordingStatus, 'none');
+    assert.strictEqual(stream.recordingFile, undefined);
+  });
+
+  it('names the first broadcast of a channel after the streamer', async () => {
+    useStreams({});
+
+    const stream = await StreamingService.getBroadcastStream(streamer);
+
+    assert.ok(stream.isNew);
+    assert.strictEqual(stream.title, "alice's Live Stream");
+  });
+
+  it('uses a stream created ahead of time', async () => {
+    const prepared = new Stream({ title: 'Launch day', streamer: streamer._id });
+    useStreams({ created: prepared, ended: { title: 'Old' } });
+
+    const stream = await StreamingService.getBroadcastStream(streamer);
+
+    assert.strictEqual(stream, prepared);
+  });
+
+  it('attaches to a stream scheduled around now', async () => {
+    const scheduled = new Stream({ title: 'Weekly show', streamer: streamer._id, status: 'scheduled' });
+    ScheduleService.findScheduledStream.mock.mockImplementation(async () => scheduled);
+    useStreams({ created: new Stream({ title: 'Launch day', streamer: streamer._id }) });
+
+    const stream = await StreamingService.getBroadcastStream(streamer);
+
+    assert.strictEqual(stream, scheduled);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const streamRoutes = require('../routes/streams');
+const NotificationService = require('../services/NotificationService');
+const ChatMessage = require('../models/ChatMessage');
+const Stream = require('../models/Stream');
+
+describe('chat history', () => {
+  const streamId = new mongoose.Types.ObjectId();
+  let stored;
+  let finds;
+
+  // Messages newest first, as the history query sorts them
+  const messages = (count) => Array.from({ length: count }, (_, index) => new ChatMessage({
+    stream: streamId,
+    user: new mongoose.Types.ObjectId(),
+    username: 'viewer',
+    message: `message ${count - index}`
+  }));
+
+  beforeEach(() => {
+    finds = [];
+    mock.method(ChatMessage, 'find', (filter) => {
+      const found = { filter };
+      finds.push(found);
+      const chain = {
+        sort: () => chain,
+        limit: (limit) => {
+          found.limit = limit;
+          return Promise.resolve(stored.slice(0, limit));
+        }
+      };
+      return chain;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the latest page oldest first, with a cursor to the one before', async () => {
+    stored = messages(5);
+
+    const history = await ChatMessage.getHistory(streamId, { limit: 3 });
+
+    assert.deepStrictEqual(history.messages.map(message => message.message), ['message 3', 'message 4', 'message 5']);
+    assert.strictEqual(history.hasMore, true);
+    assert.strictEqual(history.nextCursor, stored[2]._id);
+    assert.deepStrictEqual(finds[0].filter, { stream: streamId, isDeleted: false });
+    assert.strictEqual(finds[0].limit, 4);
+  });
+
+  it('pages back from a cursor until the start of the chat', async () => {
+    stored = messages(2);
+    const before = new mongoose.Types.ObjectId().toString();
+
+    const history = await ChatMessage.getHistory(streamId, { before, limit: 3 });
+
+    assert.deepStrictEqual(finds[0].filter._id, { $lt: before });
+    assert.strictEqual(history.messages.length, 2);
+    assert.strictEqual(history.hasMore, false);
+    assert.strictEqual(history.nextCursor, null);
+  });
+
+  it('still delivers a message live when it cannot be stored', async () => {
+    mock.method(ChatMessage.prototype, 'save', async () => {
+      throw new Error('not primary');
+    });
+    mock.method(console, 'error', () => {});
+
+    const payload = await NotificationService.saveChatMessage({
+      stream: streamId,
+      user: new mongoose.Types.ObjectId(),
+      username: 'viewer',
+      message: 'hello'
+    });
+
+    assert.strictEqual(payload.message, 'hello');
+    assert.strictEqual(payload.streamId, streamId);
+    assert.ok(payload.timestamp instanceof Date);
+  });
+});
+
+describe('chat history route', () => {
+  let server;
+  let stream;
+
+  before(async () => {
+    server = await serve('/api/streams', streamRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    stream = new Stream({ title: 'Show', streamer: new mongoose.Types.ObjectId() });
+    mock.method(Stream, 'findById', () => query(stream));
+    mock.method(ChatMessage, 'getHistory', async () => ({ messages: [], hasMore: false, nextCursor: null }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects a cursor that is not a message id', async () => {
+    const res = await server.request('GET', `/api/streams/${stream._id}/chat?before=yesterday`);
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(ChatMessage.getHistory.mock.callCount(), 0);
+  });
+
+  it('caps the page size', async () => {
+    await server.request('GET', `/api/streams/${stream._id}/chat?limit=5000`);
+    await server.request('GET', `/api/streams/${stream._id}/chat?limit=abc`);
+
+    assert.deepStrictEqual(ChatMessage.getHistory.mock.calls.map(call => call.arguments[1].limit), [100, 50]);
+  });
+});
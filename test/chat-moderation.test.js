@@ -0,0 +1,256 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const ChatModerationService = require('../services/ChatModerationService');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const ChatSanction = require('../models/ChatSanction');
+const ChatMessage = require('../models/ChatMessage');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('chat rate limit', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    mock.method(Date, 'now', () => now);
+    ChatModerationService.rateLimitBuckets.clear();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows a burst, then refuses until tokens refill', () => {
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(ChatModerationService.consumeChatToken('viewer'), true);
+    }
+    assert.strictEqual(ChatModerationService.consumeChatToken('viewer'), false);
+
+    now += 1000;
+    assert.strictEqual(ChatModerationService.consumeChatToken('viewer'), true);
+    assert.strictEqual(ChatModerationService.consumeChatToken('viewer'), false);
+  });
+
+  it('keeps a separate bucket per user', () => {
+    for (let i = 0; i < 5; i++) {
+      ChatModerationService.consumeChatToken('viewer');
+    }
+
+    assert.strictEqual(ChatModerationService.consumeChatToken('viewer'), false);
+    assert.strictEqual(ChatModerationService.consumeChatToken('other'), true);
+  });
+
+  it('forgets idle buckets', () => {
+    ChatModerationService.consumeChatToken('viewer');
+
+    now += 60 * 1000;
+    ChatModerationService.pruneRateLimitState();
+
+    assert.strictEqual(ChatModerationService.rateLimitBuckets.has('viewer'), false);
+  });
+});
+
+describe('chat modes', () => {
+  const streamer = id();
+  const moderator = id();
+  const viewer = { userId: id(), username: 'viewer' };
+
+  const streamWith = (chatSettings) => ({ _id: id(), streamer, chatSettings });
+
+  beforeEach(() => {
+    mock.method(User, 'findById', () => query({ chatModerators: [moderator] }));
+    mock.method(Follow, 'findOne', () => query(null));
+    mock.method(ChannelSubscription, 'findOne', () => query(null));
+    ChatModerationService.lastMessageAt.clear();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows only emotes in emote-only mode', async () => {
+    const stream = streamWith({ emoteOnly: true });
+
+    await ChatModerationService.enforceChatRules(stream, viewer, ':wave: 👋🏽');
+    await assert.rejects(
+      ChatModerationService.enforceChatRules(stream, viewer, 'hello :wave:'),
+      { status: 403, message: /emote-only/ }
+    );
+  });
+
+  it('requires a follow of the minimum age in follower-only mode', async () => {
+    const stream = streamWith({ followersOnly: true, followersOnlyMinAge: 10 });
+
+    await assert.rejects(
+      ChatModerationService.enforceChatRules(stream, viewer, 'hi'),
+      { status: 403, message: /follower-only/ }
+    );
+
+    Follow.findOne.mock.mockImplementation(() => query({ createdAt: new Date(Date.now() - 5 * 60 * 1000) }));
+    await assert.rejects(
+      ChatModerationService.enforceChatRules(stream, viewer, 'hi'),
+      { status: 403, message: /follow for 10 minutes/ }
+    );
+
+    Follow.findOne.mock.mockImplementation(() => query({ createdAt: new Date(Date.now() - 11 * 60 * 1000) }));
+    await ChatModerationService.enforceChatRules(stream, viewer, 'hi');
+  });
+
+  it('admits only current subscribers in subscriber-only mode', async () => {
+    const stream = streamWith({ subscribersOnly: true });
+
+    await assert.rejects(
+      ChatModerationService.enforceChatRules(stream, viewer, 'hi'),
+      { status: 403, message: /subscriber-only/ }
+    );
+
+    ChannelSubscription.findOne.mock.mockImplementation(() => query({ _id: id() }));
+    await ChatModerationService.enforceChatRules(stream, viewer, 'hi');
+
+    // Lapsed subscriptions don't count
+    const [filter] = ChannelSubscription.findOne.mock.calls.at(-1).arguments;
+    assert.strictEqual(filter.channel, streamer);
+    assert.strictEqual(filter.subscriber, viewer.userId);
+    assert.deepStrictEqual(filter.$or[0], { expiresAt: null });
+    assert.ok(filter.$or[1].expiresAt.$gt instanceof Date);
+  });
+
+  it('makes users wait between messages in slow mode', async () => {
+    const stream = streamWith({ slowMode: 30 });
+
+    await ChatModerationService.enforceChatRules(stream, viewer, 'first');
+    await assert.rejects(
+      ChatModerationService.enforceChatRules(stream, viewer, 'second'),
+      (error) => error.status === 429 && error.retryAfter > 0 && error.retryAfter <= 30
+    );
+  });
+
+  it('exempts the channel owner and moderators', async () => {
+    const stream = streamWith({ emoteOnly: true, followersOnly: true, subscribersOnly: true, slowMode: 30 });
+
+    await ChatModerationService.enforceChatRules(stream, { userId: streamer }, 'hello');
+    await ChatModerationService.enforceChatRules(stream, { userId: moderator }, 'hello');
+    await ChatModerationService.enforceChatRules(stream, { userId: moderator }, 'again');
+  });
+});
+
+describe('chat sanctions', () => {
+  const streamer = id();
+  const moderator = id();
+  const otherModerator = id();
+  const target = { _id: id(), username: 'troll' };
+  const stream = { _id: id(), streamer };
+  let emitted;
+
+  const asModerator = { userId: moderator, username: 'mod' };
+  const asOwner = { userId: streamer, username: 'owner' };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    emitted = [];
+    ChatModerationService.io = {
+      to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+    };
+
+    const users = {
+      [streamer]: { _id: streamer, chatModerators: [moderator, otherModerator] },
+      [target._id]: target,
+      [otherModerator]: { _id: otherModerator, username: 'othermod' }
+    };
+    mock.method(Stream, 'findById', () => query(stream));
+    mock.method(User, 'findById', (userId) => query(users[userId] || null));
+    mock.method(ChatSanction, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    ChatModerationService.io = null;
+  });
+
+  it('times a user out and tells the room and the user', async () => {
+    const sanction = await ChatModerationService.timeoutUser(stream._id, target._id, asModerator, { duration: 60 });
+
+    assert.strictEqual(sanction.type, 'timeout');
+    assert.ok(sanction.expiresAt.getTime() > Date.now() + 59 * 1000);
+    assert.deepStrictEqual(emitted.map(({ room, event }) => [room, event]), [
+      [`stream_${stream._id}`, 'chat-user-removed'],
+      [`user_${target._id}`, 'chat-timeout']
+    ]);
+  });
+
+  it('rejects timeouts outside the allowed duration', async () => {
+    await assert.rejects(
+      ChatModerationService.timeoutUser(stream._id, target._id, asModerator, { duration: 0 }),
+      { status: 400 }
+    );
+    await assert.rejects(
+      ChatModerationService.timeoutUser(stream._id, target._id, asModerator, { duration: 15 * 24 * 60 * 60 }),
+      { status: 400 }
+    );
+  });
+
+  it('bans a user until unbanned', async () => {
+    const sanction = await ChatModerationService.banUser(stream._id, target._id, asModerator, { reason: 'spam' });
+
+    assert.strictEqual(sanction.type, 'ban');
+    assert.strictEqual(sanction.expiresAt, undefined);
+    assert.ok(emitted.some(({ event }) => event === 'chat-banned'));
+  });
+
+  it('protects the channel owner and keeps moderators from sanctioning each other', async () => {
+    await assert.rejects(ChatModerationService.banUser(stream._id, streamer, asModerator), { status: 400 });
+    await assert.rejects(ChatModerationService.banUser(stream._id, moderator, asModerator), { status: 400 });
+    await assert.rejects(ChatModerationService.banUser(stream._id, otherModerator, asModerator), { status: 403 });
+
+    await ChatModerationService.banUser(stream._id, otherModerator, asOwner);
+  });
+
+  it('refuses viewers without moderator privileges', async () => {
+    await assert.rejects(
+      ChatModerationService.banUser(stream._id, target._id, { userId: id(), username: 'viewer' }),
+      { status: 403 }
+    );
+  });
+
+  it('deletes a message of the stream and tells the room', async () => {
+    const messageId = id();
+    const update = mock.method(ChatMessage, 'findOneAndUpdate', async (filter) => ({ _id: filter._id }));
+
+    await ChatModerationService.deleteMessage(stream._id, messageId, asModerator);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: messageId, stream: stream._id, isDeleted: false });
+    assert.strictEqual(changes.isDeleted, true);
+    assert.strictEqual(changes.deletedBy, moderator);
+    assert.deepStrictEqual(emitted, [{
+      room: `stream_${stream._id}`,
+      event: 'chat-message-deleted',
+      payload: { streamId: stream._id, messageId, deletedBy: 'mod' }
+    }]);
+  });
+
+  it('answers 404 for a message that is gone or in another stream', async () => {
+    mock.method(ChatMessage, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(ChatModerationService.deleteMessage(stream._id, id(), asModerator), { status: 404 });
+    await assert.rejects(
+      ChatModerationService.deleteMessage(stream._id, id(), { userId: id(), username: 'viewer' }),
+      { status: 403 }
+    );
+    assert.strictEqual(emitted.length, 0);
+  });
+
+  it('treats a ban as the active sanction over a timeout', async () => {
+    const timeout = { type: 'timeout', expiresAt: new Date(Date.now() + 60000) };
+    const ban = { type: 'ban' };
+    mock.method(ChatSanction, 'find', () => query([timeout, ban]));
+
+    assert.strictEqual(await ChatModerationService.getActiveSanction(streamer, target._id), ban);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+
+const { loadConfig, ensureDirectories } = require('../config/app');
+
+// Every problem is listed in the one error thrown
+const configErrors = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    return error.message.split('\n  - ').slice(1);
+  }
+  return [];
+};
+
+describe('config', () => {
+  it('falls back to defaults for an empty environment', () => {
+    const config = loadConfig({});
+
+    assert.strictEqual(config.server.port, 5000);
+    assert.strictEqual(config.server.publicUrl, 'http://localhost:5000');
+    assert.strictEqual(config.ingest.publicUrl, 'rtmp://localhost:1935/live');
+    assert.strictEqual(config.ingest.localUrl, 'rtmp://127.0.0.1:1935/live');
+    assert.strictEqual(config.ingest.reconnectGraceSeconds, 30);
+    assert.strictEqual(config.playback.baseUrl, 'http://localhost:8000/live');
+    assert.strictEqual(config.hls.dir, path.join(config.hls.mediaRoot, 'live'));
+    assert.deepStrictEqual(config.cors.origins, ['http://localhost:5173']);
+    assert.strictEqual(config.health.ffprobePath, 'ffprobe');
+    assert.strictEqual(config.thumbnails.intervalSeconds, 60);
+    assert.deepStrictEqual(config.chat, { rateLimitBurst: 5, rateLimitPerSecond: 1, historySize: 50 });
+    assert.strictEqual(config.restream.maxAttempts, 10);
+  });
+
+  it('derives public URLs from PUBLIC_HOST and the ports', () => {
+    const config = loadConfig({ PUBLIC_HOST: 'media.example.com', RTMP_PORT: '1936', MEDIA_HTTP_PORT: '8080' });
+
+    assert.strictEqual(config.ingest.publicUrl, 'rtmp://media.example.com:1936/live');
+    assert.strictEqual(config.playback.baseUrl, 'http://media.example.com:8080/live');
+    assert.strictEqual(config.server.publicUrl, 'http://media.example.com:5000');
+    assert.strictEqual(loadConfig({ PUBLIC_API_URL: 'https://api.example.com/' }).server.publicUrl, 'https://api.example.com');
+  });
+
+  it('reads service settings from the environment', () => {
+    const config = loadConfig({
+      RECONNECT_GRACE_SECONDS: '0',
+      FFPROBE_PATH: '/opt/ffmpeg/bin/ffprobe',
+      THUMBNAIL_INTERVAL_SECONDS: '120',
+      CHAT_RATE_LIMIT_BURST: '10',
+      CHAT_RATE_LIMIT_PER_SECOND: '0.5',
+      CHAT_HISTORY_SIZE: '100',
+      RESTREAM_MAX_ATTEMPTS: '3'
+    });
+
+    assert.strictEqual(config.ingest.reconnectGraceSeconds, 0);
+    assert.strictEqual(config.health.ffprobePath, '/opt/ffmpeg/bin/ffprobe');
+    assert.strictEqual(config.thumbnails.intervalSeconds, 120);
+    assert.deepStrictEqual(config.chat, { rateLimitBurst: 10, rateLimitPerSecond: 0.5, historySize: 100 });
+    assert.strictEqual(config.restream.maxAttempts, 3);
+  });
+
+  it('reads mail, webhook, schedule and retention settings from the environment', () => {
+    const config = loadConfig({
+      CLIENT_URL: 'https://app.example.com/',
+      EMAIL_ENABLED: 'false',
+      SMTP_PORT: '587',
+      SMTP_SECURE: 'true',
+      EMAIL_MAX_ATTEMPTS: '3',
+      WEBHOOK_MAX_ATTEMPTS: '4',
+      WEBHOOK_POLL_INTERVAL_MS: '1000',
+      STREAM_REMINDER_MINUTES: '30',
+      SCHEDULE_MATCH_LATE_MINUTES: '45',
+      NOTIFICATION_RETENTION_DAYS: '7',
+      REFRESH_TOKEN_TTL_DAYS: '14'
+    });
+
+    assert.strictEqual(config.client.url, 'https://app.example.com');
+    assert.strictEqual(config.mail.appUrl, 'https://app.example.com');
+    assert.strictEqual(config.mail.enabled, false);
+    assert.strictEqual(config.mail.transport.port, 587);
+    assert.strictEqual(config.mail.transport.secure, true);
+    assert.strictEqual(config.mail.queue.maxAttempts, 3);
+    assert.deepStrictEqual(config.webhooks, { pollIntervalMs: 1000, maxAttempts: 4, logRetentionDays: 30 });
+    assert.deepStrictEqual(config.schedule, { reminderLeadMinutes: 30, matchEarlyMinutes: 60, matchLateMinutes: 45 });
+    assert.strictEqual(config.notifications.retentionDays, 7);
+    assert.strictEqual(config.auth.refreshTokenTtlDays, 14);
+  });
+
+  it('rejects invalid mail, webhook, schedule and retention settings', () => {
+    const errors = configErrors({
+      CLIENT_URL: 'app.example.com',
+      EMAIL_ENABLED: 'no',
+      SMTP_PORT: '99999',
+      WEBHOOK_MAX_ATTEMPTS: 'many',
+      STREAM_REMINDER_MINUTES: '0',
+      NOTIFICATION_RETENTION_DAYS: '1.5'
+    });
+
+    for (const name of ['CLIENT_URL', 'EMAIL_ENABLED', 'SMTP_PORT', 'WEBHOOK_MAX_ATTEMPTS', 'STREAM_REMINDER_MINUTES', 'NOTIFICATION_RETENTION_DAYS']) {
+      assert.ok(errors.some(error => error.startsWith(name)), `${name} should be rejected`);
+    }
+  });
+
+  it('validates the HLS ladder of the environment it is given', () => {
+    const previous = process.env.HLS_LADDER;
+    process.env.HLS_LADDER = 'source';
+
+    try {
+      assert.deepStrictEqual(loadConfig({ HLS_LADDER: '720p,audio' }).hls.ladder.map(r => r.name), ['720p', 'audio']);
+      assert.match(configErrors({ HLS_LADDER: '720p,4k' })[0], /^HLS_LADDER: Unknown HLS renditions: 4k/);
+    } finally {
+      if (previous === undefined) delete process.env.HLS_LADDER;
+      else process.env.HLS_LADDER = previous;
+    }
+  });
+
+  it('reports every invalid value at once', () => {
+    const errors = configErrors({
+      PORT: 'abc',
+      RECONNECT_GRACE_SECONDS: '-5',
+      CHAT_RATE_LIMIT_PER_SECOND: '0',
+      CHAT_HISTORY_SIZE: '0',
+      RESTREAM_MAX_ATTEMPTS: '2.5'
+    });
+
+    assert.strictEqual(errors.length, 5);
+    assert.match(errors[0], /^PORT must be an integer/);
+    assert.ok(errors.some(error => error.startsWith('RECONNECT_GRACE_SECONDS')));
+    assert.ok(errors.some(error => error.startsWith('CHAT_RATE_LIMIT_PER_SECOND must be a number')));
+    assert.ok(errors.some(error => error.startsWith('CHAT_HISTORY_SIZE')));
+    assert.ok(errors.some(error => error.startsWith('RESTREAM_MAX_ATTEMPTS')));
+  });
+
+  it('rejects ports that collide or are out of range', () => {
+    assert.match(configErrors({ PORT: '1935' })[0], /must all differ/);
+    assert.match(configErrors({ RTMP_PORT: '70000' })[0], /RTMP_PORT must be an integer between 1 and 65535/);
+  });
+
+  it('rejects URLs with the wrong scheme or a query string', () => {
+    assert.match(configErrors({ INGEST_URL: 'http://ingest.example.com/live' })[0], /INGEST_URL must be a rtmp:\/\/ or rtmps:\/\/ URL/);
+    assert.match(configErrors({ PLAYBACK_BASE_URL: 'https://cdn.example.com/live?token=1' })[0], /query string/);
+    assert.match(configErrors({ PUBLIC_HOST: 'example.com:80' })[0], /bare host name/);
+  });
+
+  it('rejects HLS segments that are not a multiple of the keyframe interval', () => {
+    assert.match(configErrors({ HLS_SEGMENT_SECONDS: '5', HLS_GOP_SECONDS: '2' })[0], /multiple of HLS_GOP_SECONDS/);
+  });
+
+  it('rejects CORS entries that are not bare origins', () => {
+    assert.match(configErrors({ CORS_ORIGINS: 'https://app.example.com/path' })[0], /CORS_ORIGINS/);
+    assert.deepStrictEqual(
+      loadConfig({ CORS_ORIGINS: 'https://app.example.com/, https://admin.example.com' }).cors.origins,
+      ['https://app.example.com', 'https://admin.example.com']
+    );
+  });
+
+  describe('directories', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+
+    after(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('creates the output directories', () => {
+      const config = loadConfig({
+        MEDIA_ROOT: path.join(root, 'media'),
+        RECORDINGS_DIR: path.join(root, 'recordings'),
+        THUMBNAILS_DIR: path.join(root, 'thumbnails')
+      });
+
+      ensureDirectories(config);
+
+      for (const dir of [config.hls.dir, config.storage.recordingsDir, config.storage.thumbnailsDir]) {
+        assert.ok(fs.statSync(dir).isDirectory());
+      }
+    });
+
+    it('fails when a directory is not writable', () => {
+      const file = path.join(root, 'not-a-directory');
+      fs.writeFileSync(file, '');
+      const config = loadConfig({
+        MEDIA_ROOT: path.join(root, 'media'),
+        RECORDINGS_DIR: file,
+        THUMBNAILS_DIR: path.join(root, 'thumbnails')
+      });
+
+      assert.throws(() => ensureDirectories(config), /not a writable directory/);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const EmailService = require('../services/EmailService');
+const mailConfig = require('../config/mail');
+const User = require('../models/User');
+const EmailMessage = require('../models/EmailMessage');
+const NotificationPreference = require('../models/NotificationPreference');
+
+describe('email notifications', () => {
+  let user;
+  let queued;
+
+  const streamStarted = {
+    type: 'stream_started',
+    title: 'Stream Started',
+    message: 'alice is now live',
+    data: { streamId: 'stream-1', streamerUsername: 'alice', streamTitle: 'Tips & <tricks>' }
+  };
+
+  beforeEach(() => {
+    user = new User({ username: 'bob', email: 'bob@example.com' });
+    queued = [];
+    mock.method(User, 'findById', () => query(user));
+    mock.method(EmailMessage, 'create', async (doc) => queued.push(doc));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('queues a rendered email with the template of the notification type', async () => {
+    await EmailService.enqueueNotification(user._id, streamStarted, 'immediate');
+
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].to, 'bob@example.com');
+    assert.strictEqual(queued[0].template, 'stream_started');
+    assert.strictEqual(queued[0].subject, 'alice is live: Tips & <tricks>');
+    assert.match(queued[0].text, /^Hi bob,/);
+    assert.match(queued[0].text, new RegExp(`Watch now: ${mailConfig.appUrl}/stream/stream-1`));
+    assert.match(queued[0].html, /Tips &amp; &lt;tricks&gt;/);
+  });
+
+  it('defers digest mail and skips addresses that bounced', async () => {
+    await EmailService.enqueueNotification(user._id, streamStarted, 'digest');
+    user.emailBouncedAt = new Date();
+    await EmailService.enqueueNotification(user._id, streamStarted, 'immediate');
+
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].status, 'deferred');
+    assert.strictEqual(queued[0].notification, streamStarted);
+  });
+});
+
+describe('email delivery', () => {
+  let transporter;
+  let email;
+
+  beforeEach(() => {
+    transporter = EmailService.transporter;
+    email = new EmailMessage({
+      user: new mongoose.Types.ObjectId(),
+      to: 'bob@example.com',
+      template: 'notification',
+      subject: 'Hello',
+      text: 'Hi',
+      html: '<p>Hi</p>',
+      status: 'sending',
+      attempts: 1
+    });
+    mock.method(email, 'save', async () => email);
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    EmailService.transporter = transporter;
+    mock.restoreAll();
+  });
+
+  const useTransport = (sendMail) => {
+    EmailService.transporter = { sendMail };
+  };
+
+  it('marks a delivered email as sent', async () => {
+    useTransport(async () => ({ messageId: '<1@example.com>' }));
+
+    await EmailService.deliver(email);
+
+    assert.strictEqual(email.status, 'sent');
+    assert.strictEqual(email.messageId, '<1@example.com>');
+  });
+
+  it('retries temporary failures with exponential backoff until the attempts run out', async () => {
+    useTransport(async () => {
+      throw Object.assign(new Error('Connection timeout'), { responseCode: 421 });
+    });
+    email.attempts = 3;
+    const before = Date.now();
+
+    await EmailService.deliver(email);
+
+    assert.strictEqual(email.status, 'queued');
+    assert.ok(email.nextAttemptAt.getTime() >= before + mailConfig.queue.retryBaseMs * 4);
+
+    email.attempts = mailConfig.queue.maxAttempts;
+    await EmailService.deliver(email);
+
+    assert.strictEqual(email.status, 'failed');
+    assert.strictEqual(email.lastError, 'Connection timeout');
+  });
+
+  it('stops mailing an address the server rejects', async () => {
+    useTransport(async () => {
+      throw Object.assign(new Error('550 No such user'), { responseCode: 550 });
+    });
+    const bounced = mock.method(EmailService, 'recordBounce', async () => 1);
+
+    await EmailService.deliver(email);
+
+    assert.strictEqual(email.status, 'bounced');
+    assert.deepStrictEqual(bounced.mock.calls[0].arguments, ['bob@example.com', '550 No such user']);
+  });
+});
+
+describe('email digests', () => {
+  const digestPreferences = (digest, quiet = false) => {
+    const preferences = new NotificationPreference({ user: new mongoose.Types.ObjectId(), digest });
+    mock.method(preferences, 'isQuietTime', () => quiet);
+    return preferences;
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('is due once the chosen interval has passed and quiet hours are over', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    assert.strictEqual(EmailService.isDigestDue(digestPreferences({ enabled: true, lastSentAt: hoursAgo(25) })), true);
+    assert.strictEqual(EmailService.isDigestDue(digestPreferences({ enabled: true, lastSentAt: hoursAgo(2) })), false);
+    assert.strictEqual(EmailService.isDigestDue(digestPreferences({ enabled: true, frequency: 'weekly', lastSentAt: hoursAgo(25) })), false);
+    assert.strictEqual(EmailService.isDigestDue(digestPreferences({ enabled: false }, true)), false);
+    assert.strictEqual(EmailService.isDigestDue(digestPreferences({ enabled: false })), true);
+  });
+});
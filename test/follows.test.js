@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const userRoutes = require('../routes/users');
+const NotificationService = require('../services/NotificationService');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const FollowEvent = require('../models/FollowEvent');
+
+describe('follow routes', () => {
+  let server;
+  let viewer;
+  let channel;
+  let token;
+  let follows;
+  let counts;
+
+  before(async () => {
+    server = await serve('/api/users', userRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    viewer = new User({ username: 'viewer', email: 'viewer@example.com' });
+    channel = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = viewer.generateToken();
+
+    // Follow documents as [follower, following] pairs, and the counts last written to users
+    follows = [];
+    counts = {};
+
+    const users = { [viewer._id]: viewer, [channel._id]: channel };
+    mock.method(User, 'findById', (id) => query(users[id] || null));
+    mock.method(User, 'updateOne', async ({ _id }, update) => {
+      counts[_id] = update;
+    });
+    mock.method(Follow, 'create', async ({ follower, following }) => {
+      if (follows.some(([a, b]) => a === follower.toString() && b === following.toString())) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      follows.push([follower.toString(), following.toString()]);
+      return { follower, following, createdAt: new Date() };
+    });
+    mock.method(Follow, 'findOneAndDelete', async ({ follower, following }) => {
+      const index = follows.findIndex(([a, b]) => a === follower.toString() && b === following.toString());
+      if (index === -1) return null;
+      follows.splice(index, 1);
+      return { follower, following: new mongoose.Types.ObjectId(following) };
+    });
+    mock.method(Follow, 'countDocuments', async (filter) => follows.filter(([follower, following]) =>
+      (filter.follower ? follower === filter.follower.toString() : following === filter.following.toString())
+    ).length);
+    mock.method(FollowEvent, 'create', async (doc) => doc);
+    mock.method(NotificationService, 'notifyNewFollower', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('follows a channel and derives both counts from the Follow collection', async () => {
+    follows.push([new mongoose.Types.ObjectId().toString(), channel._id.toString()]);
+
+    const res = await server.request('POST', `/api/users/${channel._id}/follow`, { token });
+
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(counts[channel._id], { followersCount: 2, followingCount: 0 });
+    assert.deepStrictEqual(counts[viewer._id], { followersCount: 0, followingCount: 1 });
+    assert.strictEqual(NotificationService.notifyNewFollower.mock.callCount(), 1);
+  });
+
+  it('repairs counts that drifted from the Follow collection', async () => {
+    // A previous request died between the Follow write and the count updates
+    channel.followersCount = 7;
+    follows.push([viewer._id.toString(), channel._id.toString()]);
+
+    const res = await server.request('DELETE', `/api/users/${channel._id}/follow`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(counts[channel._id], { followersCount: 0, followingCount: 0 });
+    assert.deepStrictEqual(counts[viewer._id], { followersCount: 0, followingCount: 0 });
+  });
+
+  it('refuses to follow twice or to follow yourself', async () => {
+    await server.request('POST', `/api/users/${channel._id}/follow`, { token });
+
+    const again = await server.request('POST', `/api/users/${channel._id}/follow`, { token });
+    const self = await server.request('POST', `/api/users/${viewer._id}/follow`, { token });
+
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(self.status, 400);
+    assert.strictEqual(follows.length, 1);
+  });
+
+  it('returns 404 when unfollowing a channel that is not followed', async () => {
+    const res = await server.request('DELETE', `/api/users/${channel._id}/follow`, { token });
+
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(counts, {});
+  });
+});
+
+describe('legacy follow migration', () => {
+  const alice = new mongoose.Types.ObjectId();
+  const bob = new mongoose.Types.ObjectId();
+  const carol = new mongoose.Types.ObjectId();
+  let written;
+  let unset;
+  let synced;
+
+  beforeEach(() => {
+    written = [];
+    unset = [];
+    synced = [];
+    mock.method(Follow, 'bulkWrite', async (operations) => {
+      written.push(...operations.map(({ updateOne }) => updateOne.filter));
+    });
+    mock.method(User.collection, 'updateOne', async (filter, update) => unset.push({ filter, update }));
+    mock.method(Follow, 'syncCounts', async (...userIds) => synced.push(...userIds));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('moves follower and following arrays into Follow documents', async () => {
+    mock.method(User.collection, 'find', () => [
+      { _id: alice, followers: [bob, carol], following: [bob] },
+      { _id: bob, following: [alice] }
+    ]);
+
+    const count = await Follow.migrateUserArrays();
+
+    // bob -> alice appears on both users and is upserted, so it is stored once
+    assert.deepStrictEqual(written, [
+      { follower: bob, following: alice },
+      { follower: carol, following: alice },
+      { follower: alice, following: bob },
+      { follower: bob, following: alice }
+    ]);
+    assert.deepStrictEqual(unset.map(({ filter }) => filter._id), [alice, bob]);
+    assert.ok(unset.every(({ update }) => update.$unset.followers === 1 && update.$unset.following === 1));
+    assert.strictEqual(count, 3);
+    assert.deepStrictEqual(synced.sort(), [alice, bob, carol].map(String).sort());
+  });
+
+  it('does nothing when no user has the old arrays', async () => {
+    mock.method(User.collection, 'find', () => []);
+
+    assert.strictEqual(await Follow.migrateUserArrays(), 0);
+    assert.strictEqual(written.length, 0);
+    assert.strictEqual(synced.length, 0);
+  });
+});
@@ -0,0 +1,99 @@
+// Shared setup for the test suite; tests run without MongoDB, so model
+// calls are replaced per test with t.mock.method. Tests of services that log
+// mock console.log too: stdout is shared with the test runner's own messages.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Keep media, recordings and thumbnails written by tests out of the project
+const os = require('os');
+const path = require('path');
+const mediaDir = path.join(os.tmpdir(), `stream-tests-${process.pid}`);
+process.env.MEDIA_ROOT = path.join(mediaDir, 'media');
+process.env.RECORDINGS_DIR = path.join(mediaDir, 'recordings');
+process.env.THUMBNAILS_DIR = path.join(mediaDir, 'thumbnails');
+
+const dns = require('dns').promises;
+const net = require('net');
+const { mock } = require('node:test');
+const express = require('express');
+
+// Resolve a mocked mongoose query: supports both await and chained .select()/.sort()/.limit()
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Resolve host names through a table for the rest of the test; IP literals resolve to themselves
+const useDns = (hosts) => {
+  mock.method(dns, 'lookup', async (hostname) => {
+    if (net.isIP(hostname)) {
+      return [{ address: hostname, family: net.isIP(hostname) }];
+    }
+    if (!hosts[hostname]) {
+      throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+    return hosts[hostname].map(address => ({ address, family: net.isIP(address) }));
+  });
+};
+
+// A node-media-server v4 session as passed to postPublish/donePublish
+const fakeSession = (streamKey, id = `session-${Math.random().toString(36).slice(2)}`) => ({
+  id,
+  ip: '127.0.0.1:50000',
+  streamPath: `/live/${streamKey}`,
+  closed: false,
+  close() {
+    this.closed = true;
+  }
+});
+
+// Mount a router on a throwaway server; request() resolves to { status, headers, body },
+// with JSON bodies parsed
+const serve = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : await response.text()
+    };
+  };
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  mediaDir,
+  query,
+  useDns,
+  fakeSession,
+  serve
+};
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const notificationRoutes = require('../routes/notifications');
+const NotificationService = require('../services/NotificationService');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+describe('notification inbox', () => {
+  let server;
+  let user;
+  let token;
+  let inbox;
+  let finds;
+
+  const notify = (fields = {}) => {
+    const notification = new Notification({ user: user._id, type: 'stream_started', title: 'Stream Started', ...fields });
+    mock.method(notification, 'save', async () => notification);
+    inbox.unshift(notification);
+    return notification;
+  };
+
+  before(async () => {
+    server = await serve('/api/notifications', notificationRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+    token = user.generateToken();
+    inbox = [];
+    finds = [];
+
+    mock.method(User, 'findById', () => query(user));
+    mock.method(Notification, 'countUnread', async () => inbox.filter(notification => !notification.readAt).length);
+    mock.method(Notification, 'find', (filter) => {
+      const found = { filter };
+      finds.push(found);
+      const chain = {
+        sort: () => chain,
+        limit: (limit) => {
+          found.limit = limit;
+          return Promise.resolve(inbox.slice(0, limit));
+        }
+      };
+      return chain;
+    });
+    mock.method(Notification, 'findOne', (filter) => query(inbox.find(notification =>
+      notification._id.toString() === filter._id && notification.user.toString() === filter.user.toString()
+    ) || null));
+    mock.method(NotificationService, 'emitUnreadCount', async () =>
+      inbox.filter(notification => !notification.readAt).length
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lists notifications newest first with the unread count and a cursor', async () => {
+    notify({ readAt: new Date() });
+    notify();
+    const newest = notify();
+
+    const res = await server.request('GET', '/api/notifications?limit=2', { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.notifications.map(notification => notification.id), [newest._id.toString(), inbox[1]._id.toString()]);
+    assert.strictEqual(res.body.unreadCount, 2);
+    assert.strictEqual(res.body.hasMore, true);
+    assert.strictEqual(res.body.nextCursor, inbox[1]._id.toString());
+    assert.strictEqual(finds[0].limit, 3);
+  });
+
+  it('filters to unread notifications after a cursor', async () => {
+    const cursor = new mongoose.Types.ObjectId().toString();
+
+    await server.request('GET', `/api/notifications?unreadOnly=true&cursor=${cursor}`, { token });
+
+    assert.deepStrictEqual(finds[0].filter, { user: user._id, _id: { $lt: cursor }, readAt: null });
+  });
+
+  it('rejects a cursor that is not a notification id', async () => {
+    const res = await server.request('GET', '/api/notifications?cursor=yesterday', { token });
+
+    assert.strictEqual(res.status, 400);
+  });
+
+  it('marks one notification as read and returns the new unread count', async () => {
+    const notification = notify();
+    notify();
+
+    const res = await server.request('POST', `/api/notifications/${notification._id}/read`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.notification.read, true);
+    assert.strictEqual(res.body.unreadCount, 1);
+    assert.ok(notification.readAt instanceof Date);
+    assert.strictEqual(notification.save.mock.callCount(), 1);
+  });
+
+  it('answers 404 for notifications of other users and invalid ids', async () => {
+    const other = notify({ user: new mongoose.Types.ObjectId() });
+
+    assert.strictEqual((await server.request('POST', `/api/notifications/${other._id}/read`, { token })).status, 404);
+    assert.strictEqual((await server.request('POST', '/api/notifications/nope/read', { token })).status, 404);
+    assert.strictEqual(other.readAt, null);
+  });
+
+  it('marks everything read', async () => {
+    const updateMany = mock.method(Notification, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+    const res = await server.request('POST', '/api/notifications/read-all', { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.updated, 3);
+    assert.deepStrictEqual(updateMany.mock.calls[0].arguments[0], { user: user._id, readAt: null });
+    assert.strictEqual(NotificationService.emitUnreadCount.mock.calls[0].arguments[0], user._id.toString());
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const NotificationService = require('../services/NotificationService');
+const AnalyticsService = require('../services/AnalyticsService');
+const EventBus = require('../services/EventBus');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+
+describe('stream notification fan-out', () => {
+  const id = () => new mongoose.Types.ObjectId().toString();
+  const streamer = { _id: id(), username: 'alice', avatar: null, isStreamer: true, followersCount: 2 };
+  const otherChannel = id();
+  let follows;
+  let preferences;
+  let inbox;
+  let pushed;
+  let deliveryChannels;
+
+  const follow = (follower, following = streamer._id) => follows.push({ follower, following });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    follows = [];
+    preferences = {};
+    inbox = [];
+    pushed = [];
+
+    deliveryChannels = NotificationService.deliveryChannels;
+    NotificationService.deliveryChannels = new Map([['webPush', (userId) => pushed.push(userId)]]);
+    NotificationService.io = { to: () => ({ emit: () => {} }), emit: () => {} };
+
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(Follow, 'find', (filter) => ({
+      select: () => ({
+        lean: () => ({
+          cursor: () => follows.filter(({ following }) => following === filter.following)
+        })
+      })
+    }));
+    mock.method(NotificationPreference, 'findOne', ({ user }) => query(preferences[user] || null));
+    mock.method(Notification, 'create', async (doc) => {
+      inbox.push(doc);
+      return { ...doc, toPayload: () => doc };
+    });
+  });
+
+  afterEach(() => {
+    NotificationService.deliveryChannels = deliveryChannels;
+    mock.restoreAll();
+  });
+
+  it('notifies the followers of the channel and nobody else', async () => {
+    const [bob, carol, dave] = [id(), id(), id()];
+    follow(bob);
+    follow(carol);
+    follow(dave, otherChannel);
+
+    await NotificationService.notifyStreamStarted('stream-1', streamer._id, 'Speedruns');
+
+    assert.deepStrictEqual(inbox.map(notification => notification.user), [bob, carol]);
+    assert.ok(inbox.every(notification => notification.type === 'stream_started'));
+    assert.strictEqual(inbox[0].message, 'alice is now live: Speedruns');
+    assert.deepStrictEqual(pushed, [bob, carol]);
+  });
+
+  it('skips followers who muted the channel or turned the notification off', async () => {
+    const [bob, carol, dave] = [id(), id(), id()];
+    follow(bob);
+    follow(carol);
+    follow(dave);
+    preferences[bob] = new NotificationPreference({ user: bob, mutedChannels: [{ channel: streamer._id }] });
+    preferences[carol] = new NotificationPreference({
+      user: carol,
+      types: { stream_started: { inApp: false, webPush: false } }
+    });
+
+    await NotificationService.notifyStreamStarted('stream-1', streamer._id, 'Speedruns');
+
+    assert.deepStrictEqual(inbox.map(notification => notification.user), [dave]);
+    assert.deepStrictEqual(pushed, [dave]);
+  });
+
+  it('holds back push notifications during quiet hours', async () => {
+    const bob = id();
+    follow(bob);
+    preferences[bob] = new NotificationPreference({ user: bob, quietHours: { enabled: true } });
+    mock.method(preferences[bob], 'isQuietTime', () => true);
+
+    await NotificationService.notifyStreamStarted('stream-1', streamer._id, 'Speedruns');
+
+    assert.deepStrictEqual(inbox.map(notification => notification.user), [bob]);
+    assert.deepStrictEqual(pushed, []);
+  });
+
+  it('sends presence notices only to followers who are online, without storing them', async () => {
+    const [bob, carol] = [id(), id()];
+    follow(bob);
+    follow(carol);
+    preferences[bob] = new NotificationPreference({ user: bob, types: { user_offline: { inApp: true } } });
+    preferences[carol] = new NotificationPreference({ user: carol, types: { user_offline: { inApp: true } } });
+    NotificationService.connectedUsers.set(bob, 'socket-1');
+    const emitted = [];
+    NotificationService.io = { to: (room) => ({ emit: (event) => emitted.push({ room, event }) }) };
+
+    try {
+      await NotificationService.notifyFollowersUserOffline(streamer._id, 'alice');
+    } finally {
+      NotificationService.connectedUsers.delete(bob);
+    }
+
+    assert.deepStrictEqual(emitted, [{ room: `user_${bob}`, event: 'notification' }]);
+    assert.strictEqual(inbox.length, 0);
+  });
+});
+
+describe('stream lifecycle notifications', () => {
+  let emitted;
+
+  // Subscribers run on a later tick
+  const publish = async (event, payload) => {
+    EventBus.publish(event, payload);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  before(() => {
+    NotificationService.subscribeToStreamEvents();
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    emitted = [];
+    NotificationService.io = {
+      to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+      sockets: { sockets: new Map([['socket-1', { id: 'socket-1' }]]) }
+    };
+    mock.method(NotificationService, 'notifyStreamStarted', async () => {});
+    mock.method(AnalyticsService, 'startViewerSession', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    NotificationService.streamRooms.clear();
+  });
+
+  it('notifies followers and starts sessions for viewers already waiting when a stream goes live', async () => {
+    NotificationService.streamRooms.set('stream-1', new Set(['socket-1', 'socket-gone']));
+
+    await publish(EventBus.EVENTS.STREAM_STARTED, { streamId: 'stream-1', streamerId: 'user-1', title: 'Speedruns' });
+
+    assert.deepStrictEqual(NotificationService.notifyStreamStarted.mock.calls[0].arguments, ['stream-1', 'user-1', 'Speedruns']);
+    assert.strictEqual(AnalyticsService.startViewerSession.mock.callCount(), 1);
+    assert.strictEqual(AnalyticsService.startViewerSession.mock.calls[0].arguments[1], 'stream-1');
+  });
+
+  it('tells viewers in the room when a stream ends and why', async () => {
+    await publish(EventBus.EVENTS.STREAM_ENDED, {
+      streamId: 'stream-1',
+      streamerId: 'user-1',
+      title: 'Speedruns',
+      duration: 3725,
+      reason: 'ended_by_streamer'
+    });
+
+    assert.strictEqual(emitted.length, 1);
+    assert.strictEqual(emitted[0].room, 'stream_stream-1');
+    assert.strictEqual(emitted[0].event, 'stream-ended');
+    assert.strictEqual(emitted[0].payload.message, 'Stream "Speedruns" has ended after 1h 2m');
+    assert.strictEqual(emitted[0].payload.data.reason, 'ended_by_streamer');
+  });
+
+  it('tells viewers when the broadcast drops, waits and comes back', async () => {
+    await publish(EventBus.EVENTS.STREAM_OFFLINE, { streamId: 'stream-1', streamerId: 'user-1', title: 'Speedruns' });
+    await publish(EventBus.EVENTS.STREAM_RECONNECTING, { streamId: 'stream-1', graceSeconds: 30 });
+    await publish(EventBus.EVENTS.STREAM_RESUMED, { streamId: 'stream-1', downtime: 12 });
+
+    assert.deepStrictEqual(emitted.map(({ room, event }) => [room, event]), [
+      ['stream_stream-1', 'stream-offline'],
+      ['stream_stream-1', 'stream-reconnecting'],
+      ['stream_stream-1', 'stream-resumed']
+    ]);
+    assert.strictEqual(emitted[1].payload.graceSeconds, 30);
+    assert.strictEqual(emitted[2].payload.downtime, 12);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { mediaDir } = require('./helpers');
+
+const config = require('../config/app');
+const StreamingService = require('../services/StreamingService');
+
+describe('HLS playback server', () => {
+  const streamId = '507f1f77bcf86cd799439011';
+  const playlist = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:6\n';
+  let server;
+  let origin;
+
+  // Playback URLs are absolute; request their path from the test server instead
+  const fetchPlayback = (url, options) => fetch(`${origin}${new URL(url).pathname}`, options);
+
+  before(async () => {
+    const dir = path.join(config.hls.dir, streamId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.m3u8'), playlist);
+    fs.writeFileSync(path.join(dir, 'segment_000.ts'), Buffer.alloc(188));
+
+    server = await new Promise(resolve => {
+      const listening = StreamingService.createPlaybackApp().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  it('serves a written playlist at its playback URL', async () => {
+    const res = await fetchPlayback(StreamingService.getPlaybackUrl(streamId));
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), playlist);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-cache');
+  });
+
+  it('lets players on other origins load it', async () => {
+    const res = await fetchPlayback(StreamingService.getPlaybackUrl(streamId), {
+      headers: { Origin: 'https://player.example.com' }
+    });
+
+    assert.strictEqual(res.headers.get('access-control-allow-origin'), config.cors.mediaOrigin);
+  });
+
+  it('lets segments be cached', async () => {
+    const res = await fetchPlayback(StreamingService.getPlaybackUrl(streamId).replace('index.m3u8', 'segment_000.ts'));
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('cache-control'), /max-age/);
+  });
+
+  it('returns 404 for streams without output', async () => {
+    const res = await fetchPlayback(StreamingService.getPlaybackUrl('507f1f77bcf86cd799439012'));
+
+    assert.strictEqual(res.status, 404);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { query, fakeSession } = require('./helpers');
+
+const StreamingService = require('../services/StreamingService');
+const StreamKey = require('../models/StreamKey');
+const User = require('../models/User');
+const PublishRejection = require('../models/PublishRejection');
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('publish gate', () => {
+  let nms;
+  let rejections;
+  let started;
+
+  const streamer = { _id: '507f1f77bcf86cd799439011', username: 'alice', isStreamer: true, isBlocked: false };
+
+  const useKeys = (keys) => {
+    mock.method(StreamKey, 'findByKey', (key) => query(keys[key] ? { _id: `key-${key}`, user: keys[key]._id } : null));
+    mock.method(User, 'findById', (id) => query(Object.values(keys).find(user => user._id === id) || null));
+    mock.method(User, 'findOne', () => query(null));
+  };
+
+  const publish = async (streamKey) => {
+    const session = fakeSession(streamKey);
+    nms.emit('postPublish', session);
+    await settle();
+    return session;
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    nms = new EventEmitter();
+    StreamingService.nms = nms;
+    StreamingService.activeStreams.clear();
+    StreamingService.setupEventHandlers();
+
+    rejections = [];
+    started = [];
+    mock.method(PublishRejection, 'create', async (doc) => rejections.push(doc));
+    mock.method(StreamingService, 'handleStreamStart', async (streamKey, sessionId) => started.push({ streamKey, sessionId }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets a streamer with a valid key go live', async () => {
+    useKeys({ live_good: streamer });
+
+    const session = await publish('live_good');
+
+    assert.strictEqual(session.closed, false);
+    assert.deepStrictEqual(started, [{ streamKey: 'live_good', sessionId: session.id }]);
+    assert.strictEqual(rejections.length, 0);
+  });
+
+  it('closes a session publishing with an unknown key', async () => {
+    useKeys({});
+
+    const session = await publish('live_unknown');
+
+    assert.strictEqual(session.closed, true);
+    assert.strictEqual(started.length, 0);
+    assert.strictEqual(rejections[0].reason, 'invalid_stream_key');
+    assert.ok(!rejections[0].streamKey.includes('live_unknown'), 'stored key is masked');
+  });
+
+  it('closes a session without a key', async () => {
+    useKeys({});
+
+    const session = await publish('');
+
+    assert.strictEqual(session.closed, true);
+    assert.strictEqual(rejections[0].reason, 'missing_stream_key');
+  });
+
+  it('refuses keys of blocked users and accounts without streaming enabled', async () => {
+    useKeys({
+      live_blocked: { ...streamer, _id: '507f1f77bcf86cd799439012', isBlocked: true },
+      live_viewer: { ...streamer, _id: '507f1f77bcf86cd799439013', isStreamer: false }
+    });
+
+    const blocked = await publish('live_blocked');
+    const viewer = await publish('live_viewer');
+
+    assert.strictEqual(blocked.closed, true);
+    assert.strictEqual(viewer.closed, true);
+    assert.deepStrictEqual(rejections.map(r => r.reason), ['user_blocked', 'not_streamer']);
+    assert.strictEqual(started.length, 0);
+  });
+
+  it('refuses a second broadcast on a channel that is already live', async () => {
+    useKeys({ live_good: streamer, live_backup: streamer });
+    StreamingService.activeStreams.set('live_good', {
+      sessionId: 'first',
+      streamId: 'stream-1',
+      userId: streamer._id,
+      keyId: 'key-live_good'
+    });
+
+    const session = await publish('live_backup');
+
+    assert.strictEqual(session.closed, true);
+    assert.strictEqual(rejections[0].reason, 'already_live');
+  });
+
+  it('survives events without a stream path', async () => {
+    useKeys({});
+    const session = fakeSession('');
+    session.streamPath = undefined;
+
+    nms.emit('postPublish', session);
+    await settle();
+    nms.emit('donePublish', session);
+    await settle();
+
+    assert.strictEqual(session.closed, true);
+    assert.strictEqual(StreamingService.getSession(session.id), null);
+  });
+});
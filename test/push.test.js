@@ -0,0 +1,71 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, useDns, serve } = require('./helpers');
+
+const notificationRoutes = require('../routes/notifications');
+const PushService = require('../services/PushService');
+const User = require('../models/User');
+
+describe('push subscription registration', () => {
+  let server;
+  let token;
+
+  const register = (endpoint) => server.request('POST', '/api/notifications/push/subscriptions', {
+    token,
+    body: { subscription: { endpoint, keys: { p256dh: 'key', auth: 'secret' } } }
+  });
+
+  before(async () => {
+    server = await serve('/api/notifications', notificationRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    const user = new User({ username: 'alice', email: 'alice@example.com' });
+    token = user.generateToken();
+    mock.method(User, 'findById', () => query(user));
+    mock.method(PushService, 'subscribe', async (userId, subscription) => ({ _id: 'sub1', ...subscription }));
+    useDns({
+      'fcm.googleapis.com': ['142.250.74.42'],
+      'push.internal.example': ['10.0.0.7'],
+      'rebind.example': ['93.184.216.34', '127.0.0.1']
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('registers an endpoint on a public push service', async () => {
+    const res = await register('https://fcm.googleapis.com/fcm/send/abc');
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.subscription.endpoint, 'https://fcm.googleapis.com/fcm/send/abc');
+  });
+
+  it('refuses endpoints on private, loopback or unresolvable hosts', async () => {
+    for (const endpoint of [
+      'https://push.internal.example/send',
+      'https://rebind.example/send',
+      'https://127.0.0.1/send',
+      'https://[::1]/send',
+      'https://169.254.169.254/latest',
+      'https://nowhere.example/send'
+    ]) {
+      const res = await register(endpoint);
+
+      assert.strictEqual(res.status, 400, endpoint);
+    }
+    assert.strictEqual(PushService.subscribe.mock.callCount(), 0);
+  });
+
+  it('refuses endpoints that are not https', async () => {
+    const res = await register('http://fcm.googleapis.com/fcm/send/abc');
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.message, 'Push endpoints must be https URLs');
+  });
+});
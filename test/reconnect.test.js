@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query } = require('./helpers');
+
+const StreamingService = require('../services/StreamingService');
+const StreamHealthService = require('../services/StreamHealthService');
+const RestreamService = require('../services/RestreamService');
+const EventBus = require('../services/EventBus');
+const config = require('../config/app');
+const Stream = require('../models/Stream');
+const StreamKey = require('../models/StreamKey');
+const User = require('../models/User');
+
+describe('publisher reconnect grace window', () => {
+  const graceMs = config.ingest.reconnectGraceSeconds * 1000;
+  let user;
+  let stream;
+  let events;
+
+  const published = (event) => events.filter(({ name }) => name === event);
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+    StreamingService.activeStreams.clear();
+
+    user = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    stream = new Stream({ title: 'Show', streamer: user._id, recordingEnabled: true });
+    events = [];
+
+    mock.method(StreamingService, 'resolveStreamKey', async () => ({ user, streamKey: { _id: 'key1', name: 'Primary' } }));
+    mock.method(StreamingService, 'getBroadcastStream', async () => stream);
+    mock.method(stream, 'save', async () => stream);
+    mock.method(Stream, 'findById', () => query(stream));
+    mock.method(StreamKey, 'updateOne', async () => {});
+    mock.method(EventBus, 'publish', (name, payload) => events.push({ name, payload }));
+    for (const method of [
+      'startHLSConversion', 'stopHLSConversion', 'startHealthProbe', 'stopHealthProbe',
+      'startThumbnailCapture', 'stopThumbnailCapture', 'startRestreams', 'startRecording',
+      'stopRecording', 'cleanupHLSFiles', 'rejectSession'
+    ]) {
+      mock.method(StreamingService, method, () => {});
+    }
+    mock.method(StreamHealthService, 'startMonitoring', () => {});
+    mock.method(StreamHealthService, 'stopMonitoring', () => {});
+    mock.method(StreamHealthService, 'resetVideoTimeline', () => {});
+    mock.method(RestreamService, 'stopChannel', () => {});
+
+    await StreamingService.handleStreamStart('live_key', 'session-1');
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    StreamingService.activeStreams.clear();
+  });
+
+  it('keeps the broadcast live while the publisher is gone', async () => {
+    await StreamingService.handlePublisherDisconnect('live_key');
+
+    assert.strictEqual(stream.isLive, true);
+    assert.ok(StreamingService.isReconnecting('live_key'));
+    assert.strictEqual(StreamingService.stopHLSConversion.mock.callCount(), 1);
+    assert.strictEqual(StreamingService.stopRecording.mock.callCount(), 0);
+    assert.strictEqual(StreamingService.cleanupHLSFiles.mock.callCount(), 0);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_RECONNECTING)[0].payload.graceSeconds, graceMs / 1000);
+  });
+
+  it('resumes the same broadcast when the key reconnects in time', async () => {
+    await StreamingService.handlePublisherDisconnect('live_key');
+    mock.timers.tick(graceMs - 1000);
+
+    await StreamingService.handleStreamStart('live_key', 'session-2');
+    mock.timers.tick(graceMs);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(stream.isLive, true);
+    assert.strictEqual(StreamingService.activeStreams.get('live_key').sessionId, 'session-2');
+    assert.ok(!StreamingService.isReconnecting('live_key'));
+    assert.deepStrictEqual(StreamingService.startHLSConversion.mock.calls[1].arguments[2], { resume: true });
+    assert.strictEqual(StreamingService.startRecording.mock.callCount(), 2);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_RESUMED).length, 1);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_STARTED).length, 1);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_ENDED).length, 0);
+  });
+
+  it('ends the broadcast when the grace window runs out', async () => {
+    await StreamingService.handlePublisherDisconnect('live_key');
+
+    mock.timers.tick(graceMs);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(stream.isLive, false);
+    assert.strictEqual(stream.status, 'ended');
+    assert.strictEqual(StreamingService.activeStreams.has('live_key'), false);
+    assert.strictEqual(StreamingService.stopRecording.mock.callCount(), 1);
+    assert.strictEqual(StreamingService.cleanupHLSFiles.mock.callCount(), 1);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_ENDED)[0].payload.reason, 'publisher_disconnected');
+  });
+
+  it('starts a new broadcast when the stream was ended during the window', async () => {
+    await StreamingService.handlePublisherDisconnect('live_key');
+    await StreamingService.endStream(stream, 'ended_by_streamer');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const next = new Stream({ title: 'Show', streamer: user._id });
+    mock.method(next, 'save', async () => next);
+    StreamingService.getBroadcastStream.mock.mockImplementation(async () => next);
+
+    await StreamingService.handleStreamStart('live_key', 'session-2');
+
+    assert.strictEqual(StreamingService.activeStreams.get('live_key').streamId, next._id);
+    assert.strictEqual(next.isLive, true);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_RESUMED).length, 0);
+    assert.strictEqual(published(EventBus.EVENTS.STREAM_STARTED).length, 2);
+  });
+});
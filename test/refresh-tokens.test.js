@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, serve } = require('./helpers');
+
+const authRoutes = require('../routes/auth');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+describe('refresh token rotation', () => {
+  let server;
+  let user;
+  let tokens; // stored RefreshToken documents
+
+  // Enough of the collection for the refresh flow, kept in memory
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$gt) return doc[field] > value.$gt;
+    return (doc[field] ?? null) === value;
+  });
+
+  const useTokenStore = () => {
+    tokens = [];
+    mock.method(RefreshToken, 'create', async (fields) => {
+      const doc = new RefreshToken(fields);
+      tokens.push(doc);
+      return doc;
+    });
+    mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+      const doc = tokens.find(token => matches(token, filter));
+      return doc ? Object.assign(doc, update) : null;
+    });
+    mock.method(RefreshToken, 'findOne', (filter) => query(tokens.find(token => matches(token, filter)) || null));
+    mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+      const docs = tokens.filter(token => matches(token, filter));
+      docs.forEach(doc => Object.assign(doc, update));
+      return { modifiedCount: docs.length };
+    });
+    mock.method(RefreshToken, 'exists', async (filter) => tokens.some(token => matches(token, filter)) || null);
+    mock.method(RefreshToken.prototype, 'save', async function() {
+      return this;
+    });
+  };
+
+  const refresh = (refreshToken) => server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  // A login: the first token of a new device session
+  const login = async () => (await user.generateRefreshToken({ device: 'test' })).token;
+
+  before(async () => {
+    server = await serve('/api/auth', authRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+    useTokenStore();
+    mock.method(User, 'findById', () => query(user));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rotates a refresh token within its device session', async () => {
+    const first = await login();
+
+    const res = await refresh(first);
+
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.token);
+    assert.notStrictEqual(res.body.refreshToken, first);
+
+    const [old, current] = tokens;
+    assert.strictEqual(old.revokedReason, 'rotated');
+    assert.strictEqual(old.replacedBy.toString(), current._id.toString());
+    assert.strictEqual(current.family, old.family);
+    assert.strictEqual(current.revokedAt, null);
+    assert.strictEqual(current.tokenHash, RefreshToken.hashToken(res.body.refreshToken));
+  });
+
+  it('revokes the whole session when a rotated token is used again', async () => {
+    const first = await login();
+    const rotated = await refresh(first);
+
+    const reuse = await refresh(first);
+
+    assert.strictEqual(reuse.status, 401);
+    assert.ok(tokens.every(token => token.revokedAt));
+    assert.strictEqual(tokens[1].revokedReason, 'reuse_detected');
+
+    // The token handed out by the legitimate rotation is dead too
+    const next = await refresh(rotated.body.refreshToken);
+    assert.strictEqual(next.status, 401);
+  });
+
+  it('rejects access tokens of a session revoked for reuse', async () => {
+    const first = await login();
+    const rotated = await refresh(first);
+    await refresh(first);
+
+    const res = await server.request('POST', '/api/auth/logout-all', { token: rotated.body.token });
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.message, 'Token has been revoked');
+  });
+
+  it('leaves other device sessions alone on reuse', async () => {
+    const phone = await login();
+    const laptop = await login();
+    await refresh(phone);
+    await refresh(phone);
+
+    const res = await refresh(laptop);
+
+    assert.strictEqual(res.status, 200);
+  });
+
+  it('ends the session of a blocked or deleted account', async () => {
+    for (const status of ['isBlocked', 'isDeleted']) {
+      user = new User({ username: 'alice', email: 'alice@example.com' });
+      const first = await login();
+      const issued = tokens.length;
+      const revoked = mock.method(RefreshToken, 'revokeFamily');
+      user[status] = true;
+
+      const res = await refresh(first);
+
+      assert.strictEqual(res.status, 401, status);
+      assert.strictEqual(tokens.length, issued, status);
+      assert.deepStrictEqual(revoked.mock.calls[0].arguments, [tokens.at(-1).family, 'logout']);
+      revoked.mock.restore();
+    }
+  });
+
+  it('rejects unknown and expired tokens without revoking anything', async () => {
+    const first = await login();
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.strictEqual((await refresh(first)).status, 401);
+    assert.strictEqual((await refresh('not-a-token')).status, 401);
+    assert.strictEqual(tokens[0].revokedAt, null);
+  });
+});
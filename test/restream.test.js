@@ -0,0 +1,329 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ffmpeg = require('fluent-ffmpeg');
+const { query, useDns, serve } = require('./helpers');
+
+const config = require('../config/app');
+const streamingRoutes = require('../routes/streaming');
+const RestreamService = require('../services/RestreamService');
+const RestreamTarget = require('../models/RestreamTarget');
+const User = require('../models/User');
+
+const PUBLIC_HOSTS = {
+  'live.twitch.tv': ['93.184.216.34'],
+  'a.rtmp.youtube.com': ['142.250.0.1']
+};
+
+// Let relays get past their URL check before looking at them
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('restream relays', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  let target;
+  let commands;
+  let statuses;
+
+  const lastStatus = () => statuses.at(-1);
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    commands = [];
+    statuses = [];
+    useDns(PUBLIC_HOSTS);
+
+    target = new RestreamTarget({ user: userId, name: 'Twitch', url: 'rtmp://live.twitch.tv/app' });
+    target.setStreamKey('live_123456789');
+
+    // ffmpeg never runs; tests drive the relay through the command's events
+    mock.method(ffmpeg.prototype, 'run', function() {
+      commands.push(this);
+    });
+    mock.method(ffmpeg.prototype, 'kill', function() {});
+    mock.method(RestreamTarget, 'find', () => query([target]));
+    mock.method(RestreamTarget, 'updateOne', async (filter, update) => {
+      statuses.push(update);
+    });
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    RestreamService.stopChannel(userId);
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const goLive = async () => {
+    await RestreamService.startChannel(userId, 'stream-1', `${config.ingest.localUrl}/live_source`);
+    await settle();
+  };
+
+  it('relays the channel to each enabled target', async () => {
+    await goLive();
+
+    assert.strictEqual(commands.length, 1);
+    commands[0].emit('start');
+    commands[0].emit('progress', {});
+    await settle();
+
+    assert.strictEqual(lastStatus().status, 'live');
+    assert.ok(lastStatus().lastConnectedAt instanceof Date);
+  });
+
+  it('retries a failed relay with exponential backoff', async () => {
+    await goLive();
+
+    commands[0].emit('error', new Error('Connection refused'));
+    assert.strictEqual(lastStatus().status, 'retrying');
+
+    mock.timers.tick(1999);
+    await settle();
+    assert.strictEqual(commands.length, 1);
+
+    mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(commands.length, 2);
+
+    // The second failure waits twice as long
+    commands[1].emit('error', new Error('Connection refused'));
+    mock.timers.tick(3999);
+    await settle();
+    assert.strictEqual(commands.length, 2);
+
+    mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(commands.length, 3);
+  });
+
+  it(`gives up after ${config.restream.maxAttempts} failures in a row`, async () => {
+    await goLive();
+
+    for (let attempt = 1; attempt <= config.restream.maxAttempts; attempt++) {
+      assert.strictEqual(commands.length, attempt);
+      commands.at(-1).emit('error', new Error('Connection refused'));
+      mock.timers.tick(60 * 1000);
+      await settle();
+    }
+
+    assert.strictEqual(commands.length, config.restream.maxAttempts);
+    assert.strictEqual(lastStatus().status, 'failed');
+    assert.strictEqual(RestreamService.channels.get(userId).relays.size, 0);
+  });
+
+  it('starts counting again once a relay connects', async () => {
+    await goLive();
+
+    for (let attempt = 1; attempt < config.restream.maxAttempts; attempt++) {
+      commands.at(-1).emit('error', new Error('Connection refused'));
+      mock.timers.tick(60 * 1000);
+      await settle();
+    }
+    commands.at(-1).emit('progress', {});
+    commands.at(-1).emit('error', new Error('Connection reset'));
+
+    assert.strictEqual(lastStatus().status, 'retrying');
+  });
+
+  it('keeps the destination key out of stored errors', async () => {
+    await goLive();
+
+    commands[0].emit('error', new Error('rtmp://live.twitch.tv/app/live_123456789: I/O error'));
+
+    assert.doesNotMatch(lastStatus().lastError, /live_123456789/);
+    assert.match(lastStatus().lastError, /live…/);
+  });
+
+  it('refuses to connect once the host resolves to a private address', async () => {
+    useDns({ 'live.twitch.tv': ['10.0.0.5'] });
+
+    await goLive();
+
+    assert.strictEqual(commands.length, 0);
+    assert.strictEqual(lastStatus().status, 'failed');
+    assert.match(lastStatus().lastError, /public address/);
+  });
+});
+
+describe('restream URL checks', () => {
+  beforeEach(() => {
+    useDns({ ...PUBLIC_HOSTS, 'ingest.example.com': ['93.184.216.40'], 'alias.example.net': ['93.184.216.40'] });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts rtmp and rtmps URLs on public hosts', async () => {
+    assert.strictEqual(await RestreamService.checkUrl('rtmp://live.twitch.tv/app'), null);
+    assert.strictEqual(await RestreamService.checkUrl('rtmps://a.rtmp.youtube.com:443/live2'), null);
+  });
+
+  it('rejects other protocols', async () => {
+    assert.match(await RestreamService.checkUrl('https://live.twitch.tv/app'), /rtmp/);
+    assert.match(await RestreamService.checkUrl('not a url'), /rtmp/);
+  });
+
+  it('rejects loopback, private and link-local addresses', async () => {
+    for (const url of [
+      'rtmp://127.0.0.1/live',
+      `rtmp://127.0.0.1:${config.ingest.port}/live`,
+      'rtmp://10.0.0.1/live',
+      'rtmp://192.168.1.10/live',
+      'rtmp://169.254.169.254/live',
+      'rtmp://[::1]/live'
+    ]) {
+      assert.match(await RestreamService.checkUrl(url), /public address/, `${url} should be rejected`);
+    }
+  });
+
+  it('rejects a loop back into our own ingest', async () => {
+    const { publicUrl } = config.ingest;
+    config.ingest.publicUrl = 'rtmps://ingest.example.com/live';
+
+    try {
+      assert.match(await RestreamService.checkUrl('rtmps://ingest.example.com/live'), /this server/);
+      assert.match(await RestreamService.checkUrl('rtmp://alias.example.net/live'), /this server/);
+      assert.strictEqual(await RestreamService.checkUrl('rtmp://live.twitch.tv/app'), null);
+    } finally {
+      config.ingest.publicUrl = publicUrl;
+    }
+  });
+});
+
+describe('restream target routes', () => {
+  let server;
+  let streamer;
+  let token;
+  let saved;
+
+  before(async () => {
+    server = await serve('/api/streaming', streamingRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    streamer = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = streamer.generateToken();
+    saved = [];
+
+    useDns(PUBLIC_HOSTS);
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(RestreamTarget, 'countDocuments', async () => 0);
+    mock.method(RestreamTarget.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(RestreamService, 'syncTarget', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const existingTarget = () => {
+    const target = new RestreamTarget({ user: streamer._id, name: 'Twitch', url: 'rtmp://live.twitch.tv/app' });
+    target.setStreamKey('live_123456789');
+    mock.method(RestreamTarget, 'findOne', () => query(target));
+    mock.method(RestreamTarget, 'findById', () => query(target));
+    return target;
+  };
+
+  it('creates a target without echoing its key', async () => {
+    const res = await server.request('POST', '/api/streaming/restreams', {
+      token,
+      body: { name: 'Twitch', url: 'rtmp://live.twitch.tv/app', streamKey: 'live_123456789' }
+    });
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.target.name, 'Twitch');
+    assert.strictEqual(res.body.target.keyHint, 'live…');
+    assert.doesNotMatch(JSON.stringify(res.body), /live_123456789/);
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].getPublishUrl(), 'rtmp://live.twitch.tv/app/live_123456789');
+    assert.strictEqual(RestreamService.syncTarget.mock.callCount(), 1);
+  });
+
+  it('validates the name, URL and key', async () => {
+    for (const body of [
+      { url: 'rtmp://live.twitch.tv/app', streamKey: 'key' },
+      { name: 'Twitch', url: 'https://live.twitch.tv/app', streamKey: 'key' },
+      { name: 'Twitch', url: 'rtmp://live.twitch.tv/app', streamKey: 'has spaces' }
+    ]) {
+      const res = await server.request('POST', '/api/streaming/restreams', { token, body });
+      assert.strictEqual(res.status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual(saved.length, 0);
+  });
+
+  it('refuses targets on the internal network', async () => {
+    const res = await server.request('POST', '/api/streaming/restreams', {
+      token,
+      body: { name: 'Internal', url: 'rtmp://169.254.169.254/live', streamKey: 'key' }
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /public address/);
+    assert.strictEqual(saved.length, 0);
+  });
+
+  it('limits the number of targets', async () => {
+    RestreamTarget.countDocuments.mock.mockImplementation(async () => 5);
+
+    const res = await server.request('POST', '/api/streaming/restreams', {
+      token,
+      body: { name: 'Sixth', url: 'rtmp://live.twitch.tv/app', streamKey: 'key' }
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /at most 5/);
+  });
+
+  it('checks a changed URL again on update', async () => {
+    existingTarget();
+
+    const res = await server.request('PUT', `/api/streaming/restreams/${new mongoose.Types.ObjectId()}`, {
+      token,
+      body: { url: 'rtmp://10.0.0.1/live' }
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(saved.length, 0);
+  });
+
+  it('updates a target and applies it to the live relay', async () => {
+    const target = existingTarget();
+
+    const res = await server.request('PUT', `/api/streaming/restreams/${target._id}`, {
+      token,
+      body: { url: 'rtmps://a.rtmp.youtube.com/live2', enabled: false }
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.target.url, 'rtmps://a.rtmp.youtube.com/live2');
+    assert.strictEqual(res.body.target.enabled, false);
+    assert.strictEqual(RestreamService.syncTarget.mock.callCount(), 1);
+  });
+
+  it('deletes a target and stops relaying to it', async () => {
+    const target = existingTarget();
+    mock.method(target, 'deleteOne', async () => ({ deletedCount: 1 }));
+    const removed = mock.method(RestreamService, 'removeTarget', () => {});
+
+    const res = await server.request('DELETE', `/api/streaming/restreams/${target._id}`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(target.deleteOne.mock.callCount(), 1);
+    assert.strictEqual(removed.mock.calls[0].arguments[0], target);
+  });
+
+  it("returns 404 for another streamer's target", async () => {
+    mock.method(RestreamTarget, 'findOne', () => query(null));
+
+    const res = await server.request('DELETE', `/api/streaming/restreams/${new mongoose.Types.ObjectId()}`, { token });
+
+    assert.strictEqual(res.status, 404);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const userRoutes = require('../routes/users');
+const ScheduleService = require('../services/ScheduleService');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+
+describe('schedule expiry', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('expires scheduled streams past the matching window', async () => {
+    const updateMany = mock.method(Stream, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(console, 'log', () => {});
+
+    await ScheduleService.expireMissedStreams();
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.strictEqual(filter.status, 'scheduled');
+    assert.ok(filter.scheduledFor.$lt < new Date());
+    assert.deepStrictEqual(update, { status: 'expired' });
+  });
+
+  it('keeps expired streams out of the calendar feed', () => {
+    const find = mock.method(Stream, 'find', () => query([]));
+
+    ScheduleService.getFeedStreams(new mongoose.Types.ObjectId());
+
+    assert.ok(!find.mock.calls[0].arguments[0].status.$in.includes('expired'));
+  });
+});
+
+describe('schedule feed', () => {
+  let server;
+
+  before(async () => {
+    server = await serve('/api/users', userRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves the calendar under a sanitized file name', async () => {
+    const streamer = { _id: new mongoose.Types.ObjectId(), username: 'a"b\r\n; c', isStreamer: true };
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(ScheduleService, 'getFeedStreams', async () => []);
+
+    const res = await server.request('GET', `/api/users/${streamer._id}/schedule.ics`);
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    assert.strictEqual(res.headers.get('content-disposition'), 'attachment; filename="a_b_c-schedule.ics"');
+    assert.match(res.body, /^BEGIN:VCALENDAR/);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const { socketAuth } = require('../middleware/auth');
+const NotificationService = require('../services/NotificationService');
+const ChatModerationService = require('../services/ChatModerationService');
+const AnalyticsService = require('../services/AnalyticsService');
+const User = require('../models/User');
+const Stream = require('../models/Stream');
+const ChatMessage = require('../models/ChatMessage');
+
+describe('socket handshake authentication', () => {
+  let onConnection;
+  let user;
+  let socketCount = 0;
+
+  // A Socket.IO socket as the handshake middleware and event handlers see it
+  const createSocket = ({ auth = {}, headers = {} } = {}) => {
+    const handlers = new Map();
+    return {
+      id: `socket${++socketCount}abcdef`,
+      handshake: { auth, headers, query: {}, address: '127.0.0.1' },
+      data: {},
+      rooms: new Set(),
+      emitted: [],
+      on(event, handler) {
+        handlers.set(event, handler);
+      },
+      emit(event, payload) {
+        this.emitted.push({ event, payload });
+      },
+      join(room) {
+        this.rooms.add(room);
+      },
+      leave(room) {
+        this.rooms.delete(room);
+      },
+      to: () => ({ emit: () => {} }),
+      trigger: (event, data) => handlers.get(event)(data),
+      lastEmitted(event) {
+        return this.emitted.filter(emitted => emitted.event === event).at(-1);
+      }
+    };
+  };
+
+  // Run the handshake; resolves to the connected socket, or the error the client is refused with
+  const connect = async (options) => {
+    const socket = createSocket(options);
+    const error = await new Promise(resolve => socketAuth(socket, resolve));
+    if (error) return { error };
+
+    onConnection(socket);
+    await new Promise(resolve => setImmediate(resolve));
+    return { socket };
+  };
+
+  before(() => {
+    NotificationService.io = {
+      on: (event, handler) => {
+        onConnection = handler;
+      },
+      to: () => ({ emit: () => {} })
+    };
+    NotificationService.setupSocketHandlers();
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+
+    mock.method(User, 'findById', (id) => query(id.toString() === user._id.toString() ? user : null));
+    mock.method(User, 'findByIdAndUpdate', async () => user);
+    mock.method(NotificationService, 'sendPendingNotifications', async () => {});
+    mock.method(NotificationService, 'notifyFollowersUserOnline', async () => {});
+    mock.method(NotificationService, 'updateStreamViewerCount', async () => {});
+    mock.method(AnalyticsService, 'startViewerSession', async () => {});
+    mock.method(Stream, 'findById', () => query(null));
+    mock.method(ChatMessage, 'getHistory', async () => ({ messages: [], hasMore: false }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    NotificationService.userSockets.clear();
+    NotificationService.connectedUsers.clear();
+    NotificationService.streamRooms.clear();
+  });
+
+  it('accepts a valid token from handshake auth or the Authorization header', async () => {
+    const token = user.generateToken();
+
+    for (const options of [{ auth: { token } }, { headers: { authorization: `Bearer ${token}` } }]) {
+      const { socket, error } = await connect(options);
+
+      assert.strictEqual(error, undefined);
+      assert.strictEqual(socket.data.user.userId, user._id.toString());
+      assert.strictEqual(socket.data.user.isGuest, false);
+      assert.ok(socket.rooms.has(`user_${user._id}`));
+      assert.strictEqual(socket.lastEmitted('authenticated').payload.user.username, 'alice');
+    }
+  });
+
+  it('refuses a token with a bad signature', async () => {
+    const token = jwt.sign({ id: user._id, username: 'alice' }, 'not-the-secret');
+
+    const { error } = await connect({ auth: { token } });
+
+    assert.strictEqual(error.message, 'Authentication failed');
+  });
+
+  it('refuses an expired token', async () => {
+    const token = jwt.sign({ id: user._id, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    const { error } = await connect({ auth: { token } });
+
+    assert.strictEqual(error.message, 'Token has expired');
+  });
+
+  it('refuses revoked tokens and blocked or unknown accounts', async () => {
+    const revoked = user.generateToken();
+    user.tokenVersion = 1;
+    assert.strictEqual((await connect({ auth: { token: revoked } })).error.message, 'Authentication failed');
+
+    user.isBlocked = true;
+    assert.strictEqual((await connect({ auth: { token: user.generateToken() } })).error.message, 'Authentication failed');
+
+    const stranger = new User({ username: 'ghost', email: 'ghost@example.com' });
+    assert.strictEqual((await connect({ auth: { token: stranger.generateToken() } })).error.message, 'Authentication failed');
+  });
+
+  it('lets guests connect without a token and watch a stream', async () => {
+    const { socket } = await connect();
+    const streamId = new mongoose.Types.ObjectId().toString();
+
+    assert.strictEqual(socket.data.user.isGuest, true);
+    assert.strictEqual(socket.data.user.userId, null);
+    assert.strictEqual(socket.lastEmitted('authenticated'), undefined);
+
+    await socket.trigger('join-stream', streamId);
+
+    assert.ok(socket.rooms.has(`stream_${streamId}`));
+    assert.strictEqual(socket.lastEmitted('stream-joined').payload.streamId, streamId);
+  });
+
+  it('keeps guests out of chat and moderation', async () => {
+    const { socket } = await connect();
+    const streamId = new mongoose.Types.ObjectId().toString();
+    const saved = mock.method(NotificationService, 'saveChatMessage', async () => ({}));
+    const moderation = [
+      mock.method(ChatModerationService, 'timeoutUser', async () => {}),
+      mock.method(ChatModerationService, 'banUser', async () => {}),
+      mock.method(ChatModerationService, 'unbanUser', async () => {}),
+      mock.method(ChatModerationService, 'deleteMessage', async () => {}),
+      mock.method(ChatModerationService, 'updateChatSettings', async () => {})
+    ];
+
+    await socket.trigger('chat-message', { streamId, message: 'hello' });
+    assert.strictEqual(socket.lastEmitted('error').payload.message, 'Authentication required');
+
+    for (const event of ['moderate-timeout', 'moderate-ban', 'moderate-unban', 'moderate-delete-message', 'update-chat-settings']) {
+      socket.emitted = [];
+      await socket.trigger(event, { streamId, userId: new mongoose.Types.ObjectId().toString(), settings: {} });
+      assert.strictEqual(socket.lastEmitted('error').payload.message, 'Authentication required', event);
+    }
+
+    assert.strictEqual(saved.mock.callCount(), 0);
+    assert.ok(moderation.every(action => action.mock.callCount() === 0));
+  });
+
+  it('keeps a guest a guest when it re-authenticates with a bad token', async () => {
+    const { socket } = await connect();
+
+    await socket.trigger('authenticate', { token: 'not-a-jwt' });
+
+    assert.strictEqual(socket.lastEmitted('authentication_error').payload.success, false);
+    assert.strictEqual(socket.data.user.isGuest, true);
+  });
+
+  it('upgrades a guest that logs in', async () => {
+    const { socket } = await connect();
+
+    await socket.trigger('authenticate', { token: user.generateToken() });
+
+    assert.strictEqual(socket.data.user.isGuest, false);
+    assert.ok(socket.rooms.has(`user_${user._id}`));
+    assert.ok(socket.lastEmitted('authenticated'));
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeSession } = require('./helpers');
+
+const StreamingService = require('../services/StreamingService');
+
+describe('ingest stats', () => {
+  afterEach(() => {
+    StreamingService.publishers.clear();
+    StreamingService.activeStreams.clear();
+  });
+
+  it('reads the counters of the publishing session', () => {
+    const session = Object.assign(fakeSession('live_good'), {
+      inBytes: 123456,
+      videoFramerate: 30,
+      videoWidth: 1920,
+      videoHeight: 1080
+    });
+    StreamingService.publishers.set(session.id, session);
+    StreamingService.activeStreams.set('live_good', { sessionId: session.id });
+
+    assert.deepStrictEqual(StreamingService.getIngestStats('live_good'), {
+      inBytes: 123456,
+      declaredFrameRate: 30,
+      width: 1920,
+      height: 1080
+    });
+  });
+
+  it('returns null while the publisher is reconnecting', () => {
+    const session = fakeSession('live_good');
+    StreamingService.publishers.set(session.id, session);
+    StreamingService.activeStreams.set('live_good', { sessionId: session.id, disconnectedAt: new Date() });
+
+    assert.strictEqual(StreamingService.getIngestStats('live_good'), null);
+  });
+
+  it('returns null once the session is gone', () => {
+    StreamingService.activeStreams.set('live_good', { sessionId: 'session-gone' });
+
+    assert.strictEqual(StreamingService.getIngestStats('live_good'), null);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { query, fakeSession, serve } = require('./helpers');
+
+const streamingRoutes = require('../routes/streaming');
+const StreamingService = require('../services/StreamingService');
+const Stream = require('../models/Stream');
+const StreamKey = require('../models/StreamKey');
+const User = require('../models/User');
+
+describe('stream key rotation and revocation', () => {
+  let server;
+  let streamer;
+  let token;
+  let streamKey;
+
+  // The key is publishing through a registered node-media-server session
+  const goLive = (extra = {}) => {
+    const session = fakeSession('live_old');
+    StreamingService.publishers.set(session.id, session);
+    StreamingService.activeStreams.set('live_old', {
+      keyId: streamKey._id.toString(),
+      sessionId: session.id,
+      ...extra
+    });
+    return session;
+  };
+
+  before(async () => {
+    server = await serve('/api/streaming', streamingRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    streamer = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = streamer.generateToken();
+
+    streamKey = new StreamKey({ user: streamer._id, name: 'Primary' });
+    streamKey.setKey('live_old');
+
+    StreamingService.activeStreams.clear();
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(StreamKey, 'findOne', () => query(streamKey));
+    mock.method(streamKey, 'save', async () => streamKey);
+    mock.method(streamKey, 'deleteOne', async () => ({ deletedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    StreamingService.publishers.clear();
+    StreamingService.activeStreams.clear();
+  });
+
+  it('rotates a key and disconnects the encoder using the old one', async () => {
+    const session = goLive();
+    const oldHash = streamKey.keyHash;
+
+    const res = await server.request('POST', `/api/streaming/keys/${streamKey._id}/rotate`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+    assert.notStrictEqual(streamKey.keyHash, oldHash);
+    assert.ok(streamKey.rotatedAt);
+    assert.strictEqual(streamKey.save.mock.callCount(), 1);
+    assert.strictEqual(session.closed, true);
+    assert.strictEqual(StreamingService.publishers.has(session.id), false);
+  });
+
+  it('ends the stream when the key is rotated during a reconnect window', async () => {
+    goLive({ disconnectedAt: new Date() });
+    const ended = [];
+    mock.method(StreamingService, 'handleStreamEnd', async (key) => ended.push(key));
+
+    const res = await server.request('POST', `/api/streaming/keys/${streamKey._id}/rotate`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(ended, ['live_old']);
+  });
+
+  it('revokes a key and disconnects the encoder using it', async () => {
+    const session = goLive();
+
+    const res = await server.request('DELETE', `/api/streaming/keys/${streamKey._id}`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(streamKey.deleteOne.mock.callCount(), 1);
+    assert.strictEqual(session.closed, true);
+  });
+
+  it('leaves streams on other keys alone', async () => {
+    const other = fakeSession('live_other');
+    StreamingService.publishers.set(other.id, other);
+    StreamingService.activeStreams.set('live_other', { keyId: 'another-key', sessionId: other.id });
+
+    const res = await server.request('DELETE', `/api/streaming/keys/${streamKey._id}`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(other.closed, false);
+  });
+
+  it('returns 404 for a key of another streamer', async () => {
+    StreamKey.findOne.mock.mockImplementation(() => query(null));
+
+    const res = await server.request('POST', `/api/streaming/keys/${streamKey._id}/rotate`, { token });
+
+    assert.strictEqual(res.status, 404);
+  });
+});
+
+describe('legacy stream key migration', () => {
+  let dropped;
+  let unset;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    dropped = [];
+    unset = [];
+    mock.method(Stream.collection, 'dropIndex', async (name) => dropped.push(name));
+    mock.method(Stream.collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(User, 'updateOne', async (filter, update) => unset.push({ filter, update }));
+    mock.method(StreamKey.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('drops the old unique index on streams', async () => {
+    mock.method(Stream.collection, 'indexes', async () => [{ name: '_id_' }, { name: 'streamKey_1' }]);
+    mock.method(User, 'find', () => query([]));
+
+    await StreamingService.migrateStreamKeys();
+
+    assert.deepStrictEqual(dropped, ['streamKey_1']);
+  });
+
+  it('skips the index when it is already gone', async () => {
+    mock.method(Stream.collection, 'indexes', async () => [{ name: '_id_' }]);
+    mock.method(User, 'find', () => query([]));
+
+    await StreamingService.migrateStreamKeys();
+
+    assert.deepStrictEqual(dropped, []);
+  });
+
+  it('moves plaintext keys off users into hashed stream keys', async () => {
+    const legacyUser = { _id: '507f1f77bcf86cd799439011', streamKey: 'live_legacy' };
+    mock.method(Stream.collection, 'indexes', async () => []);
+    mock.method(User, 'find', () => query([legacyUser]));
+    mock.method(User, 'findOne', () => query(legacyUser));
+    mock.method(StreamKey, 'findByKey', () => query(null));
+
+    await StreamingService.migrateStreamKeys();
+
+    const [migrated] = StreamKey.prototype.save.mock.calls.map(call => call.this);
+    assert.strictEqual(migrated.user.toString(), legacyUser._id);
+    assert.strictEqual(migrated.reveal(), 'live_legacy');
+    assert.ok(unset.length >= 1);
+    assert.ok(unset.every(({ update }) => update.$unset.streamKey === 1));
+  });
+});
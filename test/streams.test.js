@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const streamRoutes = require('../routes/streams');
+const config = require('../config/app');
+const ChatMessage = require('../models/ChatMessage');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+
+describe('stream routes', () => {
+  let server;
+  let streamer;
+  let token;
+  let stream;
+
+  const recording = (fileName) => path.join(config.storage.recordingsDir, fileName);
+
+  before(async () => {
+    server = await serve('/api/streams', streamRoutes);
+    fs.mkdirSync(config.storage.recordingsDir, { recursive: true });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    streamer = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = streamer.generateToken();
+    stream = new Stream({ title: 'Show', streamer: streamer._id });
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(Stream, 'findById', (id) => query(id.toString() === stream._id.toString() ? stream : null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('answers 404 for stream ids that are not ObjectIds', async () => {
+    for (const url of ['/api/streams/nope', '/api/streams/nope/vod', '/api/streams/nope/chat']) {
+      const res = await server.request('GET', url);
+
+      assert.strictEqual(res.status, 404, url);
+      assert.strictEqual(res.body.message, 'Stream not found');
+    }
+    assert.strictEqual(Stream.findById.mock.callCount(), 0);
+  });
+
+  it('answers 404 for the VOD and chat of a stream that does not exist', async () => {
+    const missing = new mongoose.Types.ObjectId();
+
+    assert.strictEqual((await server.request('GET', `/api/streams/${missing}/vod`)).status, 404);
+    assert.strictEqual((await server.request('GET', `/api/streams/${missing}/chat`)).status, 404);
+  });
+
+  it('serves a finished recording and its chat history', async () => {
+    stream.recordingStatus = 'ready';
+    stream.recordingFile = `${stream._id}-1.mp4`;
+    fs.writeFileSync(recording(stream.recordingFile), 'mp4 data');
+    mock.method(ChatMessage, 'getHistory', async () => ({ messages: [], hasMore: false }));
+
+    const vod = await server.request('GET', `/api/streams/${stream._id}/vod`);
+    const chat = await server.request('GET', `/api/streams/${stream._id}/chat`);
+
+    assert.strictEqual(vod.status, 200);
+    assert.strictEqual(vod.body, 'mp4 data');
+    assert.strictEqual(chat.status, 200);
+    assert.strictEqual(ChatMessage.getHistory.mock.calls[0].arguments[0].toString(), stream._id.toString());
+  });
+
+  it('deletes the recordings of a deleted stream and leaves other streams alone', async () => {
+    const other = `${new mongoose.Types.ObjectId()}-1.mp4`;
+    const files = [`${stream._id}-1.mp4`, `${stream._id}-2.mp4.part0`, `${stream._id}-2.mp4.parts.txt`];
+    for (const file of [...files, other]) {
+      fs.writeFileSync(recording(file), '');
+    }
+    mock.method(stream, 'deleteOne', async () => {});
+
+    const res = await server.request('DELETE', `/api/streams/${stream._id}`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.ok(files.every(file => !fs.existsSync(recording(file))));
+    assert.ok(fs.existsSync(recording(other)));
+  });
+
+  it('refuses to delete a live stream', async () => {
+    stream.isLive = true;
+    fs.writeFileSync(recording(`${stream._id}-1.mp4.part0`), '');
+
+    const res = await server.request('DELETE', `/api/streams/${stream._id}`, { token });
+
+    assert.strictEqual(res.status, 400);
+    assert.ok(fs.existsSync(recording(`${stream._id}-1.mp4.part0`)));
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ffmpeg = require('fluent-ffmpeg');
+
+const StreamingService = require('../services/StreamingService');
+const EventBus = require('../services/EventBus');
+const config = require('../config/app');
+const Stream = require('../models/Stream');
+
+describe('transcoder supervision', () => {
+  const streamId = new mongoose.Types.ObjectId();
+  let commands;
+
+  const resumed = () => StreamingService.buildLadderOutputOptions.mock.calls.map(call => call.arguments[1].resume);
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    commands = [];
+
+    // ffmpeg never runs; tests drive the transcoder through the command's events
+    mock.method(ffmpeg.prototype, 'run', function() {
+      commands.push(this);
+    });
+    mock.method(StreamingService, 'killCommand', () => {});
+    mock.method(StreamingService, 'buildLadderOutputOptions');
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+    StreamingService.activeStreams.set('live_key', { sessionId: 'session-1', streamId });
+    StreamingService.startHLSConversion('live_key', streamId);
+  });
+
+  afterEach(() => {
+    StreamingService.stopHLSConversion('live_key');
+    StreamingService.activeStreams.clear();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('restarts a transcoder that dies while live, backing off and resuming the playlists', () => {
+    commands[0].emit('start');
+    commands[0].emit('error', new Error('ffmpeg exited with code 1'));
+
+    mock.timers.tick(999);
+    assert.strictEqual(commands.length, 1);
+    mock.timers.tick(1);
+    assert.strictEqual(commands.length, 2);
+
+    // The second crash waits twice as long
+    commands[1].emit('end');
+    mock.timers.tick(1999);
+    assert.strictEqual(commands.length, 2);
+    mock.timers.tick(1);
+    assert.strictEqual(commands.length, 3);
+
+    assert.deepStrictEqual(resumed(), [false, true, true]);
+  });
+
+  it('resets the backoff after a transcoder has run for a while', () => {
+    commands[0].emit('error', new Error('crash'));
+    mock.timers.tick(1000);
+    commands[1].emit('error', new Error('crash'));
+    mock.timers.tick(2000);
+
+    commands[2].emit('start');
+    mock.timers.tick(60 * 1000);
+    commands[2].emit('error', new Error('crash'));
+
+    mock.timers.tick(1000);
+    assert.strictEqual(commands.length, 4);
+  });
+
+  it('lets the transcoder go once the publisher has disconnected', () => {
+    StreamingService.activeStreams.get('live_key').disconnectedAt = new Date();
+
+    commands[0].emit('end');
+    mock.timers.tick(30 * 1000);
+
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(StreamingService.transcoders.has('live_key'), false);
+  });
+
+  it('cancels a pending restart when the transcoder is stopped', () => {
+    commands[0].emit('error', new Error('crash'));
+
+    StreamingService.stopHLSConversion('live_key');
+    mock.timers.tick(30 * 1000);
+
+    assert.strictEqual(commands.length, 1);
+  });
+
+  it('ignores the exit of a transcoder that was replaced', () => {
+    StreamingService.startHLSConversion('live_key', streamId);
+
+    commands[0].emit('error', new Error('killed'));
+    mock.timers.tick(30 * 1000);
+
+    assert.strictEqual(commands.length, 2);
+  });
+});
+
+describe('orphaned stream reconciliation', () => {
+  let ended;
+  let recovered;
+
+  const orphan = (fields) => {
+    const stream = new Stream({ title: 'Show', streamer: new mongoose.Types.ObjectId(), isLive: true, status: 'live', ...fields });
+    mock.method(stream, 'save', async () => stream);
+    return stream;
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    ended = [];
+    recovered = [];
+    StreamingService.activeStreams.clear();
+    mock.method(EventBus, 'publish', (name, payload) => {
+      if (name === EventBus.EVENTS.STREAM_ENDED) ended.push(payload);
+    });
+    mock.method(StreamingService, 'cleanupHLSFiles', () => {});
+    mock.method(StreamingService, 'finalizeRecording', async (recoveryKey) => {
+      recovered.push(StreamingService.recordings.get(recoveryKey));
+      StreamingService.recordings.delete(recoveryKey);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    StreamingService.activeStreams.clear();
+  });
+
+  it('ends streams left live by a crash as of their last heartbeat', async () => {
+    const startedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const lastHeartbeatAt = new Date(Date.now() - 20 * 60 * 1000);
+    const stream = orphan({ startedAt, lastHeartbeatAt });
+    mock.method(Stream, 'find', async () => [stream]);
+
+    await StreamingService.reconcileStreams();
+
+    assert.strictEqual(stream.isLive, false);
+    assert.strictEqual(stream.status, 'ended');
+    assert.strictEqual(stream.endedAt.getTime(), lastHeartbeatAt.getTime());
+    assert.strictEqual(stream.duration, 40 * 60);
+    assert.strictEqual(ended[0].reason, 'server_restart');
+    assert.strictEqual(StreamingService.cleanupHLSFiles.mock.calls[0].arguments[0], stream._id);
+    assert.strictEqual(recovered.length, 0);
+  });
+
+  it('leaves streams that are still publishing alone', async () => {
+    const publishing = new mongoose.Types.ObjectId();
+    StreamingService.activeStreams.set('live_key', { sessionId: 'session-1', streamId: publishing });
+    mock.method(Stream, 'find', async () => []);
+
+    await StreamingService.reconcileStreams();
+
+    assert.deepStrictEqual(Stream.find.mock.calls[0].arguments[0], { isLive: true, _id: { $nin: [publishing.toString()] } });
+  });
+
+  it('recovers the parts of the latest recording of a crashed broadcast', async () => {
+    const stream = orphan({ startedAt: new Date(Date.now() - 60 * 1000), recordingStatus: 'recording' });
+    const recording = (file) => path.join(config.storage.recordingsDir, file);
+    fs.mkdirSync(config.storage.recordingsDir, { recursive: true });
+    for (const file of [`${stream._id}-1000.mp4.part0`, `${stream._id}-2000.mp4.part0`, `${stream._id}-2000.mp4.part1`]) {
+      fs.writeFileSync(recording(file), '');
+    }
+    mock.method(Stream, 'find', async () => [stream]);
+
+    await StreamingService.reconcileStreams();
+
+    assert.strictEqual(recovered[0].fileName, `${stream._id}-2000.mp4`);
+    assert.deepStrictEqual(recovered[0].parts, [recording(`${stream._id}-2000.mp4.part0`), recording(`${stream._id}-2000.mp4.part1`)]);
+    StreamingService.removeRecordings(stream._id);
+  });
+});
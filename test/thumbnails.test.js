@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, serve } = require('./helpers');
+
+const streamRoutes = require('../routes/streams');
+const config = require('../config/app');
+const ThumbnailService = require('../services/ThumbnailService');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+
+describe('thumbnail URLs', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('builds absolute URLs from the public API URL', () => {
+    const urls = ThumbnailService.getThumbnailUrls('507f1f77bcf86cd799439011');
+
+    assert.deepStrictEqual(Object.keys(urls), ['small', 'medium', 'large']);
+    assert.strictEqual(urls.medium, `${config.server.publicUrl}/api/streams/507f1f77bcf86cd799439011/thumbnail/medium`);
+  });
+
+  it('keeps a custom thumbnail over generated ones', async () => {
+    const updateOne = mock.method(Stream, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await ThumbnailService.setSource('507f1f77bcf86cd799439011', 'live');
+    await ThumbnailService.setSource('507f1f77bcf86cd799439011', 'custom');
+
+    const [[liveFilter, liveUpdate], [customFilter]] = updateOne.mock.calls.map(call => call.arguments);
+    assert.deepStrictEqual(liveFilter.thumbnailSource, { $ne: 'custom' });
+    assert.strictEqual(customFilter.thumbnailSource, undefined);
+    assert.match(liveUpdate.thumbnail, /^https?:\/\/.+\/thumbnail\/medium$/);
+  });
+});
+
+describe('thumbnail routes', () => {
+  let server;
+  let streamer;
+  let token;
+  let stream;
+
+  before(async () => {
+    server = await serve('/api/streams', streamRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    streamer = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = streamer.generateToken();
+    stream = new Stream({ title: 'Show', streamer: streamer._id, thumbnailSource: 'custom' });
+    mock.method(User, 'findById', () => query(streamer));
+    mock.method(ThumbnailService, 'removeCustom', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the thumbnail the stream falls back to', async () => {
+    const thumbnails = ThumbnailService.getThumbnailUrls(stream._id);
+    const updated = { thumbnail: thumbnails.medium, thumbnails, thumbnailSource: 'vod' };
+    let lookups = 0;
+    mock.method(Stream, 'findById', () => query(lookups++ === 0 ? stream : updated));
+
+    const res = await server.request('DELETE', `/api/streams/${stream._id}/thumbnail`, { token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.thumbnailSource, 'vod');
+    assert.strictEqual(res.body.thumbnails.large, thumbnails.large);
+  });
+
+  it('responds 404 when the stream is deleted while the thumbnail is removed', async () => {
+    let lookups = 0;
+    mock.method(Stream, 'findById', () => query(lookups++ === 0 ? stream : null));
+
+    const res = await server.request('DELETE', `/api/streams/${stream._id}/thumbnail`, { token });
+
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.success, false);
+  });
+
+  it('rejects removing a thumbnail that is not custom', async () => {
+    stream.thumbnailSource = 'live';
+    mock.method(Stream, 'findById', () => query(stream));
+
+    const res = await server.request('DELETE', `/api/streams/${new mongoose.Types.ObjectId()}/thumbnail`, { token });
+
+    assert.strictEqual(res.status, 400);
+  });
+});
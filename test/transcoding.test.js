@@ -0,0 +1,70 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { getLadder, DEFAULT_LADDER } = require('../config/transcoding');
+const StreamingService = require('../services/StreamingService');
+const config = require('../config/app');
+
+describe('HLS ladder', () => {
+  it('defaults to the standard renditions', () => {
+    assert.deepStrictEqual(getLadder({}).map(rendition => rendition.name), DEFAULT_LADDER);
+  });
+
+  it('builds the ladder named in HLS_LADDER, in order', () => {
+    const ladder = getLadder({ HLS_LADDER: ' 1080p, 480p,,audio ' });
+
+    assert.deepStrictEqual(ladder.map(rendition => rendition.name), ['1080p', '480p', 'audio']);
+    assert.strictEqual(ladder[0].videoBitrate, 5000);
+  });
+
+  it('rejects unknown renditions and ladders without video', () => {
+    assert.throws(() => getLadder({ HLS_LADDER: '720p,4k,8k' }), /Unknown HLS renditions: 4k, 8k/);
+    assert.throws(() => getLadder({ HLS_LADDER: 'audio' }), /at least one video rendition/);
+  });
+});
+
+describe('HLS ladder ffmpeg arguments', () => {
+  const ladder = StreamingService.ladder;
+  const option = (args, name) => args[args.indexOf(name) + 1];
+
+  afterEach(() => {
+    StreamingService.ladder = ladder;
+  });
+
+  it('encodes one variant per rendition and copies the source', () => {
+    StreamingService.ladder = getLadder({ HLS_LADDER: 'source,720p,audio' });
+
+    const args = StreamingService.buildLadderOutputOptions('/hls/stream');
+
+    assert.strictEqual(option(args, '-c:v:0'), 'copy');
+    assert.strictEqual(option(args, '-filter:v:1'), 'scale=-2:720');
+    assert.strictEqual(option(args, '-c:v:1'), 'libx264');
+    assert.strictEqual(option(args, '-b:v:1'), '2800k');
+    assert.strictEqual(option(args, '-maxrate:v:1'), '2996k');
+    assert.strictEqual(option(args, '-bufsize:v:1'), '5600k');
+    assert.strictEqual(option(args, '-b:a:2'), '96k');
+    assert.strictEqual(args.filter(arg => arg === '0:v:0').length, 2);
+    assert.strictEqual(option(args, '-var_stream_map'), 'v:0,a:0,name:source v:1,a:1,name:720p a:2,name:audio');
+    assert.strictEqual(option(args, '-hls_time'), String(config.hls.segmentDuration));
+    assert.strictEqual(option(args, '-force_key_frames'), `expr:gte(t,n_forced*${config.hls.gopSeconds})`);
+    assert.strictEqual(option(args, '-hls_flags'), 'delete_segments+independent_segments');
+  });
+
+  it('appends to the existing playlists when resuming', () => {
+    const args = StreamingService.buildLadderOutputOptions('/hls/stream', { resume: true });
+
+    assert.strictEqual(option(args, '-hls_flags'), 'delete_segments+independent_segments+append_list+discont_start');
+  });
+
+  it('describes every rendition in Stream.quality', () => {
+    StreamingService.ladder = getLadder({ HLS_LADDER: 'source,360p,audio' });
+
+    const quality = StreamingService.getQualityVariants('507f1f77bcf86cd799439011');
+
+    assert.deepStrictEqual(quality, [
+      { resolution: 'source', bitrate: undefined, url: `${config.playback.baseUrl}/507f1f77bcf86cd799439011/source/index.m3u8` },
+      { resolution: '360p', bitrate: 896, url: `${config.playback.baseUrl}/507f1f77bcf86cd799439011/360p/index.m3u8` },
+      { resolution: 'audio', bitrate: 96, url: `${config.playback.baseUrl}/507f1f77bcf86cd799439011/audio/index.m3u8` }
+    ]);
+  });
+});
@@ -0,0 +1,253 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { query, useDns, serve } = require('./helpers');
+
+const webhookRoutes = require('../routes/webhooks');
+const WebhookService = require('../services/WebhookService');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const User = require('../models/User');
+
+describe('webhook signing', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ id: 'evt_1', event: 'stream.started' });
+    const header = WebhookService.sign('whsec_test', body, 1700000000);
+
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+    assert.strictEqual(header, `t=1700000000,v1=${expected}`);
+  });
+
+  it('gives a different signature for a different body', () => {
+    assert.notStrictEqual(
+      WebhookService.sign('whsec_test', '{"a":1}', 1700000000),
+      WebhookService.sign('whsec_test', '{"a":2}', 1700000000)
+    );
+  });
+});
+
+describe('webhook URL checks', () => {
+  beforeEach(() => {
+    useDns({
+      'hooks.example.com': ['93.184.216.34'],
+      'internal.example.com': ['93.184.216.34', '10.0.0.7'],
+      'metadata.example.com': ['169.254.169.254']
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts an https URL on a public host', async () => {
+    assert.strictEqual(await WebhookService.checkUrl('https://hooks.example.com/stream'), null);
+  });
+
+  it('requires https', async () => {
+    assert.match(await WebhookService.checkUrl('http://hooks.example.com/stream'), /https/);
+    assert.match(await WebhookService.checkUrl('ftp://hooks.example.com/stream'), /https/);
+    assert.match(await WebhookService.checkUrl('not a url'), /https/);
+  });
+
+  it('rejects loopback, private and link-local addresses', async () => {
+    for (const url of [
+      'https://127.0.0.1/',
+      'https://0.0.0.0/',
+      'https://10.1.2.3/',
+      'https://172.16.0.1/',
+      'https://192.168.1.1/',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/',
+      'https://[fd00::1]/',
+      'https://[fe80::1]/',
+      'https://[::ffff:127.0.0.1]/'
+    ]) {
+      assert.ok(await WebhookService.checkUrl(url), `${url} should be rejected`);
+    }
+  });
+
+  it('rejects host names resolving to a private address', async () => {
+    assert.match(await WebhookService.checkUrl('https://metadata.example.com/'), /public address/);
+    assert.match(await WebhookService.checkUrl('https://internal.example.com/'), /public address/);
+  });
+
+  it('rejects host names that do not resolve', async () => {
+    assert.match(await WebhookService.checkUrl('https://missing.example.com/'), /could not be resolved/);
+  });
+});
+
+describe('webhook delivery', () => {
+  const webhook = {
+    _id: '507f1f77bcf86cd799439011',
+    url: 'https://hooks.example.com/stream',
+    secret: 'whsec_test',
+    isActive: true
+  };
+  let requests;
+
+  const newDelivery = (attempts = 1) => {
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      eventId: 'evt_1',
+      event: 'stream.started',
+      payload: { id: 'evt_1', event: 'stream.started', data: { streamId: 'abc' } },
+      status: 'sending',
+      attempts
+    });
+    mock.method(delivery, 'save', async () => delivery);
+    return delivery;
+  };
+
+  // Answer every https request with this status and body
+  const respondWith = (status, text = '') => {
+    mock.method(https, 'request', (url, options, onResponse) => {
+      const req = new EventEmitter();
+      req.end = (body) => {
+        requests.push({ url, options: { ...options, body } });
+        const res = Object.assign(new PassThrough(), { statusCode: status });
+        onResponse(res);
+        res.end(text);
+      };
+      return req;
+    });
+  };
+
+  beforeEach(() => {
+    requests = [];
+    useDns({ 'hooks.example.com': ['93.184.216.34'], 'rebound.example.com': ['127.0.0.1'] });
+    mock.method(Webhook, 'findById', () => query(webhook));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('posts the payload with a verifiable signature', async () => {
+    respondWith(200, 'ok');
+    const delivery = newDelivery();
+
+    await WebhookService.deliver(delivery);
+
+    assert.strictEqual(delivery.status, 'success');
+    assert.strictEqual(requests.length, 1);
+
+    const { body, headers } = requests[0].options;
+    const [, timestamp, signature] = headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    assert.strictEqual(signature, expected);
+    assert.deepStrictEqual(JSON.parse(body), delivery.payload);
+  });
+
+  it('schedules a retry with backoff when the endpoint fails', async () => {
+    respondWith(500, 'down');
+    const delivery = newDelivery(2);
+    const before = Date.now();
+
+    await WebhookService.deliver(delivery);
+
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.responseStatus, 500);
+    assert.match(delivery.error, /500/);
+    // Second attempt waits twice the base delay of 30s
+    assert.ok(delivery.nextAttemptAt.getTime() >= before + 60 * 1000);
+  });
+
+  it('gives up after the last attempt', async () => {
+    respondWith(500);
+    const delivery = newDelivery(6);
+
+    await WebhookService.deliver(delivery);
+
+    assert.strictEqual(delivery.status, 'failed');
+  });
+
+  it('connects to the address it checked even if the host resolves elsewhere by then', async () => {
+    respondWith(200);
+
+    await WebhookService.deliver(newDelivery());
+
+    useDns({ 'hooks.example.com': ['127.0.0.1'] });
+    const { lookup } = requests[0].options;
+    const address = await new Promise(resolve => lookup('hooks.example.com', {}, (error, address) => resolve(address)));
+    const all = await new Promise(resolve => lookup('hooks.example.com', { all: true }, (error, addresses) => resolve(addresses)));
+    assert.strictEqual(address, '93.184.216.34');
+    assert.deepStrictEqual(all, [{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  it('does not send to a host that now resolves to a private address', async () => {
+    respondWith(200);
+    mock.method(Webhook, 'findById', () => query({ ...webhook, url: 'https://rebound.example.com/' }));
+    const delivery = newDelivery();
+
+    await WebhookService.deliver(delivery);
+
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.match(delivery.error, /public address/);
+  });
+});
+
+describe('webhook routes', () => {
+  let server;
+  let streamer;
+  let token;
+
+  before(async () => {
+    server = await serve('/api/webhooks', webhookRoutes);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    streamer = new User({ username: 'alice', email: 'alice@example.com', isStreamer: true });
+    token = streamer.generateToken();
+    mock.method(User, 'findById', () => query(streamer));
+    useDns({ 'hooks.example.com': ['93.184.216.34'] });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses to register a webhook pointing at the internal network', async () => {
+    const create = mock.method(Webhook, 'create', async (doc) => doc);
+
+    const res = await server.request('POST', '/api/webhooks', {
+      token,
+      body: { url: 'https://169.254.169.254/latest/meta-data', events: ['stream.started'] }
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /public address/);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  it('hides endpoint response bodies from non-admins', async () => {
+    const webhook = new Webhook({ owner: streamer._id, url: 'https://hooks.example.com/', secret: 'whsec_test' });
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      eventId: 'evt_1',
+      event: 'stream.started',
+      responseStatus: 500,
+      responseBody: 'Internal error at 10.0.0.7'
+    });
+    mock.method(Webhook, 'findById', () => query(webhook));
+    mock.method(WebhookDelivery, 'findOne', () => query(delivery));
+
+    const url = `/api/webhooks/${webhook._id}/deliveries/${delivery._id}`;
+
+    const res = await server.request('GET', url, { token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.delivery.responseStatus, 500);
+    assert.strictEqual(res.body.delivery.responseBody, undefined);
+
+    streamer.isAdmin = true;
+    const adminRes = await server.request('GET', url, { token });
+    assert.strictEqual(adminRes.body.delivery.responseBody, 'Internal error at 10.0.0.7');
+  });
+});
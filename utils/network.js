@@ -0,0 +1,33 @@
+// backend/utils/network.js
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Loopback, private, link-local and other non-public ranges that user-supplied
+// URLs may not reach. BlockList also matches IPv4-mapped IPv6 addresses against
+// the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPublicAddress = ({ address, family }) => !blockedAddresses.check(address, `ipv${family}`);
+
+/**
+ * Every address a URL host name resolves to, as { address, family };
+ * IP literals (including bracketed IPv6) resolve to themselves
+ */
+const resolveHost = (hostname) => dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+
+module.exports = {
+  isPublicAddress,
+  resolveHost
+};
@@ -0,0 +1,66 @@
+// backend/utils/secrets.js
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let encryptionKey = null;
+
+// Derived once from ENCRYPTION_KEY (falls back to JWT_SECRET)
+const getEncryptionKey = () => {
+  if (!encryptionKey) {
+    const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('ENCRYPTION_KEY or JWT_SECRET must be set to store secrets');
+    }
+    encryptionKey = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'live-streaming-app:secrets', 32));
+  }
+  return encryptionKey;
+};
+
+/**
+ * One-way hash for secrets that only need to be looked up, never read back
+ */
+const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Encrypt a secret that has to be read back later
+ * Output: v1:<iv>:<auth tag>:<ciphertext>, base64url encoded
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted secret');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Short, non-secret form of a key for logs and listings
+ */
+const maskSecret = (value, visible = 8) => (value ? `${String(value).slice(0, visible)}…` : '');
+
+module.exports = {
+  hashSecret,
+  encryptSecret,
+  decryptSecret,
+  maskSecret
+};